@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark for computePerceptualHash: legacy naive DCT vs the separable table-driven DCT.
+ * Also verifies that both produce bit-for-bit identical hashes.
+ *
+ * Usage: node benchmark.js [--count 2000] [--size 64]
+ */
+
+const ImageMatcher = require('./image-matcher.js');
+
+/**
+ * The original O(n^4) DCT, kept verbatim as the reference implementation
+ */
+function legacyComputeDCT(pixels, size) {
+    const dct = new Array(size * size).fill(0);
+
+    for (let u = 0; u < size; u++) {
+        for (let v = 0; v < size; v++) {
+            let sum = 0;
+            for (let i = 0; i < size; i++) {
+                for (let j = 0; j < size; j++) {
+                    sum += pixels[i * size + j] *
+                        Math.cos(((2 * i + 1) * u * Math.PI) / (2 * size)) *
+                        Math.cos(((2 * j + 1) * v * Math.PI) / (2 * size));
+                }
+            }
+
+            const cu = u === 0 ? 1 / Math.sqrt(2) : 1;
+            const cv = v === 0 ? 1 / Math.sqrt(2) : 1;
+            dct[u * size + v] = (1 / 4) * cu * cv * sum;
+        }
+    }
+
+    return dct;
+}
+
+class LegacyImageMatcher extends ImageMatcher {
+    computeDCT(pixels, size) {
+        return legacyComputeDCT(pixels, size);
+    }
+}
+
+/**
+ * Deterministic PRNG so runs are comparable
+ */
+function mulberry32(seed) {
+    return () => {
+        seed |= 0;
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Generate a mix of synthetic images: noise, smooth patterns, gradients and flat fills.
+ * Gradients and flat fills are the worst case for floating-point drift.
+ */
+function generateImages(count, size) {
+    const random = mulberry32(42);
+    const images = [];
+
+    for (let n = 0; n < count; n++) {
+        const data = new Uint8ClampedArray(size * size * 4);
+        const kind = n % 5;
+        const phase = random() * Math.PI * 2;
+        const frequency = 0.05 + random() * 0.4;
+        const fill = Math.floor(random() * 256);
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                let value;
+                if (kind === 0) value = random() * 255;
+                else if (kind === 1) value = 128 + 100 * Math.sin(x * frequency + phase) * Math.cos(y * frequency);
+                else if (kind === 2) value = (x + y) * 255 / (2 * size);
+                else if (kind === 3) value = fill;
+                else value = ((x >> 3) + (y >> 3)) % 2 ? 220 : 30;
+
+                const i = (y * size + x) * 4;
+                data[i] = data[i + 1] = data[i + 2] = value;
+                data[i + 3] = 255;
+            }
+        }
+
+        images.push({ width: size, height: size, data });
+    }
+
+    return images;
+}
+
+function run(matcher, images) {
+    const hashes = [];
+    const start = process.hrtime.bigint();
+    for (const image of images) {
+        hashes.push(matcher.computePerceptualHash(image));
+    }
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+    return { hashes, elapsedMs, perImageMs: elapsedMs / images.length };
+}
+
+function main(argv) {
+    const argValue = (name, fallback) => {
+        const index = argv.indexOf(name);
+        return index >= 0 && argv[index + 1] ? parseInt(argv[index + 1], 10) : fallback;
+    };
+    const count = argValue('--count', 2000);
+    const size = argValue('--size', 64);
+
+    console.log(`⚡ pHash benchmark: ${count} images of ${size}x${size}`);
+    const images = generateImages(count, size);
+
+    // Separate instances so the grayscale memo does not favour the second run
+    const legacy = run(new LegacyImageMatcher(), images);
+    console.log(`   🐢 Legacy DCT:    ${legacy.perImageMs.toFixed(3)} ms/image (${(legacy.elapsedMs / 1000).toFixed(2)}s total)`);
+
+    const current = run(new ImageMatcher(), images);
+    console.log(`   🚀 Separable DCT: ${current.perImageMs.toFixed(3)} ms/image (${(current.elapsedMs / 1000).toFixed(2)}s total)`);
+    console.log(`   📈 Speedup: ${(legacy.elapsedMs / current.elapsedMs).toFixed(1)}x`);
+
+    const mismatches = current.hashes.filter((hash, i) => !hash.equals(legacy.hashes[i])).length;
+    console.log(`   ${mismatches === 0 ? '✅' : '❌'} Identical hashes: ${count - mismatches}/${count}`);
+
+    return mismatches === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+    process.exit(main(process.argv.slice(2)));
+}
+
+module.exports = { legacyComputeDCT, generateImages };
@@ -2,6 +2,35 @@
 
 const fs = require('fs');
 const path = require('path');
+const ImageMatcher = require('./image-matcher.js');
+
+const IMAGE_EXTENSIONS = /\.(jpg|jpeg|png|gif|webp)$/i;
+const VIDEO_EXTENSIONS = /\.(mp4|webm|mov|m4v)$/i;
+
+/**
+ * List image files in a directory, as paths relative to it
+ * (`options.pattern` selects other files, e.g. VIDEO_EXTENSIONS)
+ */
+function listImageFiles(dir, options = {}) {
+    const files = [];
+
+    const walk = (relativeDir) => {
+        const entries = fs.readdirSync(path.join(dir, relativeDir), { withFileTypes: true });
+        for (const entry of entries) {
+            const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                if (options.recursive) {
+                    walk(relativePath);
+                }
+            } else if ((options.pattern || IMAGE_EXTENSIONS).test(entry.name)) {
+                files.push(relativePath);
+            }
+        }
+    };
+
+    walk('');
+    return files.sort();
+}
 
 /**
  * Build script to generate HTML page with embedded image list
@@ -18,25 +47,39 @@ function generateImageList() {
         process.exit(1);
     }
     
-    // Get all image files
-    const imageFiles = fs.readdirSync(imagesDir)
-        .filter(file => /\.(jpg|jpeg|png|gif|webp)$/i.test(file))
-        .sort();
+    // Get all image files, and clips the page samples through <video>
+    const imageFiles = listImageFiles(imagesDir);
+    const videoFiles = listImageFiles(imagesDir, { pattern: VIDEO_EXTENSIONS });
     
     console.log(`📸 Found ${imageFiles.length} images`);
+    if (videoFiles.length > 0) {
+        console.log(`🎬 Found ${videoFiles.length} videos`);
+    }
     
-    if (imageFiles.length === 0) {
+    if (imageFiles.length + videoFiles.length === 0) {
         console.error('❌ No image files found in images directory!');
         process.exit(1);
     }
     
-    // Generate image list with relative paths
+    // Generate image list with relative paths. The content hash lets the page reuse
+    // stored fingerprints without even loading unchanged images.
+    const matcher = new ImageMatcher();
     const imageList = imageFiles.map((file, index) => ({
         id: `images/${file}`,
         src: `images/${file}`,
         name: file,
-        index: index
+        index: index,
+        contentHash: matcher.computeContentHash(fs.readFileSync(path.join(imagesDir, file)))
     }));
+    for (const file of videoFiles) {
+        imageList.push({
+            id: `images/${file}`,
+            src: `images/${file}`,
+            name: file,
+            index: imageList.length,
+            type: 'video'
+        });
+    }
     
     console.log('📝 Reading HTML template...');
     
@@ -88,7 +131,11 @@ function createTestServer() {
         '.jpeg': 'image/jpeg',
         '.png': 'image/png',
         '.gif': 'image/gif',
-        '.webp': 'image/webp'
+        '.webp': 'image/webp',
+        '.mp4': 'video/mp4',
+        '.m4v': 'video/mp4',
+        '.webm': 'video/webm',
+        '.mov': 'video/quicktime'
     };
     
     const server = http.createServer((req, res) => {
@@ -175,4 +222,4 @@ Examples:
     }
 }
 
-module.exports = { generateImageList, createTestServer };
\ No newline at end of file
+module.exports = { generateImageList, createTestServer, listImageFiles, IMAGE_EXTENSIONS, VIDEO_EXTENSIONS };
\ No newline at end of file
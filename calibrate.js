@@ -0,0 +1,246 @@
+const ImageMatcher = require('./image-matcher.js');
+
+/**
+ * Calibrate the similarity threshold and algorithm weights from labeled pairs (Node).
+ *
+ * Every pair is scored per algorithm; a logistic regression on those scores suggests weights,
+ * and the threshold is then picked on the combined scores those weights produce. The result's
+ * `config` can be passed straight to `new ImageMatcher(config)`.
+ */
+
+const LOGISTIC_OPTIONS = { regularization: 0.01, iterations: 50, tolerance: 1e-10 };
+
+/**
+ * Score labeled pairs and fit a threshold and weights
+ * @param {ImageMatcher} matcher - Holds the fingerprints; its scoring is the baseline
+ * @param {Array<{a: Object|string, b: Object|string, same: boolean}>} pairs - Fingerprints from
+ *        processImage, or the ids of processed images
+ * @param {Object} [options]
+ * @param {number} [options.minPrecision] - Pick the threshold with the best recall at this
+ *        precision instead of the best F1
+ * @param {number} [options.regularization=0.01] - L2 penalty of the logistic regression
+ * @returns {Object} { pairs, positives, negatives, algorithms, combined, model, config, fitted }:
+ *          `algorithms` and `combined` (the matcher's current scoring) hold { auc, threshold,
+ *          precision, recall, f1, roc }; `fitted` holds the same for `config`
+ * @throws {Error} If pairs are missing a label or a fingerprint, or lack either class
+ */
+function calibrate(matcher, pairs, options = {}) {
+    const resolve = (entry) => {
+        const fingerprint = typeof entry === 'string' ? matcher.cache.get(entry) : entry;
+        if (!fingerprint) {
+            throw new Error(`No fingerprint for "${entry}"; process the image first`);
+        }
+        return fingerprint;
+    };
+    const samples = pairs.map((pair, index) => {
+        if (typeof pair.same !== 'boolean') {
+            throw new Error(`Pair ${index} needs a boolean "same" label`);
+        }
+        return { a: resolve(pair.a), b: resolve(pair.b), same: pair.same };
+    });
+    const labels = samples.map(sample => sample.same);
+    const positives = labels.filter(Boolean).length;
+    if (positives === 0 || positives === labels.length) {
+        throw new Error('Calibration needs both same and different pairs');
+    }
+
+    // Algorithms the matcher allows and every fingerprint has, each weighted equally to read its
+    // similarity (a disabled one stays off whatever its weight, so it would have no score)
+    const names = Object.keys(ImageMatcher.ALGORITHM_FIELDS).filter(name => matcher.scoring.algorithms[name] !== false &&
+        samples.every(sample => sample.a[ImageMatcher.ALGORITHM_FIELDS[name]] !== undefined &&
+            sample.b[ImageMatcher.ALGORITHM_FIELDS[name]] !== undefined));
+    const allWeights = {};
+    for (const name of Object.keys(ImageMatcher.DEFAULT_WEIGHTS)) {
+        allWeights[name] = names.includes(name) ? 1 : 0;
+    }
+    const features = samples.map(sample => {
+        const { details } = matcher.compareImages(sample.a, sample.b, { weights: allWeights });
+        return names.map(name => details[name]);
+    });
+
+    const algorithms = {};
+    names.forEach((name, k) => {
+        algorithms[name] = evaluateScores(features.map(row => row[k]), labels, options);
+    });
+    // Pairs failing a minSimilarity are rejected at any threshold
+    const overallScores = (scoringOptions) => samples.map((sample) => {
+        const { overall, rejectedBy } = matcher.compareImages(sample.a, sample.b, scoringOptions);
+        return rejectedBy ? -Infinity : overall;
+    });
+    const combined = evaluateScores(overallScores(null), labels, options);
+
+    // Weights: the positive logistic coefficients, rescaled to sum to 1
+    const model = fitLogistic(features, labels, options);
+    const positive = model.coefficients.map(value => Math.max(0, value));
+    const total = positive.reduce((sum, value) => sum + value, 0);
+    if (total <= 0) {
+        throw new Error('No algorithm separates the labeled pairs; add more or clearer examples');
+    }
+    const weights = {};
+    for (const name of Object.keys(ImageMatcher.DEFAULT_WEIGHTS)) {
+        const k = names.indexOf(name);
+        weights[name] = k >= 0 ? Math.round(positive[k] / total * 10000) / 10000 : 0;
+    }
+
+    // Threshold on the scores the fitted weights actually produce
+    const fitted = evaluateScores(overallScores({ weights }), labels, options);
+    const config = {
+        profile: matcher.scoring.profile,
+        threshold: fitted.threshold,
+        weights,
+        minSimilarity: matcher.scoring.minSimilarity,
+        orientations: matcher.scoring.orientations,
+        crops: matcher.scoring.crops,
+        histogram: matcher.scoring.histogram
+    };
+
+    return {
+        pairs: samples.length,
+        positives,
+        negatives: samples.length - positives,
+        algorithms,
+        combined,
+        model: { names, intercept: model.intercept, coefficients: model.coefficients },
+        config,
+        fitted
+    };
+}
+
+/**
+ * ROC curve, AUC and the best threshold for one score per pair
+ * @param {Array<number>} scores - -Infinity marks a pair rejected outright (a failed
+ *        minSimilarity): it ranks last and no threshold accepts it
+ * @param {Array<boolean>} labels
+ * @param {Object} [options] - { minPrecision }
+ * @returns {{auc: number, threshold: number, precision: number, recall: number, f1: number,
+ *          roc: Array<{threshold: number, tpr: number, fpr: number, precision: number}>}}
+ *          Pairs scoring at least `threshold` count as matches
+ */
+function evaluateScores(scores, labels, options = {}) {
+    const positives = labels.filter(Boolean).length;
+    const negatives = labels.length - positives;
+    const order = scores.map((score, i) => i).sort((i, j) => scores[j] - scores[i] || 0);
+
+    // One ROC point per distinct score, from strictest to loosest
+    const roc = [{ threshold: Infinity, tpr: 0, fpr: 0, precision: 1 }];
+    let truePositives = 0;
+    let falsePositives = 0;
+    for (let n = 0; n < order.length; n++) {
+        if (labels[order[n]]) truePositives++;
+        else falsePositives++;
+        if (n + 1 < order.length && scores[order[n + 1]] === scores[order[n]]) continue;
+        roc.push({
+            threshold: scores[order[n]],
+            tpr: truePositives / positives,
+            fpr: falsePositives / negatives,
+            precision: truePositives / (truePositives + falsePositives)
+        });
+    }
+
+    let auc = 0;
+    for (let n = 1; n < roc.length; n++) {
+        auc += (roc[n].fpr - roc[n - 1].fpr) * (roc[n].tpr + roc[n - 1].tpr) / 2;
+    }
+
+    const f1 = point => (point.tpr > 0 ? 2 * point.precision * point.tpr / (point.precision + point.tpr) : 0);
+    let best = 1;
+    for (let n = 2; n < roc.length; n++) {
+        const point = roc[n];
+        if (point.threshold === -Infinity) continue;
+        const current = roc[best];
+        const better = options.minPrecision !== undefined ?
+            point.precision >= options.minPrecision && (current.precision < options.minPrecision || point.tpr > current.tpr) :
+            f1(point) > f1(current);
+        if (better) best = n;
+    }
+
+    // Halfway to the next lower score, so nearby unseen pairs fall on the same side
+    const accepted = roc[best].threshold;
+    const rejected = best + 1 < roc.length ? Math.max(0, roc[best + 1].threshold) : 0;
+    const threshold = Math.min(1, Math.max(1e-4, (accepted + rejected) / 2));
+
+    return {
+        auc,
+        threshold,
+        precision: roc[best].precision,
+        recall: roc[best].tpr,
+        f1: f1(roc[best]),
+        roc: roc.slice(1).filter(point => point.threshold > -Infinity)
+    };
+}
+
+/**
+ * L2-regularized logistic regression fitted by Newton's method (the intercept is not penalized)
+ * @param {Array<Array<number>>} rows - Feature vectors
+ * @param {Array<boolean>} labels
+ * @param {Object} [options] - { regularization }
+ * @returns {{intercept: number, coefficients: Array<number>}}
+ */
+function fitLogistic(rows, labels, options = {}) {
+    const regularization = options.regularization !== undefined ? options.regularization : LOGISTIC_OPTIONS.regularization;
+    const size = rows[0].length + 1;
+    const beta = new Array(size).fill(0);
+
+    for (let iteration = 0; iteration < LOGISTIC_OPTIONS.iterations; iteration++) {
+        const gradient = new Array(size).fill(0);
+        const hessian = Array.from({ length: size }, () => new Array(size).fill(0));
+
+        rows.forEach((row, n) => {
+            const x = [1, ...row];
+            const z = x.reduce((sum, value, k) => sum + value * beta[k], 0);
+            const p = 1 / (1 + Math.exp(-z));
+            const w = Math.max(p * (1 - p), 1e-12);
+            for (let i = 0; i < size; i++) {
+                gradient[i] += (p - (labels[n] ? 1 : 0)) * x[i];
+                for (let j = 0; j < size; j++) hessian[i][j] += w * x[i] * x[j];
+            }
+        });
+        for (let k = 1; k < size; k++) {
+            gradient[k] += regularization * rows.length * beta[k];
+            hessian[k][k] += regularization * rows.length;
+        }
+
+        const step = solveLinear(hessian, gradient);
+        let change = 0;
+        for (let k = 0; k < size; k++) {
+            beta[k] -= step[k];
+            change += step[k] * step[k];
+        }
+        if (change < LOGISTIC_OPTIONS.tolerance) break;
+    }
+
+    return { intercept: beta[0], coefficients: beta.slice(1) };
+}
+
+/**
+ * Helper: Solve A x = b by Gaussian elimination with partial pivoting
+ */
+function solveLinear(matrix, vector) {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        if (Math.abs(a[col][col]) < 1e-12) continue;
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+        }
+    }
+
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        if (Math.abs(a[row][row]) < 1e-12) continue;
+        let sum = a[row][n];
+        for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+        x[row] = sum / a[row][row];
+    }
+    return x;
+}
+
+module.exports = { calibrate, evaluateScores, fitLogistic, solveLinear };
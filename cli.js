@@ -0,0 +1,489 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const fs = require('fs');
+const ImageMatcher = require('./image-matcher.js');
+const { listImageFiles } = require('./build');
+const { decodeImageBuffer, canDecode } = require('./decode-image');
+const { FileFingerprintStore } = require('./file-store');
+const { calibrate } = require('./calibrate');
+
+const EXIT_NO_DUPLICATES = 0;
+const EXIT_DUPLICATES_FOUND = 1;
+const EXIT_ERROR = 2;
+
+const FORMATS = ['table', 'json', 'csv'];
+
+const HELP = `
+📸 Image Matcher CLI
+
+Usage:
+  image-matcher scan <dir> [options]
+  image-matcher calibrate <dir> --pairs <file> [options]
+
+Options:
+  --threshold, -t <n>   Similarity threshold between 0 and 1 (default: the profile's, 0.8)
+  --profile, -p <name>  Scoring profile: default, exact or similar (default: default)
+  --clustering <mode>   Grouping: greedy, connected, complete or representative (default: greedy)
+  --orientations        Also match rotated and mirrored copies
+  --crops               Also match crops of an image (slower, compares every pair)
+  --recursive, -r       Scan subdirectories too
+  --format, -f <name>   Output format: table, json or csv (default: table)
+  --cache, -c <file>    Reuse fingerprints from a .json/.ndjson file and save new ones
+  --config <file>       Load a threshold and weights written by calibrate
+  --pairs <file>        calibrate: JSON array of { "a": file, "b": file, "same": true|false }
+  --output, -o <file>   calibrate: write the fitted config here (default: print it)
+  --min-precision <n>   calibrate: best recall at this precision instead of the best F1
+  --quiet, -q           Do not print progress to stderr
+  --help, -h            Show this help
+
+Exit codes:
+  0   No duplicates found
+  1   Duplicate groups found
+  2   Invalid arguments or scan failure
+
+Examples:
+  image-matcher scan ./photos
+  image-matcher scan ./photos -r --threshold 0.9 --format json > groups.json
+  image-matcher scan ./photos --cache .fingerprints.ndjson
+  image-matcher scan ./photos --profile exact
+  image-matcher calibrate ./photos --pairs labels.json -o matcher.json
+  image-matcher scan ./photos --config matcher.json
+`;
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+    const options = {
+        command: null,
+        dir: null,
+        threshold: null,
+        profile: 'default',
+        clustering: 'greedy',
+        orientations: false,
+        crops: false,
+        recursive: false,
+        format: 'table',
+        cache: null,
+        config: null,
+        pairs: null,
+        output: null,
+        minPrecision: undefined,
+        quiet: false,
+        help: false
+    };
+
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        let value = null;
+
+        const eqIndex = arg.indexOf('=');
+        if (arg.startsWith('--') && eqIndex > 0) {
+            value = arg.slice(eqIndex + 1);
+            arg = arg.slice(0, eqIndex);
+        }
+
+        const takeValue = () => {
+            if (value !== null) return value;
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            case '--recursive':
+            case '-r':
+                options.recursive = true;
+                break;
+            case '--orientations':
+                options.orientations = true;
+                break;
+            case '--crops':
+                options.crops = true;
+                break;
+            case '--quiet':
+            case '-q':
+                options.quiet = true;
+                break;
+            case '--threshold':
+            case '-t':
+                options.threshold = parseFloat(takeValue());
+                break;
+            case '--profile':
+            case '-p':
+                options.profile = takeValue();
+                break;
+            case '--clustering':
+                options.clustering = takeValue().toLowerCase();
+                break;
+            case '--format':
+            case '-f':
+                options.format = takeValue().toLowerCase();
+                break;
+            case '--cache':
+            case '-c':
+                options.cache = takeValue();
+                break;
+            case '--config':
+                options.config = takeValue();
+                break;
+            case '--pairs':
+                options.pairs = takeValue();
+                break;
+            case '--output':
+            case '-o':
+                options.output = takeValue();
+                break;
+            case '--min-precision':
+                options.minPrecision = parseFloat(takeValue());
+                break;
+            default:
+                if (arg.startsWith('-')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                positional.push(arg);
+        }
+    }
+
+    options.command = positional[0] || null;
+    options.dir = positional[1] || null;
+
+    if (options.threshold !== null && !(options.threshold > 0 && options.threshold <= 1)) {
+        throw new Error('--threshold must be a number between 0 and 1');
+    }
+    if (options.minPrecision !== undefined && !(options.minPrecision > 0 && options.minPrecision <= 1)) {
+        throw new Error('--min-precision must be a number between 0 and 1');
+    }
+    if (!FORMATS.includes(options.format)) {
+        throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(ImageMatcher.PROFILES, options.profile)) {
+        throw new Error(`--profile must be one of: ${Object.keys(ImageMatcher.PROFILES).join(', ')}`);
+    }
+    if (!ImageMatcher.CLUSTERING_MODES.includes(options.clustering)) {
+        throw new Error(`--clustering must be one of: ${ImageMatcher.CLUSTERING_MODES.join(', ')}`);
+    }
+
+    return options;
+}
+
+/**
+ * Helper: Read a JSON file, naming it in errors
+ */
+function readJson(file, label) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read ${label} ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Read a config written by calibrate ({ threshold, weights, ... })
+ */
+function loadConfig(file) {
+    const config = readJson(file, 'config');
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error(`Config ${file} must be a JSON object`);
+    }
+    return config;
+}
+
+/**
+ * Create the matcher for a command, with the config file applied over the profile
+ */
+function createMatcher(options, store) {
+    const config = options.config ? loadConfig(options.config) : {};
+    return new ImageMatcher({
+        store,
+        profile: options.profile,
+        ...config,
+        orientations: Boolean(options.orientations || config.orientations),
+        crops: Boolean(options.crops || config.crops)
+    });
+}
+
+/**
+ * Fingerprint one file unless the store has it already
+ * @returns {Promise<boolean>} Whether a stored fingerprint was reused
+ * @throws {Error} If the file cannot be read or decoded
+ */
+async function fingerprintFile(matcher, dir, file) {
+    // Hash the file bytes first so unchanged files are never decoded
+    const buffer = fs.readFileSync(path.join(dir, file));
+    const contentHash = matcher.computeContentHash(buffer);
+    if (await matcher.getStoredFingerprint(file, contentHash)) {
+        return true;
+    }
+    await matcher.processImage(decodeImageBuffer(buffer, file), file, { contentHash, bytes: buffer });
+    return false;
+}
+
+/**
+ * Fingerprint every image in a directory and group similar ones
+ */
+async function scanDirectory(dir, options = {}) {
+    const log = options.log || (() => {});
+    const threshold = options.threshold !== undefined ? options.threshold : null;
+    const store = options.cache ? new FileFingerprintStore(options.cache) : null;
+    const matcher = options.matcher || createMatcher(options, store);
+
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new Error(`Directory not found: ${dir}`);
+    }
+
+    const files = listImageFiles(dir, { recursive: options.recursive });
+    const skipped = [];
+    const images = [];
+    let reused = 0;
+
+    log(`🔍 Found ${files.length} images in ${dir}`);
+
+    // Fingerprint one file at a time so only a single decoded image is held in memory,
+    // and so unreadable files are reported instead of aborting the scan
+    for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+
+        if (!canDecode(file)) {
+            skipped.push({ file, reason: 'unsupported format' });
+        } else {
+            try {
+                if (await fingerprintFile(matcher, dir, file)) {
+                    reused++;
+                }
+                images.push({ id: file, src: file });
+            } catch (error) {
+                skipped.push({ file, reason: error.message });
+            }
+        }
+
+        if ((i + 1) % 50 === 0 || i + 1 === files.length) {
+            log(`   📸 Processed ${i + 1}/${files.length}`);
+        }
+    }
+
+    for (const entry of skipped) {
+        log(`⚠️  Skipping ${entry.file}: ${entry.reason}`);
+    }
+
+    if (store) {
+        await store.flush();
+        log(`💾 Reused ${reused} cached fingerprints from ${options.cache}`);
+    }
+
+    // Fingerprints are cached by id, so this only runs the comparison phase
+    const groups = await matcher.findSimilarImages(images, threshold, null, { clustering: options.clustering });
+
+    return { groups, scanned: images.length, skipped, reused };
+}
+
+/**
+ * Fingerprint the labeled pairs of a directory and fit a threshold and weights
+ * @returns {Promise<Object>} The calibrate() result
+ */
+async function calibrateDirectory(dir, options = {}) {
+    const log = options.log || (() => {});
+    if (!options.pairs) {
+        throw new Error('Missing labeled pairs: --pairs <file>');
+    }
+    const pairs = readJson(options.pairs, 'pairs file');
+    if (!Array.isArray(pairs)) {
+        throw new Error(`Pairs file ${options.pairs} must be a JSON array of { a, b, same }`);
+    }
+
+    const store = options.cache ? new FileFingerprintStore(options.cache) : null;
+    const matcher = options.matcher || createMatcher(options, store);
+    const files = Array.from(new Set(pairs.flatMap(pair => [pair.a, pair.b])));
+
+    log(`🔍 Fingerprinting ${files.length} images from ${pairs.length} labeled pairs`);
+    for (const file of files) {
+        if (typeof file !== 'string' || !canDecode(file)) {
+            throw new Error(`Cannot fingerprint ${file}: unsupported format`);
+        }
+        await fingerprintFile(matcher, dir, file);
+    }
+    if (store) {
+        await store.flush();
+    }
+
+    return calibrate(matcher, pairs, { minPrecision: options.minPrecision });
+}
+
+/**
+ * Format a calibration result as a text report
+ */
+function formatCalibration(result) {
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const rows = [['Score', 'AUC', 'Threshold', 'Precision', 'Recall']];
+    const addRow = (label, entry) => rows.push([label, entry.auc.toFixed(3), entry.threshold.toFixed(3), percent(entry.precision), percent(entry.recall)]);
+    for (const [name, entry] of Object.entries(result.algorithms)) addRow(name, entry);
+    addRow('current weights', result.combined);
+    addRow('fitted weights', result.fitted);
+
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+    const lines = rows.map(row => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd());
+    lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+
+    const weights = Object.entries(result.config.weights)
+        .filter(([, weight]) => weight > 0)
+        .map(([name, weight]) => `${name} ${weight}`);
+    return [
+        `${result.pairs} pairs (${result.positives} same, ${result.negatives} different)`,
+        '',
+        ...lines,
+        '',
+        `Suggested threshold: ${result.config.threshold.toFixed(3)}`,
+        `Suggested weights: ${weights.join(', ')}`
+    ].join('\n');
+}
+
+/**
+ * Format groups as an aligned text table
+ */
+function formatTable(groups) {
+    if (groups.length === 0) {
+        return 'No similar images found.';
+    }
+
+    const rows = [['Group', 'Similarity', 'Size', 'File']];
+    groups.forEach((group, index) => {
+        group.images.forEach((image, i) => {
+            rows.push([
+                i === 0 ? String(index + 1) : '',
+                i === 0 ? `${Math.round(group.averageSimilarity * 100)}%` : '',
+                `${image.width}x${image.height}`,
+                image.id
+            ]);
+        });
+    });
+
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+    const lines = rows.map(row => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd());
+    lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('  '));
+
+    return lines.join('\n');
+}
+
+/**
+ * Format groups as JSON
+ */
+function formatJson(groups) {
+    return JSON.stringify(groups.map((group, index) => ({
+        group: index + 1,
+        count: group.count,
+        averageSimilarity: group.averageSimilarity,
+        images: group.images.map((image, i) => ({
+            file: image.id,
+            width: image.width,
+            height: image.height,
+            orientation: group.orientations ? group.orientations[i] : 'identity',
+            crop: group.crops && group.crops[i] ? { container: group.crops[i].container, box: group.crops[i].box } : null
+        })),
+        similarityMatrix: group.similarityMatrix
+    })), null, 2);
+}
+
+/**
+ * Format groups as CSV, one row per image
+ */
+function formatCsv(groups) {
+    const escape = (value) => {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = ['group,similarity,file,width,height'];
+    groups.forEach((group, index) => {
+        for (const image of group.images) {
+            lines.push([index + 1, group.averageSimilarity.toFixed(4), image.id, image.width, image.height].map(escape).join(','));
+        }
+    });
+
+    return lines.join('\n');
+}
+
+const FORMATTERS = { table: formatTable, json: formatJson, csv: formatCsv };
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error('   Run with --help for usage');
+        return EXIT_ERROR;
+    }
+
+    if (options.help || !options.command) {
+        console.log(HELP);
+        return options.help ? EXIT_NO_DUPLICATES : EXIT_ERROR;
+    }
+
+    if (options.command !== 'scan' && options.command !== 'calibrate') {
+        console.error(`❌ Unknown command: ${options.command}`);
+        return EXIT_ERROR;
+    }
+
+    if (!options.dir) {
+        console.error(`❌ Missing directory: image-matcher ${options.command} <dir>`);
+        return EXIT_ERROR;
+    }
+
+    if (options.command === 'calibrate') {
+        const calibration = await calibrateDirectory(options.dir, {
+            pairs: options.pairs,
+            profile: options.profile,
+            orientations: options.orientations,
+            crops: options.crops,
+            cache: options.cache,
+            config: options.config,
+            minPrecision: options.minPrecision,
+            log: options.quiet ? null : (message) => console.error(message)
+        });
+
+        const config = JSON.stringify(calibration.config, null, 2);
+        if (options.output) {
+            fs.writeFileSync(options.output, config + '\n');
+            console.log(formatCalibration(calibration));
+            console.log(`\n💾 Saved config to ${options.output} (use it with --config)`);
+        } else {
+            console.log(formatCalibration(calibration));
+            console.log(`\n${config}`);
+        }
+        return EXIT_NO_DUPLICATES;
+    }
+
+    const result = await scanDirectory(options.dir, {
+        threshold: options.threshold,
+        profile: options.profile,
+        clustering: options.clustering,
+        orientations: options.orientations,
+        crops: options.crops,
+        recursive: options.recursive,
+        cache: options.cache,
+        config: options.config,
+        log: options.quiet ? null : (message) => console.error(message)
+    });
+
+    console.log(FORMATTERS[options.format](result.groups));
+
+    return result.groups.length > 0 ? EXIT_DUPLICATES_FOUND : EXIT_NO_DUPLICATES;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error('❌ Failed:', error.message);
+            process.exit(EXIT_ERROR);
+        });
+}
+
+module.exports = { parseArgs, scanDirectory, calibrateDirectory, formatTable, formatJson, formatCsv, formatCalibration, main };
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { ImageLoadError } = require('./image-matcher.js');
+
+/**
+ * Decode image files to RGBA pixel buffers for ImageMatcher in Node (pure JS, no canvas)
+ */
+const DECODERS = {
+    '.jpg': decodeJpeg,
+    '.jpeg': decodeJpeg,
+    '.png': decodePng
+};
+
+function decodeJpeg(buffer) {
+    const { width, height, data } = jpeg.decode(buffer, { useTArray: true, maxMemoryUsageInMB: 1024 });
+    return { width, height, data };
+}
+
+function decodePng(buffer) {
+    const { width, height, data } = PNG.sync.read(buffer);
+    return { width, height, data };
+}
+
+/**
+ * Check whether a file can be decoded in Node
+ */
+function canDecode(filePath) {
+    return Object.prototype.hasOwnProperty.call(DECODERS, path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Guess an extension from the file signature
+ */
+function sniffExtension(buffer) {
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) return '.jpg';
+    if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4e && buffer[3] === 0x47) return '.png';
+    return '';
+}
+
+/**
+ * Decode an encoded image buffer. Also works as ImageMatcher's `decoder` option.
+ * @param {Buffer|Uint8Array} buffer
+ * @param {string} [filePath] - Used to pick the decoder by extension; sniffed from the bytes when omitted
+ * @returns {{width: number, height: number, data: Uint8Array}}
+ * @throws {ImageLoadError} 'unsupported' for unknown extensions, 'decode' for unrecognized,
+ *         corrupt or truncated data (the decoder's own error is kept as `cause`)
+ */
+function decodeImageBuffer(buffer, filePath) {
+    const ext = filePath ? path.extname(filePath).toLowerCase() : sniffExtension(buffer);
+    const decoder = DECODERS[ext];
+    const imageId = filePath || null;
+
+    // Bytes with no known signature are unreadable data rather than an unsupported file type
+    if (!decoder) {
+        throw new ImageLoadError(`Unsupported image format "${ext || 'unknown'}" (supported: ${Object.keys(DECODERS).join(', ')})`,
+            { imageId, code: filePath ? 'unsupported' : 'decode' });
+    }
+
+    try {
+        return decoder(Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength));
+    } catch (error) {
+        const format = ext === '.png' ? 'PNG' : 'JPEG';
+        throw new ImageLoadError(`${filePath || 'Image data'} is not a valid ${format} image (corrupt or truncated)`,
+            { imageId, code: 'decode', cause: error });
+    }
+}
+
+/**
+ * Read and decode an image file
+ */
+function decodeImageFile(filePath) {
+    return decodeImageBuffer(fs.readFileSync(filePath), filePath);
+}
+
+module.exports = { decodeImageFile, decodeImageBuffer, canDecode };
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Fingerprint store persisted to a JSON or NDJSON file (Node only).
+ * Implements the same async get/set/delete/clear interface as the stores in image-matcher.js.
+ *
+ * - NDJSON (`.ndjson`/`.jsonl`): every set/delete is appended as one line, so progress
+ *   survives a crash; the last line for an id wins. `compact()` rewrites the file.
+ * - JSON: the whole store is written by `flush()`.
+ */
+class FileFingerprintStore {
+    /**
+     * @param {string} filePath
+     * @param {Object} [options]
+     * @param {string} [options.format] - 'json' or 'ndjson', inferred from the extension
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.format = options.format || (/\.(ndjson|jsonl)$/i.test(filePath) ? 'ndjson' : 'json');
+        this.records = null;
+        this.dirty = false;
+
+        if (this.format !== 'json' && this.format !== 'ndjson') {
+            throw new Error(`Unknown fingerprint store format "${this.format}" (expected json or ndjson)`);
+        }
+    }
+
+    /**
+     * Helper: Read the file on first access
+     */
+    load() {
+        if (this.records) return this.records;
+
+        this.records = new Map();
+        if (!fs.existsSync(this.filePath)) return this.records;
+
+        const content = fs.readFileSync(this.filePath, 'utf8');
+        if (this.format === 'json') {
+            const records = content.trim() ? JSON.parse(content) : [];
+            for (const record of records) {
+                this.records.set(record.id, record);
+            }
+        } else {
+            content.split('\n').forEach((line, index) => {
+                if (!line.trim()) return;
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    // A torn last line from an interrupted run is skipped, not fatal
+                    console.warn(`⚠️ Skipping unreadable line ${index + 1} in ${this.filePath}`);
+                    return;
+                }
+                if (record.deleted) {
+                    this.records.delete(record.id);
+                } else {
+                    this.records.set(record.id, record);
+                }
+            });
+        }
+
+        return this.records;
+    }
+
+    /**
+     * Helper: Append one NDJSON line
+     */
+    append(entry) {
+        fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+        fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    }
+
+    async get(id) {
+        return this.load().get(id) || null;
+    }
+
+    async set(id, record) {
+        const entry = { ...record, id };
+        this.load().set(id, entry);
+        if (this.format === 'ndjson') {
+            this.append(entry);
+        } else {
+            this.dirty = true;
+        }
+    }
+
+    async delete(id) {
+        if (!this.load().delete(id)) return;
+        if (this.format === 'ndjson') {
+            this.append({ id, deleted: true });
+        } else {
+            this.dirty = true;
+        }
+    }
+
+    async clear() {
+        this.load().clear();
+        await this.compact();
+    }
+
+    /**
+     * Write pending changes (JSON format)
+     */
+    async flush() {
+        if (this.format === 'json' && this.dirty) {
+            await this.compact();
+        }
+    }
+
+    /**
+     * Rewrite the file with exactly the current records
+     */
+    async compact() {
+        const records = Array.from(this.load().values());
+        const content = this.format === 'json' ?
+            JSON.stringify(records) :
+            records.map(record => JSON.stringify(record) + '\n').join('');
+
+        fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, content);
+        fs.renameSync(tempPath, this.filePath);
+        this.dirty = false;
+    }
+}
+
+module.exports = { FileFingerprintStore };
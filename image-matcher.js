@@ -2,509 +2,5070 @@
  * ImageMatcher - Standalone JavaScript library for image similarity detection
  * Compatible with browsers and Chrome extensions (no eval)
  */
-class ImageMatcher {
+
+/**
+ * URL of this script, captured at load time so the worker pool can start workers from it
+ */
+const IMAGE_MATCHER_SCRIPT_URL = typeof document !== 'undefined' && document.currentScript ?
+    document.currentScript.src : null;
+
+/**
+ * URL fragment that tells a worker loading this script to act as a fingerprinting worker
+ */
+const WORKER_MARKER = '#image-matcher-worker';
+
+/**
+ * Throw the signal's abort reason (an 'AbortError' DOMException by default) if it was aborted
+ * @param {AbortSignal} [signal]
+ */
+function throwIfAborted(signal) {
+    if (!signal || !signal.aborted) return;
+    if (signal.reason !== undefined) throw signal.reason;
+
+    // Older runtimes have AbortSignal without reason
+    if (typeof DOMException !== 'undefined') {
+        throw new DOMException('The operation was aborted', 'AbortError');
+    }
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    throw error;
+}
+
+/**
+ * Order matching pairs (see computeEdges) highest similarity first, then by index
+ */
+function compareEdges(a, b) {
+    return b.similarity - a.similarity || a.i - b.i || a.j - b.j;
+}
+
+/**
+ * Wait `ms` milliseconds, rejecting early when the signal aborts
+ */
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            try {
+                throwIfAborted(signal);
+            } catch (error) {
+                reject(error);
+            }
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Deterministic PRNG (mulberry32), so keypoint sampling gives the same result on every run
+ * @param {number} seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+    return () => {
+        seed |= 0;
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * An image could not be read or decoded. `imageId` names the image (null until known) and
+ * `code` says why: 'load' (network error or missing file), 'decode' (unreadable data),
+ * 'unsupported' (an input or format this environment cannot decode), 'cors' or 'timeout'.
+ */
+class ImageLoadError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [options] - { imageId, code, cause }
+     */
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'ImageLoadError';
+        this.imageId = options.imageId !== undefined ? options.imageId : null;
+        this.code = options.code || 'load';
+        if (options.cause !== undefined) this.cause = options.cause;
+    }
+}
+
+/**
+ * A cross-origin image was blocked: it failed to load with CORS, or drawing it tainted the
+ * canvas so its pixels cannot be read
+ */
+class CrossOriginError extends ImageLoadError {
+    constructor(message, options = {}) {
+        super(message, { ...options, code: 'cors' });
+        this.name = 'CrossOriginError';
+    }
+}
+
+/**
+ * Fixed-length bit hash packed into 32-bit words.
+ * Bit 0 is the most significant bit of the first word, so the hex form reads
+ * in the same order as the legacy '0'/'1' string.
+ */
+class PackedHash {
+    /**
+     * @param {number} length - Number of bits
+     * @param {Uint32Array} [words] - Packed bits, ceil(length / 32) words
+     */
+    constructor(length, words) {
+        this.length = length;
+        this.words = words || new Uint32Array(Math.ceil(length / 32));
+    }
+
+    /**
+     * Parse a legacy '0'/'1' bit string
+     */
+    static fromBitString(bits) {
+        if (!/^[01]*$/.test(bits)) {
+            throw new Error('Bit string may only contain "0" and "1"');
+        }
+
+        const hash = new PackedHash(bits.length);
+        for (let i = 0; i < bits.length; i++) {
+            if (bits[i] === '1') hash.setBit(i);
+        }
+        return hash;
+    }
+
+    /**
+     * Parse a hex string produced by toHex()
+     * @param {string} hex
+     * @param {number} [length] - Bit length, defaults to 4 bits per hex digit
+     */
+    static fromHex(hex, length = hex.length * 4) {
+        if (!/^[0-9a-fA-F]*$/.test(hex)) {
+            throw new Error(`Invalid hex hash: "${hex}"`);
+        }
+        if (hex.length !== Math.ceil(length / 4)) {
+            throw new Error(`Hex hash "${hex}" has ${hex.length} digits, expected ${Math.ceil(length / 4)} for ${length} bits`);
+        }
+
+        const hash = new PackedHash(length);
+        for (let n = 0; n < hex.length; n++) {
+            const nibble = parseInt(hex[n], 16);
+            hash.words[n >>> 3] |= nibble << (28 - 4 * (n & 7));
+        }
+        hash.clearPadding();
+        return hash;
+    }
+
+    /**
+     * Create from a BigInt whose lowest `length` bits hold the hash
+     */
+    static fromBigInt(value, length) {
+        const padding = Math.ceil(length / 4) * 4 - length;
+        const hex = (value << BigInt(padding)).toString(16).padStart(Math.ceil(length / 4), '0');
+        return PackedHash.fromHex(hex, length);
+    }
+
+    /**
+     * Coerce any supported representation to a PackedHash
+     * @param {PackedHash|string|Uint32Array|{length: number, words: ArrayLike<number>}} value
+     * @param {number} [length] - Expected bit length; disambiguates hex from bit strings
+     */
+    static from(value, length) {
+        if (value instanceof PackedHash) {
+            return value;
+        }
+
+        if (typeof value === 'string') {
+            // A binary string is only read as hex when it has exactly the hex digit count
+            if (/^[01]*$/.test(value) && (length === undefined || value.length !== Math.ceil(length / 4))) {
+                return PackedHash.fromBitString(value);
+            }
+            return PackedHash.fromHex(value, length);
+        }
+
+        if (value instanceof Uint32Array) {
+            return new PackedHash(length === undefined ? value.length * 32 : length, value.slice());
+        }
+
+        // Structured clones (postMessage, IndexedDB) keep the fields but lose the prototype
+        if (value && typeof value.length === 'number' && value.words) {
+            return new PackedHash(value.length, Uint32Array.from(value.words));
+        }
+
+        throw new TypeError('Unsupported hash value; expected PackedHash, hex string or bit string');
+    }
+
+    getBit(index) {
+        return (this.words[index >>> 5] >>> (31 - (index & 31))) & 1;
+    }
+
+    setBit(index) {
+        this.words[index >>> 5] |= 1 << (31 - (index & 31));
+    }
+
+    /**
+     * Helper: Zero any bits past `length` in the last word
+     */
+    clearPadding() {
+        const used = this.length & 31;
+        if (used !== 0) {
+            this.words[this.words.length - 1] &= ~0 << (32 - used);
+        }
+    }
+
+    /**
+     * Number of differing bits (popcount of the XOR)
+     */
+    distance(other) {
+        let distance = 0;
+        for (let i = 0; i < this.words.length; i++) {
+            distance += PackedHash.popcount(this.words[i] ^ other.words[i]);
+        }
+        return distance;
+    }
+
+    equals(other) {
+        return other instanceof PackedHash && this.length === other.length && this.distance(other) === 0;
+    }
+
+    toHex() {
+        const digits = Math.ceil(this.length / 4);
+        let hex = '';
+        for (let n = 0; n < digits; n++) {
+            hex += ((this.words[n >>> 3] >>> (28 - 4 * (n & 7))) & 15).toString(16);
+        }
+        return hex;
+    }
+
+    toBitString() {
+        let bits = '';
+        for (let i = 0; i < this.length; i++) {
+            bits += this.getBit(i) ? '1' : '0';
+        }
+        return bits;
+    }
+
+    toBigInt() {
+        const padding = Math.ceil(this.length / 4) * 4 - this.length;
+        return BigInt('0x' + (this.toHex() || '0')) >> BigInt(padding);
+    }
+
+    toString() {
+        return this.toHex();
+    }
+
+    toJSON() {
+        return this.toHex();
+    }
+
+    /**
+     * Helper: Count set bits in a 32-bit integer
+     */
+    static popcount(x) {
+        x = x - ((x >>> 1) & 0x55555555);
+        x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+        return Math.imul((x + (x >>> 4)) & 0x0F0F0F0F, 0x01010101) >>> 24;
+    }
+}
+
+/**
+ * Keypoints with 256-bit BRIEF descriptors, used to find crops (see ImageMatcher.computeKeypoints).
+ * Coordinates are in the source image's pixels. Serializes to JSON with hex descriptors.
+ */
+class KeypointSet {
+    /**
+     * @param {number} count - Number of keypoints
+     */
+    constructor(count) {
+        this.count = count;
+        this.x = new Float32Array(count);
+        this.y = new Float32Array(count);
+        // Source pixels per pyramid pixel at the level the keypoint was found on
+        this.scale = new Float32Array(count);
+        this.descriptors = new Uint32Array(count * KeypointSet.WORDS);
+    }
+
+    /**
+     * Coerce a KeypointSet or its JSON form to a KeypointSet
+     * @param {KeypointSet|{x: number[], y: number[], scale: number[], descriptors: string}} value
+     */
+    static from(value) {
+        if (value instanceof KeypointSet) {
+            return value;
+        }
+        if (!value || !Array.isArray(value.x) || typeof value.descriptors !== 'string') {
+            throw new TypeError('Unsupported keypoints value; expected KeypointSet or its JSON form');
+        }
+
+        const set = new KeypointSet(value.x.length);
+        if (value.descriptors.length !== set.descriptors.length * 8 || !/^[0-9a-fA-F]*$/.test(value.descriptors)) {
+            throw new Error(`Keypoint descriptors must be ${set.descriptors.length * 8} hex digits for ${set.count} keypoints`);
+        }
+        set.x.set(value.x);
+        set.y.set(value.y);
+        set.scale.set(value.scale);
+        for (let w = 0; w < set.descriptors.length; w++) {
+            set.descriptors[w] = parseInt(value.descriptors.substr(w * 8, 8), 16);
+        }
+        return set;
+    }
+
+    /**
+     * Hamming distance between descriptor i of this set and descriptor j of another
+     */
+    distance(i, other, j) {
+        let distance = 0;
+        for (let w = 0; w < KeypointSet.WORDS; w++) {
+            distance += PackedHash.popcount(this.descriptors[i * KeypointSet.WORDS + w] ^ other.descriptors[j * KeypointSet.WORDS + w]);
+        }
+        return distance;
+    }
+
+    toJSON() {
+        const round = value => Math.round(value * 100) / 100;
+        let descriptors = '';
+        for (const word of this.descriptors) {
+            descriptors += word.toString(16).padStart(8, '0');
+        }
+        return {
+            x: Array.from(this.x, round),
+            y: Array.from(this.y, round),
+            scale: Array.from(this.scale, round),
+            descriptors
+        };
+    }
+}
+
+/**
+ * 32-bit words per descriptor (256 bits)
+ */
+KeypointSet.WORDS = 8;
+
+/**
+ * BRIEF test pattern: 256 point pairs (x1, y1, x2, y2) around a keypoint, drawn once
+ * from a fixed seed with the isotropic Gaussian of the BRIEF paper (sigma = patch / 5)
+ */
+KeypointSet.PATTERN = (() => {
+    const random = createRandom(0x5eed);
+    const gaussian = () => {
+        const u = 1 - random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+    };
+    const radius = 13;
+    const pattern = new Int8Array(256 * 4);
+    for (let i = 0; i < pattern.length; i++) {
+        pattern[i] = Math.max(-radius, Math.min(radius, Math.round(gaussian() * 31 / 5)));
+    }
+    return pattern;
+})();
+
+/**
+ * Minimal EXIF/XMP reader for JPEG, PNG and WebP files (pure JS).
+ * Reads only what ImageMatcher uses: orientation, capture time, camera and GPS position.
+ * Malformed or truncated metadata is skipped, never thrown.
+ */
+class MetadataReader {
+    /**
+     * @param {ArrayBuffer|ArrayBufferView} bytes - The encoded image file
+     * @returns {{format: string|null, byteSize: number, orientation: number, capturedAt: string|null,
+     *          cameraMake: string|null, cameraModel: string|null,
+     *          gps: {latitude: number, longitude: number, altitude: number|null}|null}}
+     *          `orientation` is the EXIF value (1-8, 1 when absent); `capturedAt` is an ISO 8601
+     *          local time such as '2024-05-01T12:34:56', with the offset when the file records one
+     */
+    static read(bytes) {
+        const data = bytes instanceof Uint8Array ? bytes :
+            ArrayBuffer.isView(bytes) ? new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength) :
+            new Uint8Array(bytes);
+        const metadata = {
+            format: MetadataReader.detectFormat(data),
+            byteSize: data.length,
+            orientation: null,
+            capturedAt: null,
+            cameraMake: null,
+            cameraModel: null,
+            gps: null
+        };
+
+        const segments = { exif: [], xmp: [] };
+        try {
+            if (metadata.format === 'jpeg') MetadataReader.scanJpeg(data, segments);
+            if (metadata.format === 'png') MetadataReader.scanPng(data, segments);
+            if (metadata.format === 'webp') MetadataReader.scanWebp(data, segments);
+        } catch (error) {
+            // Keep the segments found before the damage
+        }
+
+        // EXIF first; XMP only fills in what EXIF left out
+        for (const tiff of segments.exif) {
+            try {
+                MetadataReader.readTiff(tiff, metadata);
+            } catch (error) {
+                // Skip a broken EXIF block
+            }
+        }
+        for (const xmp of segments.xmp) {
+            MetadataReader.readXmp(MetadataReader.decodeText(xmp), metadata);
+        }
+
+        if (metadata.orientation === null) metadata.orientation = 1;
+        return metadata;
+    }
+
+    /**
+     * Helper: Identify the container from its magic bytes
+     * @returns {string|null} 'jpeg', 'png', 'webp', 'gif' or null
+     */
+    static detectFormat(data) {
+        if (data[0] === 0xFF && data[1] === 0xD8 && data[2] === 0xFF) return 'jpeg';
+        if (MetadataReader.startsWith(data, 0, '\x89PNG\r\n\x1a\n')) return 'png';
+        if (MetadataReader.startsWith(data, 0, 'RIFF') && MetadataReader.startsWith(data, 8, 'WEBP')) return 'webp';
+        if (MetadataReader.startsWith(data, 0, 'GIF8')) return 'gif';
+        return null;
+    }
+
+    /**
+     * Helper: Collect APP1 EXIF and XMP segments, stopping where the image data starts
+     */
+    static scanJpeg(data, segments) {
+        let offset = 2;
+        while (offset + 4 <= data.length && data[offset] === 0xFF) {
+            const marker = data[offset + 1];
+            if (marker === 0xDA || marker === 0xD9) break;
+            // Fill bytes and standalone markers carry no length
+            if (marker === 0xFF) {
+                offset++;
+                continue;
+            }
+            if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+                offset += 2;
+                continue;
+            }
+
+            const start = offset + 4;
+            const end = Math.min(data.length, offset + 2 + ((data[offset + 2] << 8) | data[offset + 3]));
+            if (marker === 0xE1 && MetadataReader.startsWith(data, start, 'Exif\0\0')) {
+                segments.exif.push(data.subarray(start + 6, end));
+            } else if (marker === 0xE1 && MetadataReader.startsWith(data, start, MetadataReader.XMP_NAMESPACE + '\0')) {
+                segments.xmp.push(data.subarray(start + MetadataReader.XMP_NAMESPACE.length + 1, end));
+            }
+            offset = end;
+        }
+    }
+
+    /**
+     * Helper: Collect eXIf chunks and uncompressed XMP iTXt chunks
+     */
+    static scanPng(data, segments) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        let offset = 8;
+        while (offset + 8 <= data.length) {
+            const length = view.getUint32(offset);
+            const type = MetadataReader.decodeText(data.subarray(offset + 4, offset + 8));
+            const start = offset + 8;
+            const end = Math.min(data.length, start + length);
+            if (type === 'IEND') break;
+
+            if (type === 'eXIf') {
+                segments.exif.push(data.subarray(start, end));
+            } else if (type === 'iTXt' && MetadataReader.startsWith(data, start, 'XML:com.adobe.xmp\0')) {
+                // keyword\0, compression flag, method, language\0, translated keyword\0, text
+                let text = start + 18;
+                if (data[text] === 0) {
+                    text += 2;
+                    for (let zeros = 0; zeros < 2 && text < end; text++) {
+                        if (data[text] === 0) zeros++;
+                    }
+                    segments.xmp.push(data.subarray(text, end));
+                }
+            }
+            offset = end + 4;
+        }
+    }
+
+    /**
+     * Helper: Collect the EXIF and XMP chunks of a RIFF WebP file
+     */
+    static scanWebp(data, segments) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        let offset = 12;
+        while (offset + 8 <= data.length) {
+            const type = MetadataReader.decodeText(data.subarray(offset, offset + 4));
+            const length = view.getUint32(offset + 4, true);
+            const start = offset + 8;
+            const end = Math.min(data.length, start + length);
+
+            if (type === 'EXIF') {
+                // Some encoders keep the JPEG "Exif\0\0" prefix
+                segments.exif.push(data.subarray(MetadataReader.startsWith(data, start, 'Exif\0\0') ? start + 6 : start, end));
+            } else if (type === 'XMP ') {
+                segments.xmp.push(data.subarray(start, end));
+            }
+            offset = end + (length & 1);
+        }
+    }
+
+    /**
+     * Helper: Read orientation, capture time, camera and GPS tags from a TIFF-structured EXIF block
+     */
+    static readTiff(data, metadata) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const byteOrder = view.getUint16(0);
+        if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return;
+        const little = byteOrder === 0x4949;
+        if (view.getUint16(2, little) !== 42) return;
+
+        const readValue = (type, offset, count) => {
+            if (type === 2) {
+                let end = offset;
+                while (end < offset + count && data[end] !== 0) end++;
+                return MetadataReader.decodeText(data.subarray(offset, end)).trim();
+            }
+            // Only short arrays are needed (GPS triples); maker notes can be huge
+            const values = [];
+            const size = MetadataReader.TIFF_TYPE_SIZES[type];
+            for (let i = 0; i < Math.min(count, 8); i++) {
+                const at = offset + i * size;
+                switch (type) {
+                    case 3: values.push(view.getUint16(at, little)); break;
+                    case 4: values.push(view.getUint32(at, little)); break;
+                    case 5: values.push(view.getUint32(at, little) / view.getUint32(at + 4, little)); break;
+                    case 9: values.push(view.getInt32(at, little)); break;
+                    case 10: values.push(view.getInt32(at, little) / view.getInt32(at + 4, little)); break;
+                    default: values.push(data[at]);
+                }
+            }
+            return values;
+        };
+        const readIfd = (offset) => {
+            const tags = {};
+            const count = view.getUint16(offset, little);
+            for (let n = 0; n < count; n++) {
+                const entry = offset + 2 + n * 12;
+                const type = view.getUint16(entry + 2, little);
+                const size = MetadataReader.TIFF_TYPE_SIZES[type];
+                if (!size) continue;
+                const valueCount = view.getUint32(entry + 4, little);
+                const valueOffset = size * valueCount > 4 ? view.getUint32(entry + 8, little) : entry + 8;
+                tags[view.getUint16(entry, little)] = readValue(type, valueOffset, valueCount);
+            }
+            return tags;
+        };
+
+        const ifd0 = readIfd(view.getUint32(4, little));
+        const exif = ifd0[0x8769] ? readIfd(ifd0[0x8769][0]) : {};
+        const gps = ifd0[0x8825] ? readIfd(ifd0[0x8825][0]) : {};
+
+        const orientation = ifd0[0x0112] && ifd0[0x0112][0];
+        if (metadata.orientation === null && orientation >= 1 && orientation <= 8) {
+            metadata.orientation = orientation;
+        }
+        metadata.cameraMake = metadata.cameraMake || ifd0[0x010F] || null;
+        metadata.cameraModel = metadata.cameraModel || ifd0[0x0110] || null;
+        metadata.capturedAt = metadata.capturedAt ||
+            MetadataReader.parseDate(exif[0x9003] || exif[0x9004] || ifd0[0x0132], exif[0x9011]);
+
+        // GPS: latitude (1, 2), longitude (3, 4) and altitude (5, 6)
+        if (!metadata.gps && Array.isArray(gps[2]) && Array.isArray(gps[4])) {
+            const degrees = ([d, m = 0, s = 0]) => d + m / 60 + s / 3600;
+            const latitude = degrees(gps[2]) * (gps[1] === 'S' ? -1 : 1);
+            const longitude = degrees(gps[4]) * (gps[3] === 'W' ? -1 : 1);
+            if (isFinite(latitude) && isFinite(longitude)) {
+                const altitude = Array.isArray(gps[6]) && isFinite(gps[6][0]) ?
+                    gps[6][0] * (Array.isArray(gps[5]) && gps[5][0] === 1 ? -1 : 1) : null;
+                metadata.gps = { latitude, longitude, altitude };
+            }
+        }
+    }
+
+    /**
+     * Helper: Fill fields EXIF did not provide from an XMP packet
+     */
+    static readXmp(text, metadata) {
+        const field = (name) => {
+            const match = new RegExp(`${name}\\s*=\\s*"([^"]*)"|<${name}>([^<]*)</${name}>`).exec(text);
+            return match ? (match[1] !== undefined ? match[1] : match[2]).trim() : null;
+        };
+
+        const orientation = parseInt(field('tiff:Orientation'), 10);
+        if (metadata.orientation === null && orientation >= 1 && orientation <= 8) {
+            metadata.orientation = orientation;
+        }
+        metadata.cameraMake = metadata.cameraMake || field('tiff:Make');
+        metadata.cameraModel = metadata.cameraModel || field('tiff:Model');
+        metadata.capturedAt = metadata.capturedAt ||
+            MetadataReader.parseDate(field('exif:DateTimeOriginal') || field('xmp:CreateDate') || field('photoshop:DateCreated'));
+
+        // XMP writes coordinates as "51,30.25N" or "51,30,15N"
+        const coordinate = (value) => {
+            const match = /^(\d+(?:\.\d+)?),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/.exec(value || '');
+            if (!match) return null;
+            const degrees = Number(match[1]) + Number(match[2]) / 60 + Number(match[3] || 0) / 3600;
+            return match[4] === 'S' || match[4] === 'W' ? -degrees : degrees;
+        };
+        const latitude = coordinate(field('exif:GPSLatitude'));
+        const longitude = coordinate(field('exif:GPSLongitude'));
+        if (!metadata.gps && latitude !== null && longitude !== null) {
+            const [numerator, denominator = 1] = (field('exif:GPSAltitude') || '').split('/').map(Number);
+            const altitude = numerator / denominator;
+            metadata.gps = {
+                latitude,
+                longitude,
+                altitude: isFinite(altitude) ? altitude * (field('exif:GPSAltitudeRef') === '1' ? -1 : 1) : null
+            };
+        }
+    }
+
+    /**
+     * Helper: Normalize an EXIF ("2024:05:01 12:34:56") or XMP date to ISO 8601 local time
+     * @param {string} [value]
+     * @param {string} [offset] - EXIF OffsetTime, e.g. '+02:00'
+     * @returns {string|null}
+     */
+    static parseDate(value, offset) {
+        const match = /^(\d{4})[:-](\d{2})[:-](\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?(?:\.\d+)?(Z|[+-]\d{2}:\d{2})?/.exec(value || '');
+        if (!match || match[1] === '0000') return null;
+
+        const [, year, month, day, hours = '00', minutes = '00', seconds = '00', zone] = match;
+        const suffix = zone || (typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : '');
+        return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}${suffix}`;
+    }
+
+    /**
+     * Helper: Check for an ASCII signature at an offset
+     */
+    static startsWith(data, offset, signature) {
+        if (offset + signature.length > data.length) return false;
+        for (let i = 0; i < signature.length; i++) {
+            if (data[offset + i] !== signature.charCodeAt(i)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Helper: Decode UTF-8 bytes (Latin-1 where TextDecoder is missing)
+     */
+    static decodeText(bytes) {
+        if (typeof TextDecoder !== 'undefined') {
+            return new TextDecoder('utf-8').decode(bytes);
+        }
+        let text = '';
+        for (let i = 0; i < bytes.length; i++) text += String.fromCharCode(bytes[i]);
+        return text;
+    }
+}
+
+/**
+ * Byte size of each TIFF field type, by type code
+ */
+MetadataReader.TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Signature of XMP packets in JPEG APP1 segments
+ */
+MetadataReader.XMP_NAMESPACE = 'http://ns.adobe.com/xap/1.0/';
+
+/**
+ * Compact binary form of a fingerprint export (see ImageMatcher.exportFingerprints).
+ * Layout: the magic 'IMFP', a uint8 layout version, a uint32 byte length and the UTF-8 JSON
+ * header ({ format, version, parameters, count }), then one record per fingerprint. Numbers
+ * are little-endian; hashes and descriptors are stored in the bit order of their hex form,
+ * histogram values, Lab colors and keypoint positions as 32-bit floats.
+ */
+class FingerprintCodec {
+    /**
+     * Check whether bytes start with the binary export magic
+     * @param {ArrayBuffer|ArrayBufferView} bytes
+     */
+    static isBinary(bytes) {
+        const data = FingerprintCodec.toBytes(bytes);
+        return data.length >= 4 && FingerprintCodec.MAGIC.every((byte, i) => data[i] === byte);
+    }
+
+    /**
+     * @param {Object} header - { format, version, parameters, count }
+     * @param {Array<Object>} fingerprints - Serialized fingerprints (hashes as hex)
+     * @returns {Uint8Array}
+     */
+    static encode(header, fingerprints) {
+        let buffer = new Uint8Array(1024);
+        let view = new DataView(buffer.buffer);
+        let offset = 0;
+        const reserve = (size) => {
+            if (offset + size <= buffer.length) return;
+            const grown = new Uint8Array(Math.max(buffer.length * 2, offset + size));
+            grown.set(buffer);
+            buffer = grown;
+            view = new DataView(buffer.buffer);
+        };
+        const encoder = new TextEncoder();
+        const writeUint8 = (value) => { reserve(1); view.setUint8(offset, value); offset += 1; };
+        const writeUint16 = (value) => { reserve(2); view.setUint16(offset, value, true); offset += 2; };
+        const writeUint32 = (value) => { reserve(4); view.setUint32(offset, value, true); offset += 4; };
+        const writeFloat32 = (value) => { reserve(4); view.setFloat32(offset, value, true); offset += 4; };
+        const writeFloat64 = (value) => { reserve(8); view.setFloat64(offset, value, true); offset += 8; };
+        const writeBytes = (bytes) => { reserve(bytes.length); buffer.set(bytes, offset); offset += bytes.length; };
+        const writeString = (text) => {
+            const bytes = encoder.encode(text);
+            writeUint32(bytes.length);
+            writeBytes(bytes);
+        };
+        const writeHex = (hex) => {
+            const padded = hex.length % 2 ? hex + '0' : hex;
+            for (let i = 0; i < padded.length; i += 2) writeUint8(parseInt(padded.substr(i, 2), 16));
+        };
+        const writeHashes = (entry) => {
+            for (const name of FingerprintCodec.HASHES) {
+                if (entry[name] !== undefined) writeHex(entry[name]);
+            }
+        };
+        // Histograms are mostly empty bins, so they are stored sparsely when that is smaller
+        const writeValues = (values) => {
+            const nonZero = values.reduce((count, value) => count + (value !== 0 ? 1 : 0), 0);
+            const sparse = nonZero * 8 < values.length * 4;
+            writeUint8(sparse ? 1 : 0);
+            writeUint32(values.length);
+            if (!sparse) {
+                values.forEach(writeFloat32);
+                return;
+            }
+            writeUint32(nonZero);
+            values.forEach((value, i) => {
+                if (value === 0) return;
+                writeUint32(i);
+                writeFloat32(value);
+            });
+        };
+
+        writeBytes(FingerprintCodec.MAGIC);
+        writeUint8(FingerprintCodec.LAYOUT_VERSION);
+        writeString(JSON.stringify(header));
+
+        for (const fingerprint of fingerprints) {
+            let flags = 0;
+            FingerprintCodec.FIELDS.forEach((field, bit) => {
+                if (fingerprint[field] !== undefined && fingerprint[field] !== null) flags |= 1 << bit;
+            });
+
+            writeString(fingerprint.id);
+            writeUint16(flags);
+            writeUint32(fingerprint.width);
+            writeUint32(fingerprint.height);
+            writeFloat64(fingerprint.fileSize || 0);
+            writeFloat64(fingerprint.processedAt || 0);
+            writeHashes(fingerprint);
+
+            const histogram = fingerprint.colorHistogram;
+            if (histogram) {
+                const channels = Array.isArray(histogram.r) ? [histogram.r, histogram.g, histogram.b] : [histogram.values];
+                writeString(Array.isArray(histogram.r) ? '' : histogram.space);
+                if (!Array.isArray(histogram.r)) histogram.bins.forEach(writeUint8);
+                channels.forEach(writeValues);
+            }
+            if (fingerprint.dominantColors) {
+                writeUint8(fingerprint.dominantColors.length);
+                for (const color of fingerprint.dominantColors) {
+                    [color.r, color.g, color.b].forEach(writeUint8);
+                    (color.lab || [0, 0, 0]).forEach(writeFloat32);
+                    writeFloat32(color.share !== undefined ? color.share : -1);
+                }
+            }
+            if (fingerprint.orientations) {
+                if (fingerprint.orientations.some(entry => FingerprintCodec.HASHES.some(name =>
+                    (entry[name] === undefined) !== (fingerprint[name] === undefined)))) {
+                    throw new Error(`Fingerprint "${fingerprint.id}" has orientation hashes that do not match its own hashes`);
+                }
+                writeUint8(fingerprint.orientations.length);
+                fingerprint.orientations.forEach(writeHashes);
+            }
+            if (fingerprint.keypoints) {
+                const { x, y, scale, descriptors } = fingerprint.keypoints;
+                writeUint32(x.length);
+                for (let i = 0; i < x.length; i++) {
+                    writeFloat32(x[i]);
+                    writeFloat32(y[i]);
+                    writeFloat32(scale[i]);
+                }
+                writeHex(descriptors);
+            }
+            if (fingerprint.metadata) writeString(JSON.stringify(fingerprint.metadata));
+            if (fingerprint.contentHash) writeString(fingerprint.contentHash);
+            if (fingerprint.video) {
+                const { duration, interval, keyframe, frames } = fingerprint.video;
+                if (frames.some(frame => FingerprintCodec.HASHES.some(name =>
+                    (frame[name] === undefined) !== (fingerprint[name] === undefined)))) {
+                    throw new Error(`Fingerprint "${fingerprint.id}" has keyframe hashes that do not match its own hashes`);
+                }
+                [duration, interval, keyframe].forEach(writeFloat64);
+                writeUint32(frames.length);
+                for (const frame of frames) {
+                    writeFloat64(frame.time);
+                    writeHashes(frame);
+                }
+            }
+        }
+
+        return buffer.slice(0, offset);
+    }
+
+    /**
+     * @param {ArrayBuffer|ArrayBufferView} bytes
+     * @returns {Object} The export in its JSON form: { format, version, parameters, count, fingerprints }
+     * @throws {Error} If the bytes are not a binary export or are truncated
+     */
+    static decode(bytes) {
+        const data = FingerprintCodec.toBytes(bytes);
+        if (!FingerprintCodec.isBinary(data)) {
+            throw new Error('Not a binary fingerprint export (missing IMFP header)');
+        }
+        if (data[4] !== FingerprintCodec.LAYOUT_VERSION) {
+            throw new Error(`Unsupported binary fingerprint layout ${data[4]} (expected ${FingerprintCodec.LAYOUT_VERSION})`);
+        }
+
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const decoder = new TextDecoder();
+        let offset = 5;
+        const take = (size) => {
+            if (offset + size > data.length) {
+                throw new Error('Binary fingerprint export is truncated');
+            }
+            const start = offset;
+            offset += size;
+            return start;
+        };
+        const readUint8 = () => view.getUint8(take(1));
+        const readUint16 = () => view.getUint16(take(2), true);
+        const readUint32 = () => view.getUint32(take(4), true);
+        const readFloat32 = () => view.getFloat32(take(4), true);
+        const readFloat64 = () => view.getFloat64(take(8), true);
+        const readString = () => {
+            const length = readUint32();
+            const start = take(length);
+            return decoder.decode(data.subarray(start, start + length));
+        };
+        const readHex = (bits) => {
+            const digits = Math.ceil(bits / 4);
+            const start = take(Math.ceil(digits / 2));
+            let hex = '';
+            for (let i = start; i < offset; i++) hex += data[i].toString(16).padStart(2, '0');
+            return hex.slice(0, digits);
+        };
+
+        let header;
+        try {
+            header = JSON.parse(readString());
+        } catch (error) {
+            throw new Error(`Binary fingerprint export has an unreadable header: ${error.message}`);
+        }
+        const hashBits = (header.parameters && header.parameters.hashBits) || {};
+        const keypointBits = header.parameters && header.parameters.keypointBits;
+        const readValues = () => {
+            const sparse = readUint8() === 1;
+            const values = new Array(readUint32()).fill(0);
+            if (!sparse) return values.map(readFloat32);
+            const nonZero = readUint32();
+            for (let n = 0; n < nonZero; n++) {
+                const index = readUint32();
+                if (index >= values.length) {
+                    throw new Error('Binary fingerprint export has a histogram bin out of range');
+                }
+                values[index] = readFloat32();
+            }
+            return values;
+        };
+        const readHashes = (flags) => {
+            const entry = {};
+            FingerprintCodec.HASHES.forEach(name => {
+                if (flags & (1 << FingerprintCodec.FIELDS.indexOf(name))) {
+                    if (!(hashBits[name] > 0)) {
+                        throw new Error(`Binary fingerprint export has no bit count for ${name}`);
+                    }
+                    entry[name] = readHex(hashBits[name]);
+                }
+            });
+            return entry;
+        };
+
+        const fingerprints = [];
+        for (let n = 0; n < header.count; n++) {
+            const id = readString();
+            const flags = readUint16();
+            const has = field => (flags & (1 << FingerprintCodec.FIELDS.indexOf(field))) !== 0;
+            const width = readUint32();
+            const height = readUint32();
+            const fingerprint = { id, width, height, aspectRatio: width / height, fileSize: readFloat64() };
+            const processedAt = readFloat64();
+            Object.assign(fingerprint, readHashes(flags));
+
+            if (has('colorHistogram')) {
+                const space = readString();
+                const bins = space ? [readUint8(), readUint8(), readUint8()] : null;
+                const channels = [];
+                for (let c = 0; c < (space ? 1 : 3); c++) {
+                    channels.push(readValues());
+                }
+                fingerprint.colorHistogram = space ?
+                    { space, bins, values: channels[0] } :
+                    { r: channels[0], g: channels[1], b: channels[2] };
+            }
+            if (has('dominantColors')) {
+                fingerprint.dominantColors = Array.from({ length: readUint8() }, () => {
+                    const color = { r: readUint8(), g: readUint8(), b: readUint8(), lab: [readFloat32(), readFloat32(), readFloat32()] };
+                    const share = readFloat32();
+                    if (share >= 0) color.share = share;
+                    return color;
+                });
+            }
+            if (has('orientations')) {
+                fingerprint.orientations = Array.from({ length: readUint8() }, () => readHashes(flags));
+            }
+            if (has('keypoints')) {
+                if (!(keypointBits > 0)) {
+                    throw new Error('Binary fingerprint export has no keypoint descriptor size');
+                }
+                const count = readUint32();
+                const keypoints = { x: [], y: [], scale: [], descriptors: '' };
+                for (let i = 0; i < count; i++) {
+                    keypoints.x.push(readFloat32());
+                    keypoints.y.push(readFloat32());
+                    keypoints.scale.push(readFloat32());
+                }
+                keypoints.descriptors = readHex(count * keypointBits);
+                fingerprint.keypoints = keypoints;
+            }
+            fingerprint.metadata = has('metadata') ? JSON.parse(readString()) : null;
+            if (has('contentHash')) fingerprint.contentHash = readString();
+            if (has('video')) {
+                const video = { duration: readFloat64(), interval: readFloat64(), keyframe: readFloat64() };
+                video.frames = Array.from({ length: readUint32() }, () => ({ time: readFloat64(), ...readHashes(flags) }));
+                fingerprint.video = video;
+            }
+            fingerprint.processedAt = processedAt;
+            fingerprints.push(fingerprint);
+        }
+
+        return { ...header, fingerprints };
+    }
+
+    /**
+     * Helper: View bytes as a Uint8Array
+     */
+    static toBytes(bytes) {
+        return bytes instanceof Uint8Array ? bytes :
+            ArrayBuffer.isView(bytes) ? new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength) :
+            new Uint8Array(bytes);
+    }
+}
+
+/**
+ * 'IMFP'
+ */
+FingerprintCodec.MAGIC = [0x49, 0x4d, 0x46, 0x50];
+
+/**
+ * Version of the binary record layout (independent of ImageMatcher.FINGERPRINT_VERSION)
+ */
+FingerprintCodec.LAYOUT_VERSION = 1;
+
+/**
+ * Optional record fields, by flag bit
+ */
+FingerprintCodec.FIELDS = ['aHash', 'dHash', 'pHash', 'edgeHash', 'colorHistogram', 'dominantColors', 'orientations', 'keypoints', 'metadata', 'contentHash', 'video'];
+
+/**
+ * Hash fields, in record order
+ */
+FingerprintCodec.HASHES = ['aHash', 'dHash', 'pHash', 'edgeHash'];
+
+/**
+ * BK-tree over PackedHash values for Hamming radius queries.
+ * Used to find candidate pairs without comparing every image against every other one.
+ */
+class HashIndex {
     constructor() {
+        this.root = null;
+        this.nodes = new Map();
+        this.insertions = 0;
+    }
+
+    get size() {
+        return this.nodes.size;
+    }
+
+    has(id) {
+        return this.nodes.has(id);
+    }
+
+    /**
+     * Add a hash under an id (replaces any existing entry for that id)
+     */
+    add(id, hash) {
+        if (this.nodes.has(id)) {
+            this.remove(id);
+        }
+
+        const node = { id, hash, order: this.insertions++, deleted: false, children: new Map() };
+        this.nodes.set(id, node);
+
+        if (!this.root) {
+            this.root = node;
+            return;
+        }
+
+        let current = this.root;
+        for (;;) {
+            const distance = current.hash.distance(hash);
+            const child = current.children.get(distance);
+            if (!child) {
+                current.children.set(distance, node);
+                return;
+            }
+            current = child;
+        }
+    }
+
+    /**
+     * Remove an id. The tree node stays as a routing tombstone.
+     */
+    remove(id) {
+        const node = this.nodes.get(id);
+        if (!node) return false;
+
+        node.deleted = true;
+        this.nodes.delete(id);
+        return true;
+    }
+
+    clear() {
+        this.root = null;
+        this.nodes.clear();
+    }
+
+    /**
+     * Find every entry within a Hamming radius of a hash
+     * @returns {Array<{id: *, distance: number}>} Sorted by distance, then insertion order
+     */
+    search(hash, radius) {
+        const results = [];
+        if (!this.root) return results;
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const distance = node.hash.distance(hash);
+
+            if (distance <= radius && !node.deleted) {
+                results.push({ id: node.id, distance, order: node.order });
+            }
+
+            // Triangle inequality: only children keyed within [d - r, d + r] can match
+            for (const [childDistance, child] of node.children) {
+                if (childDistance >= distance - radius && childDistance <= distance + radius) {
+                    stack.push(child);
+                }
+            }
+        }
+
+        return results
+            .sort((a, b) => a.distance - b.distance || a.order - b.order)
+            .map(({ id, distance }) => ({ id, distance }));
+    }
+}
+
+/**
+ * In-memory fingerprint store.
+ * Every store exposes the same async interface: get(id), set(id, record), delete(id), clear().
+ * Records look like { id, contentHash, version, fingerprint } with JSON-safe fingerprints.
+ */
+class MemoryFingerprintStore {
+    constructor() {
+        this.records = new Map();
+    }
+
+    async get(id) {
+        return this.records.get(id) || null;
+    }
+
+    async set(id, record) {
+        this.records.set(id, record);
+    }
+
+    async delete(id) {
+        this.records.delete(id);
+    }
+
+    async clear() {
+        this.records.clear();
+    }
+}
+
+/**
+ * Fingerprint store backed by IndexedDB, so fingerprints survive page reloads
+ */
+class IndexedDBFingerprintStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dbName='image-matcher']
+     * @param {string} [options.storeName='fingerprints']
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'image-matcher';
+        this.storeName = options.storeName || 'fingerprints';
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Helper: Run one request in its own transaction and resolve with its result
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async get(id) {
+        return (await this.request('readonly', store => store.get(id))) || null;
+    }
+
+    async set(id, record) {
+        await this.request('readwrite', store => store.put({ ...record, id }));
+    }
+
+    async delete(id) {
+        await this.request('readwrite', store => store.delete(id));
+    }
+
+    async clear() {
+        await this.request('readwrite', store => store.clear());
+    }
+}
+
+/**
+ * A findSimilarImages run that can be paused, resumed and cancelled.
+ * Pausing takes effect at the next checkpoint: before the next image is started,
+ * between the processing and comparing phases, or between comparison rows.
+ * Create one with matcher.createJob(images, threshold, options).
+ */
+class SimilarityJob {
+    /**
+     * @param {ImageMatcher} matcher
+     * @param {Array<Object>} images
+     * @param {number} similarityThreshold
+     * @param {Object} [options] - findSimilarImages options, plus progressCallback
+     */
+    constructor(matcher, images, similarityThreshold = null, options = {}) {
+        this.matcher = matcher;
+        this.images = images;
+        this.similarityThreshold = similarityThreshold;
+        this.options = options;
+
+        // idle | processing | comparing | paused | done | cancelled | failed
+        this.state = 'idle';
+        this.phase = null;
+        this.progress = null;
+        this.result = null;
+        this.error = null;
+        this.promise = null;
+        // Images that failed so far, as in findSimilarImages' `failures`
+        this.failures = [];
+
+        this.controller = new AbortController();
+        this.pauseRequested = false;
+        this.resumeWaiters = [];
+
+        // An external signal cancels the job too
+        if (options.signal) {
+            if (options.signal.aborted) {
+                this.cancel(options.signal.reason);
+            } else {
+                options.signal.addEventListener('abort', () => this.cancel(options.signal.reason), { once: true });
+            }
+        }
+    }
+
+    get isPaused() {
+        return this.state === 'paused';
+    }
+
+    /**
+     * Start the run (idempotent)
+     * @returns {Promise<Array<Object>>} Groups, or rejects with an AbortError when cancelled
+     */
+    start() {
+        if (!this.promise) {
+            this.promise = this.run();
+        }
+        return this.promise;
+    }
+
+    async run() {
+        const { progressCallback, ...options } = this.options;
+        this.state = 'processing';
+        this.phase = 'processing';
+
+        try {
+            const groups = await this.matcher.findSimilarImages(this.images, this.similarityThreshold, (progress) => {
+                this.progress = progress;
+                this.phase = progress.phase;
+                if (progress.failure) this.failures.push(progress.failure);
+                if (!this.isPaused) this.state = progress.phase;
+                if (progressCallback) progressCallback(progress);
+            }, {
+                ...options,
+                signal: this.controller.signal,
+                checkpoint: (point) => this.checkpoint(point)
+            });
+
+            this.state = 'done';
+            this.result = groups;
+            return groups;
+        } catch (error) {
+            this.state = this.controller.signal.aborted ? 'cancelled' : 'failed';
+            this.error = error;
+            throw error;
+        }
+    }
+
+    /**
+     * Helper: Wait here while a pause is requested
+     */
+    async checkpoint(point) {
+        this.phase = point.phase;
+        if (!this.pauseRequested || this.controller.signal.aborted) return;
+
+        this.state = 'paused';
+        while (this.pauseRequested && !this.controller.signal.aborted) {
+            await new Promise(resolve => this.resumeWaiters.push(resolve));
+        }
+        if (!this.controller.signal.aborted) {
+            this.state = this.phase;
+        }
+    }
+
+    /**
+     * Pause at the next checkpoint. Images already being processed still finish.
+     */
+    pause() {
+        if (this.state === 'done' || this.state === 'cancelled' || this.state === 'failed') return;
+        this.pauseRequested = true;
+    }
+
+    resume() {
+        this.pauseRequested = false;
+        const waiters = this.resumeWaiters;
+        this.resumeWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * Abort the run; start() rejects with an AbortError. Finished fingerprints stay cached.
+     */
+    cancel(reason) {
+        if (this.controller.signal.aborted) return;
+        this.controller.abort(reason);
+        if (this.state === 'idle') this.state = 'cancelled';
+        this.resume();
+    }
+}
+
+class ImageMatcher {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.store] - Persistent fingerprint store (MemoryFingerprintStore,
+     *        IndexedDBFingerprintStore, or any object with async get/set/delete/clear)
+     * @param {boolean} [options.useWorkers=true] - Fingerprint in Web Workers when available
+     * @param {number} [options.concurrency] - Worker count, defaults to the CPU count minus one (max 4)
+     * @param {string} [options.workerUrl] - URL of image-matcher.js, if it cannot be detected
+     * @param {string} [options.profile='default'] - Scoring preset from ImageMatcher.PROFILES
+     *        ('default', 'exact' or 'similar'); also sets the default threshold
+     * @param {number} [options.threshold] - Default similarity threshold, overriding the profile's
+     * @param {Object} [options.weights] - Weight per algorithm, merged over the profile's weights.
+     *        Weights of enabled algorithms are rescaled to sum to 1.
+     * @param {Object} [options.algorithms] - Set an algorithm to false to skip computing it
+     * @param {Object} [options.minSimilarity] - Per-algorithm minimum similarity (0-1) a pair
+     *        must reach to be grouped, whatever its overall score
+     * @param {boolean} [options.orientations=false] - Also hash the 8 rotations and mirror images,
+     *        so rotated or flipped copies match; compareImages reports the orientation
+     * @param {boolean} [options.crops=false] - Also detect keypoints, so an image that is a crop
+     *        of another matches it; compareImages reports the cropped region
+     * @param {Object} [options.histogram] - Color histogram layout and metric:
+     *        { space: 'rgb'|'hsv'|'lab', bins: [n, n, n] joint bins (e.g. [8, 8, 8]; omit with 'rgb'
+     *        for the 256-bin channel histograms), metric: 'correlation'|'intersection'|
+     *        'bhattacharyya'|'chiSquare' }. Defaults to { space: 'rgb', metric: 'correlation' }.
+     * @param {Function} [options.decoder] - (bytes: Uint8Array) => {width, height, data} pixels,
+     *        for encoded inputs (Blob, ArrayBuffer, data URL) where there is no
+     *        createImageBitmap or Image to decode them, e.g. decodeImageBuffer from decode-image.js in Node
+     * @throws {Error} If the scoring options are invalid
+     */
+    constructor(options = {}) {
         this.cache = new Map();
+        this.store = options.store || null;
+        this.decoder = options.decoder || null;
+        this.useWorkers = options.useWorkers !== false;
+        this.concurrency = options.concurrency || ImageMatcher.defaultConcurrency();
+        this.workerUrl = options.workerUrl || IMAGE_MATCHER_SCRIPT_URL;
+        this.workersFailed = false;
         this.workers = [];
         this.processingQueue = [];
         this.isProcessing = false;
+        this.dctCosines = new Map();
+        this.normalizedFingerprints = new WeakMap();
+        this.orientedViews = new WeakMap();
+        this.frameViews = new WeakMap();
+
+        // Weights, enabled algorithms and minimums used by processImage and compareImages
+        this.scoring = this.resolveScoring(options);
+        this.scoringCache = new WeakMap();
+
+        // Searchable collection for search(): fingerprints by id and a pHash BK-tree
+        this.collection = new Map();
+        this.searchIndex = new HashIndex();
+    }
+
+    /**
+     * Resolve scoring options into validated weights, enabled algorithms and minimums.
+     * Options are merged over `base` (a resolved scoring); a profile replaces the base.
+     * @param {Object} options - { profile, threshold, weights, algorithms, minSimilarity, orientations,
+     *        crops, histogram }
+     * @param {Object} [base] - Defaults to the 'default' profile
+     * @returns {Object} { profile, threshold, weights, algorithms, minSimilarity, orientations,
+     *          crops, histogram, enabled, normalized }
+     * @throws {Error} On unknown profiles or algorithms, or invalid weights and minimums
+     */
+    resolveScoring(options = {}, base = null) {
+        const names = Object.keys(ImageMatcher.DEFAULT_WEIGHTS);
+        const checkObject = (value, label) => {
+            if (value === undefined) return {};
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error(`${label} must be an object keyed by algorithm name`);
+            }
+            for (const name of Object.keys(value)) {
+                if (!names.includes(name)) {
+                    throw new Error(`Unknown algorithm "${name}" in ${label} (expected one of: ${names.join(', ')})`);
+                }
+            }
+            return value;
+        };
+
+        let start = base;
+        if (options.profile !== undefined || !start) {
+            const profileName = options.profile !== undefined ? options.profile : 'default';
+            const profile = ImageMatcher.PROFILES[profileName];
+            if (!profile) {
+                throw new Error(`Unknown profile "${profileName}" (expected one of: ${Object.keys(ImageMatcher.PROFILES).join(', ')})`);
+            }
+            start = { ...profile, profile: profileName, weights: { ...ImageMatcher.DEFAULT_WEIGHTS, ...profile.weights } };
+        }
+
+        const weights = { ...start.weights, ...checkObject(options.weights, 'weights') };
+        const algorithms = { ...start.algorithms, ...checkObject(options.algorithms, 'algorithms') };
+        const minSimilarity = { ...start.minSimilarity, ...checkObject(options.minSimilarity, 'minSimilarity') };
+        const orientations = options.orientations !== undefined ? options.orientations : Boolean(start.orientations);
+        if (typeof orientations !== 'boolean') {
+            throw new Error(`orientations must be true or false, got ${orientations}`);
+        }
+        const crops = options.crops !== undefined ? options.crops : Boolean(start.crops);
+        if (typeof crops !== 'boolean') {
+            throw new Error(`crops must be true or false, got ${crops}`);
+        }
+        const histogram = this.resolveHistogram(options.histogram, start.histogram);
+        const threshold = options.threshold !== undefined ? options.threshold : start.threshold;
+        if (typeof threshold !== 'number' || !(threshold > 0 && threshold <= 1)) {
+            throw new Error(`threshold must be a number between 0 and 1, got ${threshold}`);
+        }
+
+        for (const name of names) {
+            const weight = weights[name];
+            if (typeof weight !== 'number' || !isFinite(weight) || weight < 0) {
+                throw new Error(`Weight for ${name} must be a non-negative number, got ${weight}`);
+            }
+            if (algorithms[name] !== undefined && typeof algorithms[name] !== 'boolean') {
+                throw new Error(`algorithms.${name} must be true or false, got ${algorithms[name]}`);
+            }
+            const minimum = minSimilarity[name];
+            if (minimum !== undefined) {
+                if (typeof minimum !== 'number' || !(minimum >= 0 && minimum <= 1)) {
+                    throw new Error(`minSimilarity.${name} must be a number between 0 and 1, got ${minimum}`);
+                }
+                if (algorithms[name] === false) {
+                    throw new Error(`minSimilarity.${name} is set but ${name} is disabled`);
+                }
+            }
+        }
+
+        // Zero-weight algorithms are only computed when a minimum still needs them
+        const enabled = names.filter(name =>
+            algorithms[name] !== false && (weights[name] > 0 || minSimilarity[name] !== undefined));
+        const total = enabled.reduce((sum, name) => sum + weights[name], 0);
+        if (total <= 0) {
+            throw new Error('At least one enabled algorithm needs a positive weight');
+        }
+
+        // Rescale only when needed, so the default weights score exactly as before
+        const normalized = {};
+        for (const name of enabled) {
+            normalized[name] = Math.abs(total - 1) > 1e-9 ? weights[name] / total : weights[name];
+        }
+
+        return {
+            profile: start.profile,
+            threshold,
+            weights,
+            algorithms,
+            minSimilarity,
+            orientations,
+            crops,
+            histogram,
+            enabled,
+            normalized
+        };
+    }
+
+    /**
+     * Helper: Validate histogram options merged over a base configuration
+     * @returns {{space: string, bins: Array<number>|null, metric: string}}
+     * @throws {Error} On an unknown space or metric, or invalid bins
+     */
+    resolveHistogram(options, base = ImageMatcher.DEFAULT_HISTOGRAM) {
+        if (options === undefined) return base || ImageMatcher.DEFAULT_HISTOGRAM;
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            throw new Error('histogram must be an object such as { space: \'hsv\', bins: [8, 8, 8], metric: \'intersection\' }');
+        }
+
+        const start = base || ImageMatcher.DEFAULT_HISTOGRAM;
+        const space = options.space !== undefined ? options.space : start.space;
+        const metric = options.metric !== undefined ? options.metric : start.metric;
+        // A new space without bins gets the default joint bins, except RGB's channel histograms
+        let bins = options.bins !== undefined ? options.bins :
+            options.space !== undefined && options.space !== start.space ? (space === 'rgb' ? null : [8, 8, 8]) : start.bins;
+
+        if (!ImageMatcher.HISTOGRAM_SPACES.includes(space)) {
+            throw new Error(`Unknown histogram space "${space}" (expected one of: ${ImageMatcher.HISTOGRAM_SPACES.join(', ')})`);
+        }
+        if (!ImageMatcher.HISTOGRAM_METRICS.includes(metric)) {
+            throw new Error(`Unknown histogram metric "${metric}" (expected one of: ${ImageMatcher.HISTOGRAM_METRICS.join(', ')})`);
+        }
+        if (typeof bins === 'number') bins = [bins, bins, bins];
+        if (bins !== null && !(Array.isArray(bins) && bins.length === 3 &&
+            bins.every(count => Number.isInteger(count) && count >= 1 && count <= 64))) {
+            throw new Error(`histogram.bins must be three integers between 1 and 64, got ${JSON.stringify(bins)}`);
+        }
+        if (bins === null && space !== 'rgb') {
+            throw new Error(`histogram.bins is required for the ${space} space`);
+        }
+
+        return { space, bins, metric };
+    }
+
+    /**
+     * Resolved scoring for an options object: the matcher's own unless the options set
+     * profile, weights, algorithms, minSimilarity, orientations or crops. Memoized per options object.
+     */
+    getScoring(options) {
+        if (!options) return this.scoring;
+        if (options.scoring) return options.scoring;
+        if (!ImageMatcher.SCORING_OPTIONS.some(key => options[key] !== undefined)) return this.scoring;
+
+        if (!this.scoringCache.has(options)) {
+            this.scoringCache.set(options, this.resolveScoring(options, this.scoring));
+        }
+        return this.scoringCache.get(options);
+    }
+
+    /**
+     * Check that a fingerprint has every feature a scoring needs
+     */
+    hasFeatures(fingerprint, scoring = this.scoring) {
+        return scoring.enabled.every(name => fingerprint[ImageMatcher.ALGORITHM_FIELDS[name]] !== undefined) &&
+            (!scoring.orientations || Array.isArray(fingerprint.orientations)) &&
+            (!scoring.crops || fingerprint.keypoints !== undefined) &&
+            (!scoring.enabled.includes('histogram') || this.histogramMatches(fingerprint.colorHistogram, scoring.histogram));
+    }
+
+    /**
+     * Helper: Check that a stored histogram has the configured space and bins
+     */
+    histogramMatches(histogram, config) {
+        if (!histogram) return false;
+        if (config.bins === null) return Array.isArray(histogram.r);
+        return histogram.space === config.space && Array.isArray(histogram.bins) &&
+            histogram.bins.join() === config.bins.join();
+    }
+
+    /**
+     * Process a single image and compute all similarity hashes
+     * @param {*} imageSource - A URL or data URL; a File or Blob (e.g. from drag and drop); encoded
+     *        bytes as an ArrayBuffer or typed array; an image element, ImageBitmap, canvas,
+     *        OffscreenCanvas, <video> (its current frame) or VideoFrame; or a decoded pixel
+     *        buffer ({width, height, data} with 1, 3 or 4 channels per pixel)
+     * @param {string} [imageId] - Generated when omitted (see identifyImage)
+     * @param {Object} [options]
+     * @param {string} [options.contentHash] - Hash of the source bytes. When given, a stored
+     *        fingerprint is reused without loading the image; otherwise the decoded pixels are hashed.
+     * @param {ArrayBuffer|ArrayBufferView} [options.bytes] - The encoded file, for its EXIF/XMP
+     *        metadata and byte size. URLs are fetched as bytes when possible, so this is only
+     *        needed for other sources. Decoded pixel buffers are rotated upright by the EXIF
+     *        orientation; images the browser decodes already are.
+     * @param {AbortSignal} [options.signal] - Rejects with an AbortError once aborted
+     * @param {string} [options.profile] - Scoring options (see the constructor) deciding which
+     *        algorithms are computed; `algorithms` and `minSimilarity` work the same way
+     * @returns {Promise<Object>} Image fingerprint data
+     * @throws {ImageLoadError} If the image cannot be loaded or decoded (a CrossOriginError when
+     *         CORS blocks it), carrying the image id
+     */
+    async processImage(imageSource, imageId = null, options = {}) {
+        if (imageId === null || imageId === undefined) {
+            const identity = await this.identifyImage(imageSource, options.bytes, options.signal);
+            return this.processImage(imageSource, identity.id, { ...options, bytes: identity.bytes });
+        }
+
+        const scoring = this.getScoring(options);
+        const cached = this.cache.get(imageId);
+        if (cached && this.hasFeatures(cached, scoring)) {
+            return cached;
+        }
+        throwIfAborted(options.signal);
+
+        let contentHash = options.contentHash;
+        if (contentHash) {
+            const stored = await this.getStoredFingerprint(imageId, contentHash, scoring);
+            if (stored) return stored;
+        }
+
+        const { imageData, metadata } = await this.decodeImage(imageSource, options.bytes, options.signal, imageId);
+        throwIfAborted(options.signal);
+
+        if (!contentHash && this.store) {
+            contentHash = this.computeContentHash(imageData.data, imageData.width, imageData.height);
+            const stored = await this.getStoredFingerprint(imageId, contentHash, scoring);
+            if (stored) return stored;
+        }
+
+        const fingerprint = this.computeFingerprint(imageData, imageId, scoring);
+        fingerprint.fileSize = metadata ? metadata.byteSize : 0;
+        fingerprint.metadata = metadata;
+        if (contentHash) {
+            fingerprint.contentHash = contentHash;
+        }
+
+        this.cache.set(imageId, fingerprint);
+        await this.storeFingerprint(fingerprint);
+        return fingerprint;
+    }
+
+    /**
+     * Load a source's pixels and metadata, with pixel buffers turned upright
+     * @param {*} imageSource - Any source processImage accepts
+     * @param {ArrayBuffer|ArrayBufferView} [bytes] - The encoded file; fetched for URLs when missing
+     * @param {AbortSignal} [signal]
+     * @param {string} [imageId] - Attached to load errors
+     * @returns {Promise<{imageData: Object, metadata: Object|null}>}
+     * @throws {ImageLoadError}
+     */
+    async decodeImage(imageSource, bytes = null, signal = null, imageId = null) {
+        try {
+            const input = await this.readImageInput(imageSource, bytes, signal);
+            const metadata = input.bytes ? MetadataReader.read(input.bytes) : null;
+
+            let { imageData, upright } = await this.loadInput(input, signal);
+            if (metadata && !upright) {
+                imageData = this.orientImageData(imageData, ImageMatcher.EXIF_ORIENTATIONS[metadata.orientation]);
+            }
+            return { imageData, metadata };
+        } catch (error) {
+            throw this.toLoadError(error, imageId);
+        }
+    }
+
+    /**
+     * Helper: Classify an input and read the encoded bytes it carries.
+     * Blobs and data URLs are read, typed arrays viewed, and URLs fetched when `bytes` is missing.
+     * @returns {Promise<{kind: string, source: *, bytes: Uint8Array|null}>} `kind` is 'pixels',
+     *          'url', 'encoded' (bytes to decode) or 'drawable'
+     * @throws {ImageLoadError} On inputs no loader understands
+     */
+    async readImageInput(imageSource, bytes = null, signal = null) {
+        throwIfAborted(signal);
+        const encoded = bytes ? FingerprintCodec.toBytes(bytes) : null;
+
+        if (this.isPixelBuffer(imageSource)) {
+            return { kind: 'pixels', source: imageSource, bytes: encoded };
+        }
+        if (typeof imageSource === 'string') {
+            if (/^data:/i.test(imageSource)) {
+                return { kind: 'encoded', source: imageSource, bytes: encoded || this.decodeDataUrl(imageSource) };
+            }
+            return { kind: 'url', source: imageSource, bytes: encoded || await this.fetchImageBytes(imageSource, signal) };
+        }
+        if (typeof Blob !== 'undefined' && imageSource instanceof Blob) {
+            return { kind: 'encoded', source: imageSource, bytes: encoded || new Uint8Array(await imageSource.arrayBuffer()) };
+        }
+        if (imageSource instanceof ArrayBuffer || ArrayBuffer.isView(imageSource)) {
+            return { kind: 'encoded', source: imageSource, bytes: FingerprintCodec.toBytes(imageSource) };
+        }
+        if (imageSource && typeof imageSource === 'object' &&
+            ['naturalWidth', 'videoWidth', 'displayWidth', 'width'].some(key => typeof imageSource[key] === 'number')) {
+            return { kind: 'drawable', source: imageSource, bytes: encoded };
+        }
+
+        const type = imageSource === null ? 'null' :
+            typeof imageSource === 'object' && imageSource.constructor ? imageSource.constructor.name : typeof imageSource;
+        throw new ImageLoadError(`Unsupported image input (${type}); pass a URL, Blob, ArrayBuffer, ` +
+            'image element, ImageBitmap, canvas, video frame or {width, height, data} pixels', { code: 'unsupported' });
+    }
+
+    /**
+     * Helper: Decode a readImageInput result to RGBA pixels
+     * @returns {Promise<{imageData: Object, upright: boolean}>} `upright` is false for pixels the
+     *          EXIF orientation has not been applied to (pixel buffers and `decoder` output)
+     */
+    async loadInput(input, signal = null) {
+        switch (input.kind) {
+            case 'pixels':
+                return { imageData: this.toPixelBuffer(input.source), upright: false };
+
+            case 'url':
+                // Without a browser decoder (e.g. in Node), the fetched bytes go to `decoder`
+                if (this.decoder && typeof createImageBitmap === 'undefined' && typeof Image === 'undefined') {
+                    if (!input.bytes) {
+                        throw new ImageLoadError(`Failed to load image ${input.source}`);
+                    }
+                    return { imageData: await this.decodeBytes(input.bytes), upright: false };
+                }
+                return { imageData: this.drawToImageData(await this.loadDrawable(input.source, signal, input.bytes)), upright: true };
+
+            case 'encoded':
+                if (typeof createImageBitmap !== 'undefined' && typeof Blob !== 'undefined') {
+                    let bitmap;
+                    try {
+                        bitmap = await createImageBitmap(new Blob([input.bytes]));
+                    } catch (error) {
+                        throw new ImageLoadError(`Image data could not be decoded: ${error.message}`, { code: 'decode', cause: error });
+                    }
+                    return { imageData: this.drawToImageData(bitmap), upright: true };
+                }
+                if (this.decoder) {
+                    return { imageData: await this.decodeBytes(input.bytes), upright: false };
+                }
+                if (typeof input.source === 'string' && typeof Image !== 'undefined') {
+                    return { imageData: this.drawToImageData(await this.loadImageUrl(input.source, signal)), upright: true };
+                }
+                throw new ImageLoadError('Decoding encoded images needs createImageBitmap or a `decoder` option ' +
+                    '(e.g. decodeImageBuffer from decode-image.js in Node)', { code: 'unsupported' });
+
+            default:
+                return { imageData: this.drawToImageData(input.source), upright: true };
+        }
+    }
+
+    /**
+     * Helper: Decode bytes with the `decoder` option
+     */
+    async decodeBytes(bytes) {
+        let pixels;
+        try {
+            pixels = await this.decoder(bytes);
+        } catch (error) {
+            if (error instanceof ImageLoadError) throw error;
+            throw new ImageLoadError(`Image data could not be decoded: ${error.message}`, { code: 'decode', cause: error });
+        }
+        return this.toPixelBuffer(pixels);
+    }
+
+    /**
+     * Helper: The bytes of a base64 or percent-encoded data URL
+     * @throws {ImageLoadError} If the URL is malformed
+     */
+    decodeDataUrl(url) {
+        const match = /^data:([^,]*?)(;base64)?,(.*)$/is.exec(url);
+        if (!match) {
+            throw new ImageLoadError('Malformed data URL', { code: 'decode' });
+        }
+        if (!match[2]) {
+            return new TextEncoder().encode(decodeURIComponent(match[3]));
+        }
+
+        const text = match[3].replace(/[^A-Za-z0-9+/]/g, '');
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+        const bytes = new Uint8Array(Math.floor(text.length * 3 / 4));
+        let buffer = 0;
+        let bits = 0;
+        let offset = 0;
+        for (let i = 0; i < text.length; i++) {
+            buffer = (buffer << 6) | alphabet.indexOf(text[i]);
+            bits += 6;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes[offset++] = (buffer >> bits) & 0xff;
+            }
+        }
+        return bytes.subarray(0, offset);
+    }
+
+    /**
+     * Stable id for an image given without one: the URL of URL inputs and loaded image
+     * elements, path, size and modification time of Files, and otherwise a content hash of
+     * the encoded bytes ('bytes:…') or of the decoded pixels ('pixels:…')
+     * @returns {Promise<{id: string, bytes: Uint8Array|null}>} Bytes read on the way, to reuse
+     * @throws {ImageLoadError}
+     */
+    async identifyImage(imageSource, bytes = null, signal = null) {
+        if (typeof imageSource === 'string' && !/^data:/i.test(imageSource)) {
+            return { id: imageSource, bytes: bytes ? FingerprintCodec.toBytes(bytes) : null };
+        }
+        if (typeof File !== 'undefined' && imageSource instanceof File) {
+            const name = imageSource.webkitRelativePath || imageSource.name;
+            return { id: `file:${name}:${imageSource.size}:${imageSource.lastModified}`, bytes: bytes ? FingerprintCodec.toBytes(bytes) : null };
+        }
+        if (imageSource && typeof imageSource === 'object' && typeof imageSource.currentSrc === 'string' &&
+            imageSource.currentSrc && !/^(data|blob):/i.test(imageSource.currentSrc)) {
+            return { id: imageSource.currentSrc, bytes: bytes ? FingerprintCodec.toBytes(bytes) : null };
+        }
+
+        let input;
+        try {
+            input = await this.readImageInput(imageSource, bytes, signal);
+            if (input.kind === 'encoded') {
+                return { id: `bytes:${this.computeContentHash(input.bytes)}`, bytes: input.bytes };
+            }
+            const { imageData } = await this.loadInput(input, signal);
+            return { id: `pixels:${this.computeContentHash(imageData.data, imageData.width, imageData.height)}`, bytes: input.bytes };
+        } catch (error) {
+            throw this.toLoadError(error, null);
+        }
+    }
+
+    /**
+     * Helper: Give images without an id one from identifyImage. Identical inputs get the same
+     * id, so repeats are numbered ('#2', '#3') in input order.
+     * @returns {Promise<Array<Object>>} The images, unchanged when every one has an id
+     */
+    async assignImageIds(images, signal = null) {
+        if (images.every(image => image.id !== undefined && image.id !== null)) return images;
+
+        const seen = new Map();
+        for (const image of images) {
+            if (image.id !== undefined && image.id !== null) seen.set(image.id, 1);
+        }
+        const assigned = [];
+        for (const image of images) {
+            if (image.id !== undefined && image.id !== null) {
+                assigned.push(image);
+                continue;
+            }
+            // Clips have no stable content hash here, so only their URLs identify them
+            const { id, bytes } = image.type === 'video' && typeof image.src === 'string' ?
+                { id: image.src, bytes: null } :
+                await this.identifyImage(image.src, image.bytes, signal);
+            const count = (seen.get(id) || 0) + 1;
+            seen.set(id, count);
+            assigned.push({ ...image, id: count > 1 ? `${id}#${count}` : id, bytes: bytes || image.bytes });
+        }
+        return assigned;
+    }
+
+    /**
+     * Helper: Turn a loading failure into an ImageLoadError naming the image; aborts pass through
+     */
+    toLoadError(error, imageId) {
+        if (error && error.name === 'AbortError') return error;
+
+        const loadError = error instanceof ImageLoadError ? error :
+            new ImageLoadError(error && error.message ? error.message : String(error), { code: 'decode', cause: error });
+        if (imageId !== null && imageId !== undefined && loadError.imageId === null) {
+            loadError.imageId = imageId;
+            loadError.message = `Image "${imageId}": ${loadError.message}`;
+        }
+        return loadError;
+    }
+
+    /**
+     * Fingerprint a video clip from keyframes sampled every `interval` seconds. Each keyframe gets
+     * the enabled hashes (aHash, dHash, pHash, edge hash), the temporal signature that
+     * compareImages aligns between two videos; the middle keyframe also gets every other
+     * feature, so videos are grouped and searched together with images.
+     * @param {string|HTMLVideoElement|Array<Object>|Object} videoSource - A video URL or element
+     *        (browser only), or pre-extracted frames: an array of pixel buffers (or any source
+     *        processImage accepts) with an optional `time` in seconds, or of { time, image }, or
+     *        { frames, duration }
+     * @param {string} videoId
+     * @param {Object} [options]
+     * @param {number} [options.interval=1] - Seconds between keyframes; denser pre-extracted frames
+     *        are thinned to this interval
+     * @param {number} [options.maxFrames=300] - Stop sampling after this many keyframes
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<Object>} The middle keyframe's fingerprint plus
+     *          `video`: { duration, interval, keyframe: its time, frames: [{ time, aHash, dHash, pHash, edgeHash }] }
+     * @throws {ImageLoadError} If the video or a frame cannot be loaded, carrying the video id
+     * @throws {Error} If no frame could be sampled
+     */
+    async processVideo(videoSource, videoId, options = {}) {
+        const scoring = this.getScoring(options);
+        const cached = this.cache.get(videoId);
+        if (cached && cached.video && this.hasFeatures(cached, scoring)) {
+            return cached;
+        }
+        throwIfAborted(options.signal);
+
+        const interval = options.interval !== undefined ? options.interval : ImageMatcher.VIDEO_OPTIONS.interval;
+        if (typeof interval !== 'number' || !(interval > 0)) {
+            throw new Error(`interval must be a positive number of seconds, got ${interval}`);
+        }
+        const maxFrames = options.maxFrames || ImageMatcher.VIDEO_OPTIONS.maxFrames;
+        const hashes = scoring.enabled.filter(name => ImageMatcher.HASH_GRIDS[name]);
+
+        const frames = [];
+        let keyframe = null;
+        const sampling = this.sampleVideo(videoSource, interval, maxFrames, options.signal, (imageData, time, index, total) => {
+            const frame = { time };
+            if (hashes.includes('aHash')) frame.aHash = this.computeAverageHash(imageData);
+            if (hashes.includes('dHash')) frame.dHash = this.computeDifferenceHash(imageData);
+            if (hashes.includes('pHash')) frame.pHash = this.computePerceptualHash(imageData);
+            if (hashes.includes('edgeHash')) frame.edgeHash = this.computeEdgeHash(imageData);
+            frames.push(frame);
+            if (index === Math.floor((total - 1) / 2)) keyframe = { imageData, time };
+        });
+        let duration;
+        try {
+            ({ duration } = await sampling);
+        } catch (error) {
+            throw this.toLoadError(error, videoId);
+        }
+        if (!keyframe) {
+            throw new Error(`Video "${videoId}" has no frames to sample`);
+        }
+
+        const fingerprint = this.computeFingerprint(keyframe.imageData, videoId, scoring);
+        fingerprint.metadata = null;
+        fingerprint.video = { duration, interval, keyframe: keyframe.time, frames };
+
+        this.cache.set(videoId, fingerprint);
+        return fingerprint;
+    }
+
+    /**
+     * Helper: Decode keyframes every `interval` seconds and pass each to `onFrame`
+     * @param {Function} onFrame - (imageData, time, index, total)
+     * @returns {Promise<{duration: number}>}
+     */
+    async sampleVideo(videoSource, interval, maxFrames, signal, onFrame) {
+        const preExtracted = Array.isArray(videoSource) ? videoSource :
+            videoSource && Array.isArray(videoSource.frames) ? videoSource.frames : null;
+
+        if (preExtracted) {
+            // Keep the first frame at or after each multiple of the interval
+            const selected = [];
+            let next = 0;
+            preExtracted.forEach((entry, index) => {
+                const time = entry && typeof entry.time === 'number' ? entry.time : index * interval;
+                if (time + 1e-9 >= next && selected.length < maxFrames) {
+                    selected.push({ image: entry && entry.image !== undefined ? entry.image : entry, time });
+                    next = time + interval;
+                }
+            });
+
+            for (let index = 0; index < selected.length; index++) {
+                throwIfAborted(signal);
+                onFrame(await this.loadImageData(selected[index].image, signal), selected[index].time, index, selected.length);
+            }
+            const last = preExtracted.length > 0 ? preExtracted[preExtracted.length - 1] : null;
+            const lastTime = last && typeof last.time === 'number' ? last.time : (preExtracted.length - 1) * interval;
+            return { duration: typeof videoSource.duration === 'number' ? videoSource.duration : Math.max(0, lastTime + interval) };
+        }
+
+        if (typeof document === 'undefined') {
+            throw new Error('Sampling video files needs a browser <video> element; pass pre-extracted frames instead');
+        }
+
+        let video = videoSource;
+        if (typeof videoSource === 'string') {
+            video = document.createElement('video');
+            if (this.isCrossOrigin(videoSource)) video.crossOrigin = 'anonymous';
+            video.muted = true;
+            video.preload = 'auto';
+            video.src = videoSource;
+        }
+        if (video.readyState < 1) {
+            await this.waitForVideo(video, 'loadedmetadata', signal);
+        }
+
+        const duration = video.duration;
+        if (!isFinite(duration) || duration <= 0) {
+            throw new Error('Video has no known duration, so keyframes cannot be sampled');
+        }
+        const total = Math.min(maxFrames, Math.ceil(duration / interval - 1e-9));
+        for (let index = 0; index < total; index++) {
+            throwIfAborted(signal);
+            const time = index * interval;
+            const seeked = this.waitForVideo(video, 'seeked', signal);
+            video.currentTime = time;
+            await seeked;
+            onFrame(this.drawToImageData(video), time, index, total);
+        }
+        return { duration };
+    }
+
+    /**
+     * Helper: Resolve on a <video> event, reject on its error event or an abort
+     */
+    waitForVideo(video, eventName, signal) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                video.removeEventListener(eventName, onEvent);
+                video.removeEventListener('error', onError);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            };
+            const onEvent = () => {
+                cleanup();
+                resolve();
+            };
+            const onError = () => {
+                cleanup();
+                const url = video.currentSrc || video.src;
+                reject(this.isCrossOrigin(url) ?
+                    new CrossOriginError(`Failed to load video ${url}; cross-origin videos need an Access-Control-Allow-Origin header`) :
+                    new ImageLoadError(`Failed to load video ${url}`));
+            };
+            const onAbort = () => {
+                cleanup();
+                try {
+                    throwIfAborted(signal);
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            video.addEventListener(eventName, onEvent);
+            video.addEventListener('error', onError);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Compute the features of decoded RGBA pixels
+     * @param {Object} imageData
+     * @param {string} imageId
+     * @param {Object} [features] - Which features to compute, defaults to the matcher's scoring:
+     *        { enabled: algorithm names, orientations: hash every rotation and mirror image,
+     *        crops: detect keypoints, histogram: histogram space and bins }
+     */
+    computeFingerprint(imageData, imageId, features = this.scoring) {
+        const enabled = new Set(features.enabled);
+        const fingerprint = {
+            id: imageId,
+            width: imageData.width,
+            height: imageData.height,
+            aspectRatio: imageData.width / imageData.height,
+            fileSize: 0
+        };
+
+        // Multiple hash algorithms for different similarity types
+        if (enabled.has('aHash')) fingerprint.aHash = this.computeAverageHash(imageData);
+        if (enabled.has('dHash')) fingerprint.dHash = this.computeDifferenceHash(imageData);
+        if (enabled.has('pHash')) fingerprint.pHash = this.computePerceptualHash(imageData);
+
+        // Color-based features
+        if (enabled.has('histogram')) fingerprint.colorHistogram = this.computeColorHistogram(imageData, features.histogram);
+        fingerprint.dominantColors = this.extractDominantColors(imageData);
+
+        // Structural features
+        if (enabled.has('edgeHash')) fingerprint.edgeHash = this.computeEdgeHash(imageData);
+
+        // Hashes of the rotated and mirrored image, in ImageMatcher.ORIENTATIONS order
+        if (features.orientations) fingerprint.orientations = this.computeOrientationHashes(imageData, features.enabled);
+
+        // Local features for crop detection
+        if (features.crops) fingerprint.keypoints = this.computeKeypoints(imageData);
+
+        // Metadata
+        fingerprint.processedAt = Date.now();
+        return fingerprint;
+    }
+
+    /**
+     * Look up a persisted fingerprint for an image whose content is unchanged.
+     * Entries from another content hash or fingerprint version, or missing a feature
+     * the scoring needs, are ignored.
+     * @returns {Promise<Object|null>} The fingerprint (also put in the cache), or null
+     */
+    async getStoredFingerprint(imageId, contentHash, scoring = this.scoring) {
+        if (!this.store) return null;
+
+        let record;
+        try {
+            record = await this.store.get(imageId);
+        } catch (error) {
+            console.warn(`⚠️ Fingerprint store read failed for ${imageId}:`, error);
+            return null;
+        }
+
+        if (!record || record.contentHash !== contentHash || record.version !== ImageMatcher.FINGERPRINT_VERSION) {
+            return null;
+        }
+
+        const fingerprint = this.normalizeFingerprint(record.fingerprint);
+        if (!this.hasFeatures(fingerprint, scoring)) {
+            return null;
+        }
+
+        this.cache.set(imageId, fingerprint);
+        return fingerprint;
+    }
+
+    /**
+     * Persist a fingerprint, keyed by id and tagged with its content hash and version
+     */
+    async storeFingerprint(fingerprint) {
+        if (!this.store || !fingerprint.contentHash) return;
+
+        try {
+            await this.store.set(fingerprint.id, {
+                id: fingerprint.id,
+                contentHash: fingerprint.contentHash,
+                version: ImageMatcher.FINGERPRINT_VERSION,
+                fingerprint: this.serializeFingerprint(fingerprint)
+            });
+        } catch (error) {
+            console.warn(`⚠️ Fingerprint store write failed for ${fingerprint.id}:`, error);
+        }
+    }
+
+    /**
+     * Convert a fingerprint to plain JSON-safe data (hashes and descriptors as hex)
+     */
+    serializeFingerprint(fingerprint) {
+        return JSON.parse(JSON.stringify(fingerprint));
+    }
+
+    /**
+     * Parameters that decide whether fingerprints computed elsewhere can be compared with this
+     * matcher's: hash sizes, orientation order, histogram layout and descriptor size
+     */
+    getFingerprintParameters() {
+        return {
+            hashBits: { ...ImageMatcher.HASH_BITS },
+            orientations: ImageMatcher.ORIENTATIONS.slice(),
+            histogram: { space: this.scoring.histogram.space, bins: this.scoring.histogram.bins },
+            keypointBits: KeypointSet.WORDS * 32,
+            paletteColors: ImageMatcher.PALETTE_OPTIONS.colors
+        };
+    }
+
+    /**
+     * Export cached fingerprints so another matcher (a crawler, an extension) can compare them
+     * @param {Array<string>} [ids] - Defaults to every cached fingerprint
+     * @param {Object} [options]
+     * @param {string} [options.format='json'] - 'json' for a plain object (see the README for its
+     *        schema) or 'binary' for a compact Uint8Array
+     * @returns {Object|Uint8Array} { format, version, parameters, count, fingerprints }, or its
+     *          binary form
+     * @throws {Error} On unknown ids or formats, or histograms computed with other options
+     */
+    exportFingerprints(ids = null, options = {}) {
+        const format = options.format || 'json';
+        if (format !== 'json' && format !== 'binary') {
+            throw new Error(`Unknown export format "${format}" (expected json or binary)`);
+        }
+
+        const parameters = this.getFingerprintParameters();
+        const fingerprints = (ids === null ? Array.from(this.cache.keys()) : ids).map(id => {
+            const fingerprint = this.cache.get(id);
+            if (!fingerprint) {
+                throw new Error(`No fingerprint for "${id}"; process the image first`);
+            }
+            if (fingerprint.colorHistogram && !this.histogramMatches(fingerprint.colorHistogram, parameters.histogram)) {
+                throw new Error(`Fingerprint "${id}" has a histogram computed with other histogram options than this matcher's`);
+            }
+            return this.serializeFingerprint(fingerprint);
+        });
+
+        const header = {
+            format: ImageMatcher.EXPORT_FORMAT,
+            version: ImageMatcher.FINGERPRINT_VERSION,
+            parameters,
+            count: fingerprints.length
+        };
+        return format === 'binary' ? FingerprintCodec.encode(header, fingerprints) : { ...header, fingerprints };
+    }
+
+    /**
+     * Validate exported fingerprints and add them to the cache, so findSimilarImages,
+     * compareImages and explain use them without the images
+     * @param {Object|string|ArrayBuffer|ArrayBufferView} data - exportFingerprints output, as an
+     *        object, JSON text or binary bytes
+     * @returns {Array<Object>} The imported fingerprints
+     * @throws {Error} On another fingerprint version, mismatched parameters or malformed entries;
+     *         nothing is imported then
+     */
+    importFingerprints(data) {
+        let archive = data;
+        if (typeof data === 'string') {
+            try {
+                archive = JSON.parse(data);
+            } catch (error) {
+                throw new Error(`Fingerprint export is not valid JSON: ${error.message}`);
+            }
+        } else if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+            archive = FingerprintCodec.decode(data);
+        }
+
+        if (!archive || archive.format !== ImageMatcher.EXPORT_FORMAT || !Array.isArray(archive.fingerprints)) {
+            throw new Error(`Not a fingerprint export (expected format "${ImageMatcher.EXPORT_FORMAT}" with a fingerprints array)`);
+        }
+        if (archive.version !== ImageMatcher.FINGERPRINT_VERSION) {
+            throw new Error(`Fingerprint export is version ${archive.version}, but this matcher computes version ${ImageMatcher.FINGERPRINT_VERSION}; re-export it with a matching build`);
+        }
+        if (archive.count !== undefined && archive.count !== archive.fingerprints.length) {
+            throw new Error(`Fingerprint export lists ${archive.count} fingerprints but contains ${archive.fingerprints.length}`);
+        }
+
+        this.checkFingerprintParameters(archive.parameters, archive.fingerprints);
+        const fingerprints = archive.fingerprints.map(record => this.validateFingerprint(record, archive.parameters));
+        for (const fingerprint of fingerprints) {
+            this.cache.set(fingerprint.id, fingerprint);
+        }
+        return fingerprints;
+    }
+
+    /**
+     * Helper: Throw if exported parameters differ from this matcher's for a feature the export uses
+     */
+    checkFingerprintParameters(parameters, records) {
+        if (!parameters || typeof parameters !== 'object') {
+            throw new Error('Fingerprint export has no parameters');
+        }
+        const own = this.getFingerprintParameters();
+        const uses = field => records.some(record => record && record[field] !== undefined && record[field] !== null);
+        const mismatch = (label, theirs, ours) => new Error(
+            `Fingerprint export was computed with ${label} ${JSON.stringify(theirs)}, but this matcher uses ${JSON.stringify(ours)}`);
+
+        for (const name of Object.keys(own.hashBits)) {
+            if (uses(name) && (parameters.hashBits || {})[name] !== own.hashBits[name]) {
+                throw mismatch(`${name} bits`, (parameters.hashBits || {})[name], own.hashBits[name]);
+            }
+        }
+        if (uses('orientations') && JSON.stringify(parameters.orientations) !== JSON.stringify(own.orientations)) {
+            throw mismatch('orientation order', parameters.orientations, own.orientations);
+        }
+        if (uses('keypoints') && parameters.keypointBits !== own.keypointBits) {
+            throw mismatch('keypoint descriptor bits', parameters.keypointBits, own.keypointBits);
+        }
+        const histogram = parameters.histogram || {};
+        if (uses('colorHistogram') && (histogram.space !== own.histogram.space ||
+            JSON.stringify(histogram.bins) !== JSON.stringify(own.histogram.bins))) {
+            throw mismatch('histogram layout', { space: histogram.space, bins: histogram.bins }, own.histogram);
+        }
+    }
+
+    /**
+     * Helper: Check one exported fingerprint and convert it to the in-memory form
+     * @throws {Error} Naming the fingerprint and the malformed field
+     */
+    validateFingerprint(record, parameters) {
+        if (!record || typeof record.id !== 'string' || record.id === '') {
+            throw new Error('Exported fingerprint has no id');
+        }
+        const fail = (message) => new Error(`Fingerprint "${record.id}": ${message}`);
+        if (!(record.width > 0 && record.height > 0)) {
+            throw fail('width and height must be positive numbers');
+        }
+
+        const fingerprint = { ...record, aspectRatio: typeof record.aspectRatio === 'number' ? record.aspectRatio : record.width / record.height };
+        const unpack = (entry, label) => {
+            const result = { ...entry };
+            for (const name of Object.keys(ImageMatcher.HASH_BITS)) {
+                if (entry[name] === undefined) continue;
+                if (typeof entry[name] !== 'string') {
+                    throw fail(`${label}${name} must be a hex string`);
+                }
+                try {
+                    result[name] = PackedHash.fromHex(entry[name], ImageMatcher.HASH_BITS[name]);
+                } catch (error) {
+                    throw fail(`${label}${name}: ${error.message}`);
+                }
+            }
+            return result;
+        };
+        Object.assign(fingerprint, unpack(record, ''));
+
+        if (record.orientations !== undefined) {
+            if (!Array.isArray(record.orientations) || record.orientations.length !== ImageMatcher.ORIENTATIONS.length) {
+                throw fail(`orientations must list ${ImageMatcher.ORIENTATIONS.length} entries`);
+            }
+            fingerprint.orientations = record.orientations.map((entry, k) => unpack(entry, `orientations[${k}].`));
+        }
+
+        const video = record.video;
+        if (video !== undefined && video !== null) {
+            if (!(video.interval > 0) || !Array.isArray(video.frames) || video.frames.length === 0 ||
+                !video.frames.every(frame => frame && typeof frame.time === 'number')) {
+                throw fail('video must have a positive interval and timed frames');
+            }
+            fingerprint.video = { ...video, frames: video.frames.map((frame, k) => unpack(frame, `video.frames[${k}].`)) };
+        }
+
+        const histogram = record.colorHistogram;
+        if (histogram !== undefined) {
+            const valid = parameters.histogram.bins === null ?
+                histogram && ['r', 'g', 'b'].every(channel => Array.isArray(histogram[channel]) && histogram[channel].length === 256) :
+                histogram && Array.isArray(histogram.values) &&
+                    histogram.values.length === parameters.histogram.bins.reduce((product, count) => product * count, 1);
+            if (!valid) {
+                throw fail('colorHistogram does not match the exported histogram layout');
+            }
+        }
+
+        if (record.dominantColors !== undefined && !(Array.isArray(record.dominantColors) &&
+            record.dominantColors.every(color => color && [color.r, color.g, color.b].every(value => typeof value === 'number')))) {
+            throw fail('dominantColors must be an array of { r, g, b } colors');
+        }
+
+        if (record.keypoints !== undefined) {
+            try {
+                fingerprint.keypoints = KeypointSet.from(record.keypoints);
+            } catch (error) {
+                throw fail(`keypoints: ${error.message}`);
+            }
+        }
+
+        if (record.metadata !== undefined && record.metadata !== null && typeof record.metadata !== 'object') {
+            throw fail('metadata must be an object or null');
+        }
+
+        return fingerprint;
+    }
+
+    /**
+     * Fast non-cryptographic hash (cyrb53) of bytes, as 14 hex digits.
+     * Width and height are mixed in so equal buffers of different shapes differ.
+     */
+    computeContentHash(data, width = 0, height = 0) {
+        const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) :
+            ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) :
+            data;
+
+        let h1 = 0xdeadbeef ^ width;
+        let h2 = 0x41c6ce57 ^ height;
+        for (let i = 0; i < bytes.length; i++) {
+            const byte = bytes[i];
+            h1 = Math.imul(h1 ^ byte, 2654435761);
+            h2 = Math.imul(h2 ^ byte, 1597334677);
+        }
+
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+    }
+
+    /**
+     * Resolve any supported image source to RGBA pixel data.
+     * Pixel buffers never touch the DOM; encoded bytes go through createImageBitmap or the
+     * `decoder` option, and everything else is drawn to a canvas.
+     * @param {*} imageSource
+     * @param {AbortSignal} [signal]
+     * @param {Uint8Array} [bytes] - The already fetched file of a URL source, decoded instead
+     *        of loading the URL again
+     */
+    async loadImageData(imageSource, signal = null, bytes = null) {
+        const input = await this.readImageInput(imageSource, bytes, signal);
+        return (await this.loadInput(input, signal)).imageData;
+    }
+
+    /**
+     * Helper: Decode a URL source, from its fetched bytes when there are any.
+     * createImageBitmap applies the EXIF orientation, like the Image element does.
+     */
+    async loadDrawable(url, signal = null, bytes = null) {
+        if (bytes && typeof createImageBitmap !== 'undefined' && typeof Blob !== 'undefined') {
+            return createImageBitmap(new Blob([bytes]));
+        }
+        return this.loadImageUrl(url, signal);
+    }
+
+    /**
+     * Fetch a URL's encoded bytes for metadata
+     * @returns {Promise<Uint8Array|null>} null where fetch is missing or fails (e.g. file://
+     *          pages or blocked origins); the image is then loaded without metadata
+     * @throws {Error} The abort reason when aborted
+     */
+    async fetchImageBytes(url, signal = null) {
+        if (typeof fetch === 'undefined') return null;
+
+        try {
+            const response = await fetch(url, signal ? { signal } : undefined);
+            return response.ok ? new Uint8Array(await response.arrayBuffer()) : null;
+        } catch (error) {
+            throwIfAborted(signal);
+            return null;
+        }
+    }
+
+    /**
+     * Load an image URL into something drawable
+     * @param {string} url
+     * @param {AbortSignal} [signal] - Stops the download when aborted
+     */
+    async loadImageUrl(url, signal = null) {
+        throwIfAborted(signal);
+
+        if (typeof Image !== 'undefined') {
+            const img = new Image();
+            const crossOrigin = this.isCrossOrigin(url);
+            if (crossOrigin) img.crossOrigin = 'anonymous';
+            let onAbort = null;
+            try {
+                await new Promise((resolve, reject) => {
+                    img.onload = resolve;
+                    // The browser does not say why an image failed, but a cross-origin one most
+                    // often fails because the server sends no CORS headers
+                    img.onerror = () => reject(crossOrigin ?
+                        new CrossOriginError(`Failed to load image ${url}; cross-origin images need an Access-Control-Allow-Origin header ` +
+                            '(or pass the file as a Blob)') :
+                        new ImageLoadError(`Failed to load image ${url}`));
+                    if (signal) {
+                        onAbort = () => {
+                            img.src = '';
+                            try {
+                                throwIfAborted(signal);
+                            } catch (error) {
+                                reject(error);
+                            }
+                        };
+                        signal.addEventListener('abort', onAbort, { once: true });
+                    }
+                    img.src = url;
+                });
+            } finally {
+                if (onAbort) signal.removeEventListener('abort', onAbort);
+            }
+            return img;
+        }
+
+        // Workers have no Image constructor but can decode through fetch
+        if (typeof fetch !== 'undefined' && typeof createImageBitmap !== 'undefined') {
+            let response;
+            try {
+                response = await fetch(url, signal ? { signal } : undefined);
+            } catch (error) {
+                throwIfAborted(signal);
+                throw this.isCrossOrigin(url) ?
+                    new CrossOriginError(`Failed to fetch image ${url}; cross-origin images need an Access-Control-Allow-Origin header`, { cause: error }) :
+                    new ImageLoadError(`Failed to fetch image ${url}: ${error.message}`, { cause: error });
+            }
+            if (!response.ok) {
+                throw new ImageLoadError(`Failed to load image ${url}: HTTP ${response.status}`);
+            }
+            return createImageBitmap(await response.blob());
+        }
+
+        throw new ImageLoadError('Loading image URLs is not supported in this environment; pass decoded {width, height, data} pixels, ' +
+            'or bytes with a `decoder` option, instead', { code: 'unsupported' });
+    }
+
+    /**
+     * Helper: Check whether a URL is http(s) on another origin than the page's
+     */
+    isCrossOrigin(url) {
+        if (typeof location === 'undefined' || typeof URL === 'undefined') return false;
+        try {
+            const resolved = new URL(url, location.href);
+            return /^https?:$/.test(resolved.protocol) && resolved.origin !== location.origin;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Helper: Draw an image, bitmap, canvas, video or VideoFrame and read back its pixels
+     * @throws {CrossOriginError} If the drawable taints the canvas
+     */
+    drawToImageData(drawable) {
+        const width = drawable.videoWidth || drawable.naturalWidth || drawable.displayWidth || drawable.width;
+        const height = drawable.videoHeight || drawable.naturalHeight || drawable.displayHeight || drawable.height;
+        if (!(width > 0 && height > 0)) {
+            throw new ImageLoadError('Image has no pixels to read; it may not have finished loading', { code: 'decode' });
+        }
+
+        let canvas;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            canvas = new OffscreenCanvas(width, height);
+        } else if (typeof document !== 'undefined') {
+            canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+        } else {
+            throw new ImageLoadError('Decoding images requires a canvas; pass decoded {width, height, data} pixels instead', { code: 'unsupported' });
+        }
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(drawable, 0, 0, width, height);
+        try {
+            return ctx.getImageData(0, 0, width, height);
+        } catch (error) {
+            if (error.name !== 'SecurityError') throw error;
+            throw new CrossOriginError('The image is cross-origin and was loaded without CORS, so the canvas is tainted and ' +
+                'its pixels cannot be read; load it with crossOrigin = "anonymous" from a server that allows it, or pass it as a Blob', { cause: error });
+        }
+    }
+
+    /**
+     * Put pixels on a new canvas (browsers only). Kept for callers of earlier versions; hashing
+     * no longer draws through a canvas.
+     * @param {ImageData|{width: number, height: number, data: ArrayLike<number>}} imageData -
+     *        ImageData or a grayscale, RGB or RGBA pixel buffer
+     * @returns {HTMLCanvasElement|OffscreenCanvas}
+     * @throws {ImageLoadError} Without a canvas implementation (code 'unsupported')
+     */
+    imageDataToCanvas(imageData) {
+        const { width, height, data } = this.toPixelBuffer(imageData);
+        let canvas;
+        if (typeof document !== 'undefined') {
+            canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+        } else if (typeof OffscreenCanvas !== 'undefined') {
+            canvas = new OffscreenCanvas(width, height);
+        } else {
+            throw new ImageLoadError('imageDataToCanvas needs a browser canvas', { code: 'unsupported' });
+        }
+
+        const ctx = canvas.getContext('2d');
+        const pixels = ctx.createImageData(width, height);
+        pixels.data.set(data);
+        ctx.putImageData(pixels, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Helper: Check whether a source is already decoded pixel data
+     */
+    isPixelBuffer(source) {
+        return source !== null &&
+            typeof source === 'object' &&
+            typeof source.width === 'number' &&
+            typeof source.height === 'number' &&
+            source.data !== undefined &&
+            source.data !== null &&
+            (typeof source.data.length === 'number' || source.data instanceof ArrayBuffer);
+    }
+
+    /**
+     * Helper: Normalize a grayscale, RGB or RGBA buffer to RGBA pixel data
+     */
+    toPixelBuffer(source) {
+        const { width, height } = source;
+        const data = source.data instanceof ArrayBuffer ? new Uint8Array(source.data) : source.data;
+        const pixelCount = width * height;
+
+        if (!(pixelCount > 0)) {
+            throw new Error(`Invalid pixel buffer dimensions: ${width}x${height}`);
+        }
+
+        const channels = data.length / pixelCount;
+        if (channels === 4) {
+            return { width, height, data };
+        }
+
+        if (channels !== 1 && channels !== 3) {
+            throw new Error(`Pixel buffer of length ${data.length} does not match ${width}x${height} with 1, 3 or 4 channels`);
+        }
+
+        const rgba = new Uint8ClampedArray(pixelCount * 4);
+        for (let i = 0; i < pixelCount; i++) {
+            const offset = i * channels;
+            rgba[i * 4] = data[offset];
+            rgba[i * 4 + 1] = data[channels === 3 ? offset + 1 : offset];
+            rgba[i * 4 + 2] = data[channels === 3 ? offset + 2 : offset];
+            rgba[i * 4 + 3] = 255;
+        }
+
+        return { width, height, data: rgba };
+    }
+
+    /**
+     * Resize to a grayscale grid using area averaging (pure JS, no canvas)
+     * @returns {Float64Array} targetWidth * targetHeight gray values, row-major
+     */
+    resizeGrayscale(imageData, targetWidth, targetHeight) {
+        const { width, height, data } = imageData;
+        const xWeights = this.computeResampleWeights(width, targetWidth);
+        const yWeights = this.computeResampleWeights(height, targetHeight);
+
+        // Horizontal pass: width x height -> targetWidth x height, reading gray straight from
+        // the RGBA bytes so no full-resolution plane is allocated
+        const rows = new Float64Array(targetWidth * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < targetWidth; x++) {
+                const { start, weights } = xWeights[x];
+                let sum = 0;
+                for (let k = 0; k < weights.length; k++) {
+                    const offset = (y * width + start + k) * 4;
+                    sum += (data[offset] + data[offset + 1] + data[offset + 2]) / 3 * weights[k];
+                }
+                rows[y * targetWidth + x] = sum;
+            }
+        }
+
+        // Vertical pass: targetWidth x height -> targetWidth x targetHeight
+        const result = new Float64Array(targetWidth * targetHeight);
+        for (let y = 0; y < targetHeight; y++) {
+            const { start, weights } = yWeights[y];
+            for (let x = 0; x < targetWidth; x++) {
+                let sum = 0;
+                for (let k = 0; k < weights.length; k++) {
+                    sum += rows[(start + k) * targetWidth + x] * weights[k];
+                }
+                result[y * targetWidth + x] = sum;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Helper: Box-filter weights mapping each target cell to the source pixels it covers
+     */
+    computeResampleWeights(sourceSize, targetSize) {
+        const scale = sourceSize / targetSize;
+        const result = [];
+
+        for (let t = 0; t < targetSize; t++) {
+            const from = t * scale;
+            const to = (t + 1) * scale;
+            const start = Math.floor(from);
+            const end = Math.min(sourceSize, Math.ceil(to));
+            const weights = new Float64Array(end - start);
+
+            for (let i = start; i < end; i++) {
+                const overlap = Math.min(to, i + 1) - Math.max(from, i);
+                weights[i - start] = overlap / scale;
+            }
+
+            result.push({ start, weights });
+        }
+
+        return result;
+    }
+
+    /**
+     * Compute Average Hash (aHash) - good for exact duplicates
+     */
+    computeAverageHash(imageData) {
+        // Resize to 8x8 grayscale
+        return this.averageHashFromGrid(this.resizeGrayscale(imageData, 8, 8));
+    }
+
+    /**
+     * Helper: aHash of an 8x8 gray grid
+     */
+    averageHashFromGrid(grayPixels) {
+        const average = grayPixels.reduce((a, b) => a + b) / grayPixels.length;
+
+        const hash = new PackedHash(grayPixels.length);
+        for (let i = 0; i < grayPixels.length; i++) {
+            if (grayPixels[i] > average) hash.setBit(i);
+        }
+
+        return hash;
+    }
+
+    /**
+     * Compute Difference Hash (dHash) - good for crops and transformations
+     */
+    computeDifferenceHash(imageData) {
+        return this.differenceHashFromGrid(this.resizeGrayscale(imageData, 9, 8));
+    }
+
+    /**
+     * Helper: dHash of a 9x8 gray grid
+     */
+    differenceHashFromGrid(grayPixels) {
+        const hash = new PackedHash(64);
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const left = grayPixels[row * 9 + col];
+                const right = grayPixels[row * 9 + col + 1];
+                if (left > right) hash.setBit(row * 8 + col);
+            }
+        }
+
+        return hash;
+    }
+
+    /**
+     * Compute Perceptual Hash (pHash) - best for similar images with modifications
+     */
+    computePerceptualHash(imageData) {
+        // Convert to grayscale
+        return this.perceptualHashFromGrid(this.resizeGrayscale(imageData, 32, 32));
+    }
+
+    /**
+     * Helper: pHash of a 32x32 gray grid
+     */
+    perceptualHashFromGrid(grayPixels) {
+        const size = 32;
+
+        // Apply 2D DCT (Discrete Cosine Transform)
+        const dctMatrix = this.computeDCT(grayPixels, size, 8);
+
+        // Extract top-left 8x8 of DCT matrix (low frequencies)
+        const lowFreqs = [];
+        for (let i = 0; i < 8; i++) {
+            for (let j = 0; j < 8; j++) {
+                lowFreqs.push(dctMatrix[i * size + j]);
+            }
+        }
+
+        // The separable DCT rounds differently from the direct sum that defines the hash. Only
+        // coefficients within twice its error bound of the median can compare differently with
+        // it (the median moves by at most one bound), so those are recomputed by the direct sum.
+        // Flat and gradient images, whose AC coefficients are rounding noise, recompute them all.
+        const tolerance = 2 * this.dctErrorBound(grayPixels, size);
+        const approximateMedian = [...lowFreqs].sort((a, b) => a - b)[Math.floor(lowFreqs.length / 2)];
+        for (let k = 0; k < lowFreqs.length; k++) {
+            if (Math.abs(lowFreqs[k] - approximateMedian) <= tolerance) {
+                lowFreqs[k] = this.computeDCTCoefficient(grayPixels, size, Math.floor(k / 8), k % 8);
+            }
+        }
+
+        // Compute median of low frequencies
+        const sortedFreqs = [...lowFreqs].sort((a, b) => a - b);
+        const median = sortedFreqs[Math.floor(sortedFreqs.length / 2)];
+
+        // Generate hash based on median comparison
+        const hash = new PackedHash(lowFreqs.length);
+        for (let i = 0; i < lowFreqs.length; i++) {
+            if (lowFreqs[i] > median) hash.setBit(i);
+        }
+
+        return hash;
+    }
+
+    /**
+     * Compute simplified 2D DCT as separable row and column passes over cosine tables
+     * Only the top-left `coefficients` x `coefficients` block is filled (pHash needs 8x8).
+     * Results differ from the direct double sum by rounding only, at most dctErrorBound.
+     */
+    computeDCT(pixels, size, coefficients = size) {
+        const cosines = this.getDCTCosines(size);
+        const dct = new Float64Array(size * size);
+
+        // Rows: rowSums[i * coefficients + v] = sum over j of pixel(i, j) * cos(v, j)
+        const rowSums = new Float64Array(size * coefficients);
+        for (let i = 0; i < size; i++) {
+            const row = i * size;
+            for (let v = 0; v < coefficients; v++) {
+                const cosV = v * size;
+                let sum = 0;
+                for (let j = 0; j < size; j++) {
+                    sum += pixels[row + j] * cosines[cosV + j];
+                }
+                rowSums[i * coefficients + v] = sum;
+            }
+        }
+
+        // Columns: combine the row sums with cos(u, i)
+        for (let u = 0; u < coefficients; u++) {
+            const cosU = u * size;
+            const cu = u === 0 ? 1 / Math.sqrt(2) : 1;
+            for (let v = 0; v < coefficients; v++) {
+                let sum = 0;
+                for (let i = 0; i < size; i++) {
+                    sum += cosines[cosU + i] * rowSums[i * coefficients + v];
+                }
+                const cv = v === 0 ? 1 / Math.sqrt(2) : 1;
+                dct[u * size + v] = (1 / 4) * cu * cv * sum;
+            }
+        }
+
+        return dct;
+    }
+
+    /**
+     * Helper: One DCT coefficient by the direct double sum, in the original accumulation order
+     * (the reference the separable DCT is checked against)
+     */
+    computeDCTCoefficient(pixels, size, u, v) {
+        const cosines = this.getDCTCosines(size);
+        let sum = 0;
+        for (let i = 0; i < size; i++) {
+            const cosU = cosines[u * size + i];
+            for (let j = 0; j < size; j++) {
+                sum += pixels[i * size + j] * cosU * cosines[v * size + j];
+            }
+        }
+
+        const cu = u === 0 ? 1 / Math.sqrt(2) : 1;
+        const cv = v === 0 ? 1 / Math.sqrt(2) : 1;
+        return (1 / 4) * cu * cv * sum;
+    }
+
+    /**
+     * Helper: Bound on how far a separable and a direct DCT coefficient can differ. Both
+     * sums of products are within (terms + 2) unit roundoffs of the exact value relative to
+     * the sum of |pixel|, as |cos| <= 1; this adds both with a factor 2 to spare.
+     */
+    dctErrorBound(pixels, size) {
+        let total = 0;
+        for (let k = 0; k < size * size; k++) total += Math.abs(pixels[k]);
+        return (size * size + 2 * size + 8) * Number.EPSILON * total;
+    }
+
+    /**
+     * Helper: Cosine basis table for a DCT of the given size (cached)
+     * @returns {Float64Array} cos(((2i + 1) * u * PI) / (2 * size)) at [u * size + i]
+     */
+    getDCTCosines(size) {
+        if (!this.dctCosines.has(size)) {
+            const table = new Float64Array(size * size);
+            for (let u = 0; u < size; u++) {
+                for (let i = 0; i < size; i++) {
+                    table[u * size + i] = Math.cos(((2 * i + 1) * u * Math.PI) / (2 * size));
+                }
+            }
+            this.dctCosines.set(size, table);
+        }
+
+        return this.dctCosines.get(size);
+    }
+
+    /**
+     * Compute a normalized color histogram
+     * @param {Object} imageData
+     * @param {Object} [config] - { space, bins } (see the constructor's histogram option)
+     * @returns {Object} { r, g, b } 256-bin channel histograms for RGB without bins, otherwise
+     *          { space, bins, values } with one joint bin per color cell (values sum to 1)
+     */
+    computeColorHistogram(imageData, config = ImageMatcher.DEFAULT_HISTOGRAM) {
+        const totalPixels = imageData.data.length / 4;
+
+        if (config.bins === null) {
+            const rHist = new Array(256).fill(0);
+            const gHist = new Array(256).fill(0);
+            const bHist = new Array(256).fill(0);
+
+            for (let i = 0; i < imageData.data.length; i += 4) {
+                rHist[imageData.data[i]]++;
+                gHist[imageData.data[i + 1]]++;
+                bHist[imageData.data[i + 2]]++;
+            }
+
+            // Normalize histograms
+            return {
+                r: rHist.map(count => count / totalPixels),
+                g: gHist.map(count => count / totalPixels),
+                b: bHist.map(count => count / totalPixels)
+            };
+        }
+
+        // Joint bins; each channel is scaled to 0-1 over its range first
+        const [bins1, bins2, bins3] = config.bins;
+        const counts = new Float64Array(bins1 * bins2 * bins3);
+        const cell = (value, bins) => Math.min(bins - 1, Math.max(0, Math.floor(value * bins)));
+        const data = imageData.data;
+        for (let i = 0; i < data.length; i += 4) {
+            let c1;
+            let c2;
+            let c3;
+            if (config.space === 'hsv') {
+                [c1, c2, c3] = this.rgbToHsv(data[i], data[i + 1], data[i + 2]);
+                c1 /= 360;
+            } else if (config.space === 'lab') {
+                const [l, a, b] = this.rgbToLab(data[i], data[i + 1], data[i + 2]);
+                c1 = l / 100;
+                c2 = (a + 128) / 256;
+                c3 = (b + 128) / 256;
+            } else {
+                c1 = data[i] / 256;
+                c2 = data[i + 1] / 256;
+                c3 = data[i + 2] / 256;
+            }
+            counts[(cell(c1, bins1) * bins2 + cell(c2, bins2)) * bins3 + cell(c3, bins3)]++;
+        }
+
+        // Rounded so stored fingerprints stay small
+        return {
+            space: config.space,
+            bins: [bins1, bins2, bins3],
+            values: Array.from(counts, count => Math.round(count / totalPixels * 1e6) / 1e6)
+        };
+    }
+
+    /**
+     * Helper: Convert sRGB (0-255) to HSV
+     * @returns {Array<number>} [hue 0-360, saturation 0-1, value 0-1]
+     */
+    rgbToHsv(r, g, b) {
+        const max = Math.max(r, g, b);
+        const delta = max - Math.min(r, g, b);
+        let hue = 0;
+        if (delta > 0) {
+            if (max === r) hue = 60 * (((g - b) / delta) % 6);
+            else if (max === g) hue = 60 * ((b - r) / delta + 2);
+            else hue = 60 * ((r - g) / delta + 4);
+        }
+        return [hue < 0 ? hue + 360 : hue, max === 0 ? 0 : delta / max, max / 255];
+    }
+
+    /**
+     * Extract dominant colors with k-means++ in CIELAB. The seed is fixed, so results are
+     * deterministic; about PALETTE_OPTIONS.samples pixels are sampled on a regular grid.
+     * @returns {Array<{r: number, g: number, b: number, lab: Array<number>, share: number}>}
+     *          At most k colors, largest share (fraction of sampled pixels) first
+     */
+    extractDominantColors(imageData, k = ImageMatcher.PALETTE_OPTIONS.colors) {
+        const { samples: maxSamples, iterations } = ImageMatcher.PALETTE_OPTIONS;
+        const pixelCount = imageData.width * imageData.height;
+        if (!(pixelCount > 0) || k < 1) return [];
+
+        // Sample pixel centers of a regular grid and convert them to CIELAB
+        const step = Math.max(1, Math.ceil(Math.sqrt(pixelCount / maxSamples)));
+        const columns = Math.ceil(imageData.width / step);
+        const count = columns * Math.ceil(imageData.height / step);
+        const samples = new Float64Array(count * 3);
+        for (let n = 0; n < count; n++) {
+            const x = Math.min(imageData.width - 1, (n % columns) * step + (step >> 1));
+            const y = Math.min(imageData.height - 1, Math.floor(n / columns) * step + (step >> 1));
+            const i = (y * imageData.width + x) * 4;
+            samples.set(this.rgbToLab(imageData.data[i], imageData.data[i + 1], imageData.data[i + 2]), n * 3);
+        }
+        const distanceTo = (n, centroid) => {
+            const dl = samples[n * 3] - centroid[0];
+            const da = samples[n * 3 + 1] - centroid[1];
+            const db = samples[n * 3 + 2] - centroid[2];
+            return dl * dl + da * da + db * db;
+        };
+
+        // k-means++ seeding with a fixed seed, so the same image always gives the same palette.
+        // Seeding stops early when every sample already sits on a centroid (few distinct colors).
+        const random = createRandom(count);
+        const centroids = [Array.from(samples.subarray(0, 3))];
+        const nearest = new Float64Array(count);
+        for (let n = 0; n < count; n++) nearest[n] = distanceTo(n, centroids[0]);
+        while (centroids.length < k) {
+            const total = nearest.reduce((sum, distance) => sum + distance, 0);
+            if (total <= 1e-9) break;
+
+            let target = random() * total;
+            let chosen = count - 1;
+            for (let n = 0; n < count; n++) {
+                target -= nearest[n];
+                if (target < 0) {
+                    chosen = n;
+                    break;
+                }
+            }
+            const centroid = Array.from(samples.subarray(chosen * 3, chosen * 3 + 3));
+            centroids.push(centroid);
+            for (let n = 0; n < count; n++) nearest[n] = Math.min(nearest[n], distanceTo(n, centroid));
+        }
+
+        // Lloyd iterations
+        const assignment = new Int32Array(count);
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            let changed = false;
+            for (let n = 0; n < count; n++) {
+                let best = 0;
+                let bestDistance = Infinity;
+                for (let c = 0; c < centroids.length; c++) {
+                    const distance = distanceTo(n, centroids[c]);
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = c;
+                    }
+                }
+                if (assignment[n] !== best || iteration === 0) changed = true;
+                assignment[n] = best;
+            }
+            if (!changed) break;
+
+            const sums = centroids.map(() => [0, 0, 0, 0]);
+            for (let n = 0; n < count; n++) {
+                const sum = sums[assignment[n]];
+                sum[0] += samples[n * 3];
+                sum[1] += samples[n * 3 + 1];
+                sum[2] += samples[n * 3 + 2];
+                sum[3]++;
+            }
+            sums.forEach((sum, c) => {
+                if (sum[3] > 0) centroids[c] = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+            });
+        }
+
+        const sizes = new Array(centroids.length).fill(0);
+        for (let n = 0; n < count; n++) sizes[assignment[n]]++;
+
+        return centroids
+            .map((lab, c) => {
+                const [r, g, b] = this.labToRgb(lab);
+                return { r, g, b, lab: lab.map(value => Math.round(value * 100) / 100), share: sizes[c] / count };
+            })
+            .filter(color => color.share > 0)
+            .sort((a, b) => b.share - a.share);
+    }
+
+    /**
+     * Helper: Convert sRGB (0-255) to CIELAB (D65)
+     * @returns {Array<number>} [L, a, b]
+     */
+    rgbToLab(r, g, b) {
+        const linear = (value) => {
+            value /= 255;
+            return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        };
+        const lr = linear(r);
+        const lg = linear(g);
+        const lb = linear(b);
+
+        const f = (t) => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+        const fx = f((0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / 0.95047);
+        const fy = f(0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb);
+        const fz = f((0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / 1.08883);
+
+        return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+    }
+
+    /**
+     * Helper: Convert CIELAB (D65) back to sRGB, rounded and clamped to 0-255
+     * @returns {Array<number>} [r, g, b]
+     */
+    labToRgb([l, a, b]) {
+        const fy = (l + 16) / 116;
+        const fx = fy + a / 500;
+        const fz = fy - b / 200;
+        const inverse = t => t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27);
+        const x = inverse(fx) * 0.95047;
+        const y = inverse(fy);
+        const z = inverse(fz) * 1.08883;
+
+        const gamma = (value) => {
+            const encoded = value <= 0.0031308 ? 12.92 * value : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+            return Math.max(0, Math.min(255, Math.round(encoded * 255)));
+        };
+        return [
+            gamma(3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+            gamma(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+            gamma(0.0556434 * x - 0.2040259 * y + 1.0572252 * z)
+        ];
+    }
+
+    /**
+     * Compute edge hash for structural comparison
+     */
+    computeEdgeHash(imageData) {
+        // Convert to grayscale
+        return this.edgeHashFromGrid(this.resizeGrayscale(imageData, 8, 8));
+    }
+
+    /**
+     * Helper: Edge hash of an 8x8 gray grid
+     */
+    edgeHashFromGrid(gray) {
+        // Apply simple edge detection (gradient)
+        const hash = new PackedHash(49);
+        for (let y = 0; y < 7; y++) {
+            for (let x = 0; x < 7; x++) {
+                const current = gray[y * 8 + x];
+                const right = gray[y * 8 + x + 1];
+                const down = gray[(y + 1) * 8 + x];
+
+                const gradientX = Math.abs(current - right);
+                const gradientY = Math.abs(current - down);
+                const gradient = Math.sqrt(gradientX * gradientX + gradientY * gradientY);
+
+                if (gradient > 30) hash.setBit(y * 7 + x);
+            }
+        }
+
+        return hash;
+    }
+
+    /**
+     * Hash every rotation and mirror image. Resizing commutes with these transforms, so the
+     * small gray grids are transformed instead of the full image.
+     * @returns {Array<Object>} { aHash, dHash, pHash, edgeHash } per entry of ImageMatcher.ORIENTATIONS
+     */
+    computeOrientationHashes(imageData, algorithms = this.scoring.enabled) {
+        const enabled = new Set(algorithms);
+        const square8 = this.resizeGrayscale(imageData, 8, 8);
+        const square32 = enabled.has('pHash') ? this.resizeGrayscale(imageData, 32, 32) : null;
+        // dHash needs a 9x8 grid after the transform, so axis-swapping ones start from 8x9
+        const wide = enabled.has('dHash') ? this.resizeGrayscale(imageData, 9, 8) : null;
+        const tall = enabled.has('dHash') ? this.resizeGrayscale(imageData, 8, 9) : null;
+
+        return ImageMatcher.ORIENTATIONS.map((orientation) => {
+            const hashes = {};
+            if (enabled.has('aHash')) {
+                hashes.aHash = this.averageHashFromGrid(this.transformGrid(square8, 8, 8, orientation));
+            }
+            if (enabled.has('dHash')) {
+                hashes.dHash = this.differenceHashFromGrid(this.swapsAxes(orientation) ?
+                    this.transformGrid(tall, 8, 9, orientation) :
+                    this.transformGrid(wide, 9, 8, orientation));
+            }
+            if (enabled.has('pHash')) {
+                hashes.pHash = this.perceptualHashFromGrid(this.transformGrid(square32, 32, 32, orientation));
+            }
+            if (enabled.has('edgeHash')) {
+                hashes.edgeHash = this.edgeHashFromGrid(this.transformGrid(square8, 8, 8, orientation));
+            }
+            return hashes;
+        });
+    }
+
+    /**
+     * Check whether an orientation swaps width and height
+     */
+    swapsAxes(orientation) {
+        return orientation === 'rotate90' || orientation === 'rotate270' ||
+            orientation === 'transpose' || orientation === 'transverse';
+    }
+
+    /**
+     * The orientation that undoes another one
+     */
+    invertOrientation(orientation) {
+        if (orientation === 'rotate90') return 'rotate270';
+        if (orientation === 'rotate270') return 'rotate90';
+        return orientation;
+    }
+
+    /**
+     * Rotate or mirror a row-major grid (rotations are clockwise)
+     * @param {ArrayLike<number>} grid - width * height values
+     * @param {number} width
+     * @param {number} height
+     * @param {string} orientation - One of ImageMatcher.ORIENTATIONS
+     * @returns {Float64Array} The transformed grid; its width is `height` when swapsAxes(orientation)
+     */
+    transformGrid(grid, width, height, orientation) {
+        const swap = this.swapsAxes(orientation);
+        const outWidth = swap ? height : width;
+        const outHeight = swap ? width : height;
+        const sourceIndex = this.orientedSourceIndex(orientation, width, height);
+        const result = new Float64Array(width * height);
+
+        for (let yo = 0; yo < outHeight; yo++) {
+            for (let xo = 0; xo < outWidth; xo++) {
+                result[yo * outWidth + xo] = grid[sourceIndex(xo, yo)];
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Helper: Map output coordinates of a transform back to the source's row-major index
+     * @returns {Function} (xo, yo) => index into the width * height source
+     */
+    orientedSourceIndex(orientation, width, height) {
+        switch (orientation) {
+            case 'identity': return (xo, yo) => yo * width + xo;
+            case 'rotate90': return (xo, yo) => (height - 1 - xo) * width + yo;
+            case 'rotate180': return (xo, yo) => (height - 1 - yo) * width + width - 1 - xo;
+            case 'rotate270': return (xo, yo) => xo * width + width - 1 - yo;
+            case 'flipHorizontal': return (xo, yo) => yo * width + width - 1 - xo;
+            case 'flipVertical': return (xo, yo) => (height - 1 - yo) * width + xo;
+            case 'transpose': return (xo, yo) => xo * width + yo;
+            case 'transverse': return (xo, yo) => (height - 1 - xo) * width + width - 1 - yo;
+            default: throw new Error(`Unknown orientation "${orientation}" (expected one of: ${ImageMatcher.ORIENTATIONS.join(', ')})`);
+        }
+    }
+
+    /**
+     * Rotate or mirror RGBA pixels, e.g. to apply an EXIF orientation
+     * @param {Object} imageData - RGBA {width, height, data}
+     * @param {string} orientation - One of ImageMatcher.ORIENTATIONS
+     * @returns {Object} New RGBA pixels (the input itself for 'identity')
+     */
+    orientImageData(imageData, orientation) {
+        if (orientation === 'identity') return imageData;
+
+        const { width, height } = imageData;
+        const swap = this.swapsAxes(orientation);
+        const outWidth = swap ? height : width;
+        const outHeight = swap ? width : height;
+        const sourceIndex = this.orientedSourceIndex(orientation, width, height);
+        // Move whole pixels as 32-bit words (copy first if the bytes are not 4-aligned)
+        const bytes = imageData.data.byteOffset % 4 === 0 ? imageData.data : Uint8Array.from(imageData.data);
+        const source = new Uint32Array(bytes.buffer, bytes.byteOffset, width * height);
+        const target = new Uint32Array(width * height);
+
+        for (let yo = 0; yo < outHeight; yo++) {
+            for (let xo = 0; xo < outWidth; xo++) {
+                target[yo * outWidth + xo] = source[sourceIndex(xo, yo)];
+            }
+        }
+
+        return { width: outWidth, height: outHeight, data: new Uint8ClampedArray(target.buffer) };
+    }
+
+    /**
+     * Detect FAST-9 corners on a small image pyramid and describe each with a 256-bit BRIEF
+     * descriptor. The pyramid lets a crop saved at another resolution still match.
+     * @returns {KeypointSet} The strongest corners, in source pixel coordinates
+     */
+    computeKeypoints(imageData) {
+        const { workSize, levels, scaleFactor, fastThreshold, maxKeypoints } = ImageMatcher.KEYPOINT_OPTIONS;
+        const base = Math.min(1, workSize / Math.max(imageData.width, imageData.height));
+        const corners = [];
+
+        for (let level = 0; level < levels; level++) {
+            const scale = base / Math.pow(scaleFactor, level);
+            const width = Math.round(imageData.width * scale);
+            const height = Math.round(imageData.height * scale);
+            if (Math.min(width, height) <= 2 * ImageMatcher.KEYPOINT_BORDER) break;
+
+            const gray = this.resizeGrayscale(imageData, width, height);
+            const integral = this.computeIntegralImage(gray, width, height);
+            for (const corner of this.detectFastCorners(gray, width, height, fastThreshold)) {
+                corners.push({ ...corner, level, scale, width, integral });
+            }
+        }
+
+        corners.sort((a, b) => b.score - a.score || a.level - b.level || a.y - b.y || a.x - b.x);
+        const kept = corners.slice(0, maxKeypoints);
+        const keypoints = new KeypointSet(kept.length);
+        kept.forEach((corner, n) => {
+            // Pixel centers map back through the same box resampling
+            keypoints.x[n] = (corner.x + 0.5) / corner.scale - 0.5;
+            keypoints.y[n] = (corner.y + 0.5) / corner.scale - 0.5;
+            keypoints.scale[n] = 1 / corner.scale;
+            this.describeKeypoint(corner.integral, corner.width, corner.x, corner.y, keypoints.descriptors, n * KeypointSet.WORDS);
+        });
+        return keypoints;
+    }
+
+    /**
+     * Helper: Summed-area table with one row and column of zero padding
+     * @returns {Float64Array} (width + 1) * (height + 1) sums
+     */
+    computeIntegralImage(gray, width, height) {
+        const stride = width + 1;
+        const integral = new Float64Array(stride * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                rowSum += gray[y * width + x];
+                integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+            }
+        }
+        return integral;
+    }
+
+    /**
+     * FAST-9 corner test with 3x3 non-maximum suppression: a pixel is a corner when 9
+     * contiguous pixels of the radius-3 circle around it are all brighter or all darker
+     * by more than the threshold
+     * @returns {Array<{x: number, y: number, score: number}>}
+     */
+    detectFastCorners(gray, width, height, threshold) {
+        const circle = [
+            [0, -3], [1, -3], [2, -2], [3, -1], [3, 0], [3, 1], [2, 2], [1, 3],
+            [0, 3], [-1, 3], [-2, 2], [-3, 1], [-3, 0], [-3, -1], [-2, -2], [-1, -3]
+        ].map(([dx, dy]) => dy * width + dx);
+        const border = ImageMatcher.KEYPOINT_BORDER;
+        const scores = new Float64Array(width * height);
+        const diffs = new Float64Array(16);
+
+        for (let y = border; y < height - border; y++) {
+            for (let x = border; x < width - border; x++) {
+                const index = y * width + x;
+                const center = gray[index];
+                for (let k = 0; k < 16; k++) diffs[k] = gray[index + circle[k]] - center;
+
+                // Longest run around the (wrapping) circle, for brighter and darker pixels
+                let brighter = 0;
+                let darker = 0;
+                let bestBrighter = 0;
+                let bestDarker = 0;
+                for (let k = 0; k < 16 + 8; k++) {
+                    const diff = diffs[k & 15];
+                    brighter = diff > threshold ? brighter + 1 : 0;
+                    darker = diff < -threshold ? darker + 1 : 0;
+                    if (brighter > bestBrighter) bestBrighter = brighter;
+                    if (darker > bestDarker) bestDarker = darker;
+                }
+                if (bestBrighter < 9 && bestDarker < 9) continue;
+
+                // Score: how far the circle is past the threshold on the corner's side
+                const sign = bestBrighter >= 9 ? 1 : -1;
+                let score = 0;
+                for (let k = 0; k < 16; k++) {
+                    score += Math.max(0, sign * diffs[k] - threshold);
+                }
+                scores[index] = score;
+            }
+        }
+
+        const corners = [];
+        for (let y = border; y < height - border; y++) {
+            for (let x = border; x < width - border; x++) {
+                const score = scores[y * width + x];
+                if (score === 0) continue;
+
+                // Ties go to the first pixel in scan order
+                let isMaximum = true;
+                for (let dy = -1; dy <= 1 && isMaximum; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const neighbor = scores[(y + dy) * width + x + dx];
+                        if (neighbor > score || (neighbor === score && (dy < 0 || (dy === 0 && dx < 0)))) {
+                            isMaximum = false;
+                            break;
+                        }
+                    }
+                }
+                if (isMaximum) corners.push({ x, y, score });
+            }
+        }
+        return corners;
+    }
+
+    /**
+     * Write the BRIEF descriptor of a keypoint: one bit per KeypointSet.PATTERN pair,
+     * comparing 5x5 box-smoothed intensities so single-pixel noise does not flip bits
+     */
+    describeKeypoint(integral, width, x, y, out, offset) {
+        const stride = width + 1;
+        const boxSum = (px, py) => integral[(py + 3) * stride + px + 3] - integral[(py - 2) * stride + px + 3] -
+            integral[(py + 3) * stride + px - 2] + integral[(py - 2) * stride + px - 2];
+        const pattern = KeypointSet.PATTERN;
+
+        for (let w = 0; w < KeypointSet.WORDS; w++) out[offset + w] = 0;
+        for (let i = 0; i < pattern.length / 4; i++) {
+            const p = i * 4;
+            if (boxSum(x + pattern[p], y + pattern[p + 1]) < boxSum(x + pattern[p + 2], y + pattern[p + 3])) {
+                out[offset + (i >>> 5)] |= 1 << (31 - (i & 31));
+            }
+        }
+    }
+
+    /**
+     * Helper: Calculate color distance (Euclidean; CIE76 delta E for Lab triples)
+     */
+    colorDistance(color1, color2) {
+        const dr = color1[0] - color2[0];
+        const dg = color1[1] - color2[1];
+        const db = color1[2] - color2[2];
+        return Math.sqrt(dr * dr + dg * dg + db * db);
+    }
+
+    /**
+     * Calculate Hamming distance between two hashes
+     * Accepts PackedHash values, hex strings or legacy '0'/'1' bit strings.
+     */
+    hammingDistance(hash1, hash2) {
+        const length = hash1 instanceof PackedHash ? hash1.length :
+            hash2 instanceof PackedHash ? hash2.length : undefined;
+        const packed1 = PackedHash.from(hash1, length);
+        const packed2 = PackedHash.from(hash2, length);
+
+        if (packed1.length !== packed2.length) return Infinity;
+
+        return packed1.distance(packed2);
+    }
+
+    /**
+     * Convert a fingerprint's hashes to PackedHash values and its keypoints to a KeypointSet
+     * (memoized per fingerprint).
+     * Lets fingerprints persisted as hex or legacy bit strings be compared directly.
+     */
+    normalizeFingerprint(fingerprint) {
+        const hashNames = Object.keys(ImageMatcher.HASH_BITS);
+        const isPacked = entry => hashNames.every(name => entry[name] === undefined || entry[name] instanceof PackedHash);
+        if (isPacked(fingerprint) && (!fingerprint.orientations || fingerprint.orientations.every(isPacked)) &&
+            (!fingerprint.video || fingerprint.video.frames.every(isPacked)) &&
+            (fingerprint.keypoints === undefined || fingerprint.keypoints instanceof KeypointSet)) {
+            return fingerprint;
+        }
+
+        if (this.normalizedFingerprints.has(fingerprint)) {
+            return this.normalizedFingerprints.get(fingerprint);
+        }
+
+        const pack = (entry) => {
+            const result = { ...entry };
+            for (const name of hashNames) {
+                if (entry[name] !== undefined) {
+                    result[name] = PackedHash.from(entry[name], ImageMatcher.HASH_BITS[name]);
+                }
+            }
+            return result;
+        };
+
+        const normalized = pack(fingerprint);
+        if (fingerprint.orientations) {
+            normalized.orientations = fingerprint.orientations.map(pack);
+        }
+        if (fingerprint.video) {
+            normalized.video = { ...fingerprint.video, frames: fingerprint.video.frames.map(pack) };
+        }
+        if (fingerprint.keypoints !== undefined) {
+            normalized.keypoints = KeypointSet.from(fingerprint.keypoints);
+        }
+
+        this.normalizedFingerprints.set(fingerprint, normalized);
+        return normalized;
+    }
+
+    /**
+     * Views of a normalized fingerprint as if the image were rotated or mirrored, one per
+     * entry of ImageMatcher.ORIENTATIONS (memoized)
+     */
+    getOrientedViews(fingerprint) {
+        if (this.orientedViews.has(fingerprint)) {
+            return this.orientedViews.get(fingerprint);
+        }
+        if (!Array.isArray(fingerprint.orientations)) {
+            throw new Error(`Fingerprint "${fingerprint.id}" has no orientation hashes; process it with orientations enabled`);
+        }
+
+        const views = ImageMatcher.ORIENTATIONS.map((orientation, k) => ({
+            ...fingerprint,
+            ...fingerprint.orientations[k],
+            aspectRatio: this.swapsAxes(orientation) ? 1 / fingerprint.aspectRatio : fingerprint.aspectRatio
+        }));
+        this.orientedViews.set(fingerprint, views);
+        return views;
+    }
+
+    /**
+     * Views of a normalized video fingerprint as each of its keyframes: the keyframe's hashes
+     * over the representative frame's other features (memoized)
+     */
+    getFrameViews(fingerprint) {
+        if (this.frameViews.has(fingerprint)) {
+            return this.frameViews.get(fingerprint);
+        }
+
+        const views = fingerprint.video.frames.map(frame => ({ ...fingerprint, ...frame }));
+        this.frameViews.set(fingerprint, views);
+        return views;
+    }
+
+    /**
+     * Compare color histograms with a metric, normalized to 0-1 (1 = identical):
+     * 'correlation' - Pearson correlation, negative values count as 0 (per channel)
+     * 'intersection' - sum of bin minimums
+     * 'bhattacharyya' - 1 - Hellinger distance
+     * 'chiSquare' - 1 - symmetric chi-square distance / 2
+     * Channel histograms ({ r, g, b }) are scored per channel and averaged.
+     * @throws {Error} If the histograms have different layouts
+     */
+    compareHistograms(hist1, hist2, metric = 'correlation') {
+        const pairs = Array.isArray(hist1.r) && Array.isArray(hist2.r) ?
+            ['r', 'g', 'b'].map(channel => [hist1[channel], hist2[channel]]) :
+            [[hist1.values, hist2.values]];
+        if (pairs.some(([h1, h2]) => !h1 || !h2 || h1.length !== h2.length) ||
+            hist1.space !== hist2.space) {
+            throw new Error('Histograms have different layouts; compute both with the same histogram options');
+        }
+
+        const total = pairs.reduce((sum, [h1, h2]) => sum + this.compareDistributions(h1, h2, metric), 0) / pairs.length;
+        return Math.max(0, Math.min(1, total));
+    }
+
+    /**
+     * Helper: Similarity of two histograms for one metric (see compareHistograms)
+     */
+    compareDistributions(h1, h2, metric) {
+        if (metric === 'correlation') {
+            // Calculate means
+            const mean1 = h1.reduce((a, b) => a + b) / h1.length;
+            const mean2 = h2.reduce((a, b) => a + b) / h2.length;
+
+            // Calculate correlation coefficient
+            let numerator = 0;
+            let denominator1 = 0;
+            let denominator2 = 0;
+
+            for (let i = 0; i < h1.length; i++) {
+                const diff1 = h1[i] - mean1;
+                const diff2 = h2[i] - mean2;
+                numerator += diff1 * diff2;
+                denominator1 += diff1 * diff1;
+                denominator2 += diff2 * diff2;
+            }
+
+            // Clamped here, so an anti-correlated channel cannot cancel out a matching one
+            const correlation = numerator / Math.sqrt(denominator1 * denominator2);
+            return isNaN(correlation) ? 0 : Math.max(0, correlation);
+        }
+
+        // The other metrics compare probability distributions
+        const sum1 = h1.reduce((a, b) => a + b, 0) || 1;
+        const sum2 = h2.reduce((a, b) => a + b, 0) || 1;
+        let total = 0;
+        for (let i = 0; i < h1.length; i++) {
+            const p = h1[i] / sum1;
+            const q = h2[i] / sum2;
+            if (metric === 'intersection') total += Math.min(p, q);
+            else if (metric === 'bhattacharyya') total += Math.sqrt(p * q);
+            else if (p + q > 0) total += (p - q) * (p - q) / (p + q);
+        }
+
+        if (metric === 'intersection') return total;
+        if (metric === 'bhattacharyya') return 1 - Math.sqrt(Math.max(0, 1 - total));
+        return 1 - total / 2;
+    }
+
+    /**
+     * Compare dominant color palettes by Earth Mover's Distance in CIELAB: the least total
+     * delta E × share needed to turn one palette into the other, mapped to 0-1 by
+     * exp(-distance / PALETTE_OPTIONS.distanceScale)
+     */
+    comparePalettes(colors1, colors2) {
+        return Math.exp(-this.paletteDistance(colors1, colors2) / ImageMatcher.PALETTE_OPTIONS.distanceScale);
+    }
+
+    /**
+     * Earth Mover's Distance between two palettes, solved exactly as a min-cost flow (successive
+     * shortest paths) from the colors of palette 1 to those of palette 2.
+     * Colors without `lab` or `share` (older fingerprints) are converted and weighted equally.
+     * @returns {number} Average delta E moved per unit of share
+     */
+    paletteDistance(colors1, colors2) {
+        return this.paletteFlow(colors1, colors2).distance;
+    }
+
+    /**
+     * Helper: Solve the palette transport problem behind paletteDistance
+     * @returns {{distance: number, flows: Array<{from: number, to: number, share: number, deltaE: number}>}}
+     *          `flows` lists how much share moves from colors1[from] to colors2[to]
+     */
+    paletteFlow(colors1, colors2) {
+        const prepare = (colors) => {
+            const total = colors.reduce((sum, color) => sum + (color.share !== undefined ? color.share : 1), 0);
+            return colors.map(color => ({
+                lab: color.lab || this.rgbToLab(color.r, color.g, color.b),
+                share: (color.share !== undefined ? color.share : 1) / total
+            }));
+        };
+        if (colors1.length === 0 || colors2.length === 0) {
+            return { distance: colors1.length === colors2.length ? 0 : Infinity, flows: [] };
+        }
+        const supply = prepare(colors1);
+        const demand = prepare(colors2);
+
+        // Nodes: 0 source, suppliers, consumers, sink. Each edge has a paired reverse edge.
+        const n = supply.length;
+        const m = demand.length;
+        const sink = n + m + 1;
+        const edges = [];
+        const addEdge = (from, to, capacity, cost) => {
+            edges.push({ from, to, capacity, cost }, { from: to, to: from, capacity: 0, cost: -cost });
+        };
+        supply.forEach((color, i) => addEdge(0, 1 + i, color.share, 0));
+        demand.forEach((color, j) => addEdge(1 + n + j, sink, color.share, 0));
+        const transport = [];
+        supply.forEach((from, i) => demand.forEach((to, j) => {
+            transport.push({ from: i, to: j, edge: edges.length });
+            addEdge(1 + i, 1 + n + j, Infinity, this.colorDistance(from.lab, to.lab));
+        }));
+
+        const epsilon = 1e-12;
+        let moved = 0;
+        let cost = 0;
+        while (moved < 1 - 1e-9) {
+            // Bellman-Ford: the graph has at most 12 nodes
+            const distance = new Array(sink + 1).fill(Infinity);
+            const via = new Array(sink + 1).fill(-1);
+            distance[0] = 0;
+            for (let round = 0; round < sink; round++) {
+                let updated = false;
+                edges.forEach((edge, e) => {
+                    if (edge.capacity > epsilon && distance[edge.from] + edge.cost < distance[edge.to] - 1e-12) {
+                        distance[edge.to] = distance[edge.from] + edge.cost;
+                        via[edge.to] = e;
+                        updated = true;
+                    }
+                });
+                if (!updated) break;
+            }
+            if (via[sink] < 0) break;
+
+            let amount = Infinity;
+            for (let node = sink; node !== 0; node = edges[via[node]].from) {
+                amount = Math.min(amount, edges[via[node]].capacity);
+            }
+            for (let node = sink; node !== 0; node = edges[via[node]].from) {
+                edges[via[node]].capacity -= amount;
+                edges[via[node] ^ 1].capacity += amount;
+            }
+            moved += amount;
+            cost += amount * distance[sink];
+        }
+
+        // The reverse edge's capacity is the flow on a transport edge
+        const flows = transport
+            .map(({ from, to, edge }) => ({ from, to, share: edges[edge + 1].capacity, deltaE: edges[edge].cost }))
+            .filter(flow => flow.share > 1e-9);
+
+        return { distance: cost, flows };
+    }
+
+    /**
+     * Compare EXIF/XMP metadata (see MetadataReader): the mean of the capture time, camera and
+     * GPS terms both images have, or 0.5 when they share none of them
+     */
+    compareMetadata(metadata1, metadata2) {
+        const scales = ImageMatcher.METADATA_SCALES;
+        const terms = [];
+
+        if (metadata1 && metadata2) {
+            // Offsets are ignored: cameras rarely record them, and most pairs share one anyway
+            const time1 = metadata1.capturedAt ? Date.parse(metadata1.capturedAt.slice(0, 19) + 'Z') : NaN;
+            const time2 = metadata2.capturedAt ? Date.parse(metadata2.capturedAt.slice(0, 19) + 'Z') : NaN;
+            if (isFinite(time1) && isFinite(time2)) {
+                terms.push(Math.exp(-Math.abs(time1 - time2) / 1000 / scales.captureSeconds));
+            }
+
+            if (metadata1.cameraModel && metadata2.cameraModel) {
+                terms.push(metadata1.cameraModel === metadata2.cameraModel && metadata1.cameraMake === metadata2.cameraMake ? 1 : 0);
+            }
+
+            if (metadata1.gps && metadata2.gps) {
+                // Haversine distance
+                const radians = Math.PI / 180;
+                const dLatitude = (metadata2.gps.latitude - metadata1.gps.latitude) * radians;
+                const dLongitude = (metadata2.gps.longitude - metadata1.gps.longitude) * radians;
+                const a = Math.pow(Math.sin(dLatitude / 2), 2) + Math.cos(metadata1.gps.latitude * radians) *
+                    Math.cos(metadata2.gps.latitude * radians) * Math.pow(Math.sin(dLongitude / 2), 2);
+                const meters = 2 * 6371000 * Math.asin(Math.min(1, Math.sqrt(a)));
+                terms.push(Math.exp(-meters / scales.gpsMeters));
+            }
+        }
+
+        return terms.length > 0 ? terms.reduce((sum, term) => sum + term, 0) / terms.length : 0.5;
     }
 
     /**
-     * Process a single image and compute all similarity hashes
-     * @param {HTMLImageElement|string} imageSource 
-     * @param {string} imageId 
-     * @returns {Promise<Object>} Image fingerprint data
+     * Compare two images and return similarity score (0-1)
+     * @param {Object} fingerprint1
+     * @param {Object} fingerprint2
+     * @param {Object} [options] - Scoring options (profile, weights, algorithms, minSimilarity);
+     *        defaults to the matcher's
+     * @returns {{overall: number, details: Object, rejectedBy: string|null, orientation: string, crop: Object|null}}
+     *          `details` has one similarity per enabled algorithm; `rejectedBy` names the first
+     *          algorithm below its minSimilarity; `orientation` is the transform that makes image 2
+     *          look like image 1 ('identity' unless orientations are enabled); `crop` is the
+     *          detectCrop result when crops are enabled. A detected crop scores its own
+     *          similarity if that is higher, and is never rejected by minimums.
+     *          Videos (see processVideo) are always compared as fingerprint 2, without orientations
+     *          or crops, and add `video`: against an image, { time, frame } of the best matching
+     *          keyframe; against a video, compareVideos' { segments, coverage, offset }, whose
+     *          score is the overall similarity. `video` is null for two images.
      */
-    async processImage(imageSource, imageId) {
-        if (this.cache.has(imageId)) {
-            return this.cache.get(imageId);
+    compareImages(fingerprint1, fingerprint2, options = null) {
+        fingerprint1 = this.normalizeFingerprint(fingerprint1);
+        fingerprint2 = this.normalizeFingerprint(fingerprint2);
+        if (fingerprint1.video && !fingerprint2.video) {
+            [fingerprint1, fingerprint2] = [fingerprint2, fingerprint1];
         }
+        const scoring = this.getScoring(options);
+        const frames = fingerprint2.video && !fingerprint1.video;
+        const views = frames ? this.getFrameViews(fingerprint2) :
+            scoring.orientations && !fingerprint2.video ? this.getOrientedViews(fingerprint2) : [fingerprint2];
+        const invariant = {};
+        let best = null;
 
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
+        views.forEach((view, k) => {
+            // Weighted combination of the enabled similarities
+            const details = {};
+            let totalSimilarity = 0;
+            let rejectedBy = null;
 
-        let img;
-        if (typeof imageSource === 'string') {
-            img = new Image();
-            img.crossOrigin = 'anonymous';
-            await new Promise((resolve, reject) => {
-                img.onload = resolve;
-                img.onerror = reject;
-                img.src = imageSource;
+            for (const name of scoring.enabled) {
+                let similarity;
+                if (ImageMatcher.ORIENTATION_INVARIANT.includes(name)) {
+                    if (invariant[name] === undefined) invariant[name] = this.compareFeature(name, fingerprint1, view, scoring);
+                    similarity = invariant[name];
+                } else {
+                    similarity = this.compareFeature(name, fingerprint1, view, scoring);
+                }
+                details[name] = similarity;
+                totalSimilarity += similarity * scoring.normalized[name];
+
+                const minimum = scoring.minSimilarity[name];
+                if (rejectedBy === null && minimum !== undefined && similarity < minimum) {
+                    rejectedBy = name;
+                }
+            }
+
+            // Prefer orientations that pass every minimum, then the highest score
+            const better = !best ||
+                (best.rejectedBy !== null && rejectedBy === null) ||
+                ((best.rejectedBy === null) === (rejectedBy === null) && totalSimilarity > best.total);
+            if (better) {
+                best = {
+                    total: totalSimilarity,
+                    details,
+                    rejectedBy,
+                    orientation: frames ? 'identity' : ImageMatcher.ORIENTATIONS[k],
+                    video: frames ? { time: view.time, frame: k } : null
+                };
+            }
+        });
+
+        // Two clips score by how much of them lines up in time, not by their keyframes
+        if (fingerprint1.video && fingerprint2.video) {
+            best.video = this.compareVideos(fingerprint1.video, fingerprint2.video, scoring);
+            best.total = best.video.similarity;
+            best.rejectedBy = null;
+            delete best.video.similarity;
+        }
+
+        // Whole-image hashes score a crop poorly, so a found crop overrides them
+        const crop = scoring.crops && !fingerprint2.video ? this.detectCrop(fingerprint1, fingerprint2) : null;
+        if (crop && (crop.similarity > best.total || best.rejectedBy !== null)) {
+            best.total = Math.max(best.total, crop.similarity);
+            best.rejectedBy = null;
+        }
+
+        return {
+            overall: Math.max(0, Math.min(1, best.total)),
+            details: best.details,
+            rejectedBy: best.rejectedBy,
+            orientation: best.orientation,
+            crop,
+            video: best.video
+        };
+    }
+
+    /**
+     * Align the keyframes of two videos and find the segments they share.
+     * Keyframe pairs at least VIDEO_OPTIONS.frameThreshold similar (weighted over the enabled
+     * hashes) vote for their time offset; the best supported offsets are then followed as runs
+     * of matching keyframes, allowing single-frame gaps, and each frame joins one segment at most.
+     * @param {Object} video1 - A video fingerprint's `video` with packed frame hashes
+     * @param {Object} video2
+     * @param {Object} [scoring]
+     * @returns {{similarity: number, coverage: number, offset: number|null, segments: Array<Object>}}
+     *          `segments` ({ start1, end1, start2, end2, offset, similarity, frames }, in seconds,
+     *          offset = start2 - start1) longest first; `coverage` is the larger share of either
+     *          video's keyframes inside a segment; `similarity` is coverage times the segments'
+     *          mean keyframe similarity; `offset` is the longest segment's
+     */
+    compareVideos(video1, video2, scoring = this.scoring) {
+        const { frameThreshold, minSegmentFrames } = ImageMatcher.VIDEO_OPTIONS;
+        const frames1 = video1.frames;
+        const frames2 = video2.frames;
+        const hashes = scoring.enabled.filter(name => ImageMatcher.HASH_GRIDS[name] &&
+            frames1.length > 0 && frames2.length > 0 && frames1[0][name] && frames2[0][name]);
+        if (hashes.length === 0) {
+            throw new Error('Videos share no enabled hash algorithm; enable aHash, dHash, pHash or edgeHash');
+        }
+
+        // Hashes keep their relative weights (equal if all are zero)
+        const weightSum = hashes.reduce((sum, name) => sum + scoring.weights[name], 0);
+        const weights = hashes.map(name => (weightSum > 0 ? scoring.weights[name] / weightSum : 1 / hashes.length));
+        const similarities = new Float32Array(frames1.length * frames2.length);
+        frames1.forEach((frame1, i) => {
+            frames2.forEach((frame2, j) => {
+                let similarity = 0;
+                hashes.forEach((name, h) => {
+                    similarity += weights[h] * (1 - this.hammingDistance(frame1[name], frame2[name]) / frame1[name].length);
+                });
+                similarities[i * frames2.length + j] = similarity;
             });
-        } else {
-            img = imageSource;
+        });
+
+        // Offset histogram, one bin per sampling interval
+        const step = Math.max(video1.interval, video2.interval);
+        const binOf = (i, j) => Math.round((frames2[j].time - frames1[i].time) / step);
+        const votes = new Map();
+        for (let i = 0; i < frames1.length; i++) {
+            for (let j = 0; j < frames2.length; j++) {
+                const similarity = similarities[i * frames2.length + j];
+                if (similarity >= frameThreshold) {
+                    const bin = binOf(i, j);
+                    votes.set(bin, (votes.get(bin) || 0) + similarity);
+                }
+            }
         }
+        const bins = Array.from(votes.keys()).sort((a, b) => votes.get(b) - votes.get(a) || Math.abs(a) - Math.abs(b));
 
-        // Set canvas dimensions
-        canvas.width = img.width;
-        canvas.height = img.height;
-        ctx.drawImage(img, 0, 0);
+        const used1 = new Uint8Array(frames1.length);
+        const used2 = new Uint8Array(frames2.length);
+        const segments = [];
+        for (const bin of bins) {
+            // Best unused partner of each frame of video 1 at this offset
+            const matches = [];
+            for (let i = 0; i < frames1.length; i++) {
+                if (used1[i]) continue;
+                let best = -1;
+                for (let j = 0; j < frames2.length; j++) {
+                    const similarity = similarities[i * frames2.length + j];
+                    if (!used2[j] && similarity >= frameThreshold && binOf(i, j) === bin &&
+                        (best < 0 || similarity > similarities[i * frames2.length + best])) {
+                        best = j;
+                    }
+                }
+                if (best >= 0) matches.push({ i, j: best, similarity: similarities[i * frames2.length + best] });
+            }
 
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            // Split into runs, bridging one missing keyframe
+            let run = [];
+            const flush = () => {
+                if (run.length >= minSegmentFrames) {
+                    const first = run[0];
+                    const last = run[run.length - 1];
+                    segments.push({
+                        start1: frames1[first.i].time,
+                        end1: frames1[last.i].time + video1.interval,
+                        start2: frames2[first.j].time,
+                        end2: frames2[last.j].time + video2.interval,
+                        offset: frames2[first.j].time - frames1[first.i].time,
+                        similarity: run.reduce((sum, match) => sum + match.similarity, 0) / run.length,
+                        frames: run.length
+                    });
+                    for (const match of run) {
+                        used1[match.i] = 1;
+                        used2[match.j] = 1;
+                    }
+                }
+                run = [];
+            };
+            for (const match of matches) {
+                const previous = run[run.length - 1];
+                if (previous && (match.i - previous.i > 2 || match.j <= previous.j)) flush();
+                run.push(match);
+            }
+            flush();
+        }
 
-        const fingerprint = {
-            id: imageId,
-            width: img.width,
-            height: img.height,
-            aspectRatio: img.width / img.height,
-            fileSize: imageSource.length || 0,
+        segments.sort((a, b) => b.frames - a.frames || b.similarity - a.similarity);
+        const matched = segments.reduce((sum, segment) => sum + segment.frames, 0);
+        const coverage = Math.max(matched / frames1.length, matched / frames2.length);
+        const meanSimilarity = matched > 0 ?
+            segments.reduce((sum, segment) => sum + segment.similarity * segment.frames, 0) / matched : 0;
+
+        return {
+            similarity: Math.min(1, coverage) * meanSimilarity,
+            coverage: Math.min(1, coverage),
+            offset: segments.length > 0 ? segments[0].offset : null,
+            segments
+        };
+    }
+
+    /**
+     * Similarity (0-1) of two normalized fingerprints for one algorithm
+     */
+    compareFeature(name, fingerprint1, fingerprint2, scoring = this.scoring) {
+        const field = ImageMatcher.ALGORITHM_FIELDS[name];
+        if (fingerprint1[field] === undefined || fingerprint2[field] === undefined) {
+            const missing = fingerprint1[field] === undefined ? fingerprint1 : fingerprint2;
+            throw new Error(`Fingerprint "${missing.id}" has no ${name}; it was computed with ${name} disabled`);
+        }
+
+        switch (name) {
+            // Color-based similarity
+            case 'histogram':
+                return this.compareHistograms(fingerprint1.colorHistogram, fingerprint2.colorHistogram, scoring.histogram.metric);
+
+            case 'metadata':
+                return this.compareMetadata(fingerprint1.metadata, fingerprint2.metadata);
+
+            case 'palette':
+                return this.comparePalettes(fingerprint1.dominantColors, fingerprint2.dominantColors);
+
+            // Structural similarity (aspect ratio, dimensions)
+            case 'aspectRatio':
+                return 1 - Math.abs(fingerprint1.aspectRatio - fingerprint2.aspectRatio) / Math.max(fingerprint1.aspectRatio, fingerprint2.aspectRatio);
+
+            // Hash-based similarities (lower Hamming distance = higher similarity)
+            default:
+                if (fingerprint1[field].length !== fingerprint2[field].length) {
+                    throw new Error(`Cannot compare ${name} of "${fingerprint1.id}" (${fingerprint1[field].length} bits) ` +
+                        `with "${fingerprint2.id}" (${fingerprint2[field].length} bits); they come from incompatible fingerprint versions`);
+                }
+                return 1 - (this.hammingDistance(fingerprint1[field], fingerprint2[field]) / fingerprint1[field].length);
+        }
+    }
+
+    /**
+     * Explain why two images score the way they do
+     * @param {Object} fingerprint1
+     * @param {Object} fingerprint2
+     * @param {Object} [options] - Scoring options as for compareImages, plus
+     *        heatmap: true (longest side 256) or { width, height } to render a diff heatmap
+     * @returns {Object} The compareImages result plus
+     *          `algorithms`: per enabled algorithm { similarity, weight, contribution }; hashes add
+     *          { distance, bits, mask, grid }, where `mask` has a 1 for every differing cell of the
+     *          `grid` ({ width, height, spatial }; pHash cells are DCT frequencies, not regions),
+     *          compared after applying `orientation` to image 2.
+     *          `palette`: { distance, similarity, colors1, colors2, flows } when both fingerprints
+     *          have dominant colors, with `flows` ({ from, to, share, deltaE }) largest cost first.
+     *          `heatmap`: RGBA ImageData in image 1's frame, red where the spatial hashes differ.
+     */
+    explain(fingerprint1, fingerprint2, options = null) {
+        fingerprint1 = this.normalizeFingerprint(fingerprint1);
+        fingerprint2 = this.normalizeFingerprint(fingerprint2);
+        if (fingerprint1.video && !fingerprint2.video) {
+            [fingerprint1, fingerprint2] = [fingerprint2, fingerprint1];
+        }
+        const scoring = this.getScoring(options);
+        const comparison = this.compareImages(fingerprint1, fingerprint2, scoring === this.scoring ? null : { scoring });
+        const view = comparison.video && comparison.video.frame !== undefined ?
+            this.getFrameViews(fingerprint2)[comparison.video.frame] :
+            scoring.orientations && !fingerprint2.video ?
+                this.getOrientedViews(fingerprint2)[ImageMatcher.ORIENTATIONS.indexOf(comparison.orientation)] :
+                fingerprint2;
 
-            // Multiple hash algorithms for different similarity types
-            aHash: this.computeAverageHash(imageData),
-            dHash: this.computeDifferenceHash(imageData),
-            pHash: this.computePerceptualHash(imageData),
+        const algorithms = {};
+        for (const name of scoring.enabled) {
+            const similarity = comparison.details[name];
+            const entry = { similarity, weight: scoring.normalized[name], contribution: similarity * scoring.normalized[name] };
 
-            // Color-based features
-            colorHistogram: this.computeColorHistogram(imageData),
-            dominantColors: this.extractDominantColors(imageData),
+            const grid = ImageMatcher.HASH_GRIDS[name];
+            if (grid) {
+                const hash1 = fingerprint1[name];
+                const hash2 = view[name];
+                entry.bits = hash1.length;
+                entry.grid = grid;
+                entry.mask = new Uint8Array(hash1.length);
+                for (let i = 0; i < hash1.length; i++) {
+                    entry.mask[i] = hash1.getBit(i) !== hash2.getBit(i) ? 1 : 0;
+                }
+                entry.distance = entry.mask.reduce((sum, bit) => sum + bit, 0);
+            }
+            algorithms[name] = entry;
+        }
 
-            // Structural features
-            edgeHash: this.computeEdgeHash(imageData),
+        let palette = null;
+        if (Array.isArray(fingerprint1.dominantColors) && Array.isArray(fingerprint2.dominantColors)) {
+            const { distance, flows } = this.paletteFlow(fingerprint1.dominantColors, fingerprint2.dominantColors);
+            palette = {
+                distance,
+                similarity: Math.exp(-distance / ImageMatcher.PALETTE_OPTIONS.distanceScale),
+                colors1: fingerprint1.dominantColors,
+                colors2: fingerprint2.dominantColors,
+                flows: flows.sort((a, b) => b.share * b.deltaE - a.share * a.deltaE)
+            };
+        }
 
-            // Metadata
-            processedAt: Date.now()
+        const heatmapOption = options && options.heatmap;
+        return {
+            ...comparison,
+            algorithms,
+            palette,
+            heatmap: heatmapOption ? this.renderDiffHeatmap(fingerprint1, algorithms, heatmapOption) : null
         };
+    }
 
-        this.cache.set(imageId, fingerprint);
-        return fingerprint;
+    /**
+     * Helper: Render the differing cells of the spatial hashes as a red overlay, each hash
+     * weighted by its scoring weight
+     * @param {Object} fingerprint - Image 1, for the default aspect ratio
+     * @param {Object} algorithms - explain()'s per-algorithm entries
+     * @param {boolean|{width: number, height: number}} size
+     * @returns {ImageData|Object} RGBA {width, height, data}; ImageData where available
+     */
+    renderDiffHeatmap(fingerprint, algorithms, size) {
+        let width = size.width;
+        let height = size.height;
+        if (!(width > 0 && height > 0)) {
+            const scale = 256 / Math.max(fingerprint.width, fingerprint.height, 1);
+            width = Math.max(1, Math.round(fingerprint.width * scale));
+            height = Math.max(1, Math.round(fingerprint.height * scale));
+        }
+
+        const layers = Object.values(algorithms).filter(entry => entry.grid && entry.grid.spatial && entry.weight > 0);
+        const totalWeight = layers.reduce((sum, entry) => sum + entry.weight, 0);
+        const data = new Uint8ClampedArray(width * height * 4);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let heat = 0;
+                for (const { grid, mask, weight } of layers) {
+                    const cell = Math.floor(y * grid.height / height) * grid.width + Math.floor(x * grid.width / width);
+                    heat += mask[cell] * weight;
+                }
+                const i = (y * width + x) * 4;
+                data[i] = 255;
+                data[i + 3] = totalWeight > 0 ? Math.round(heat / totalWeight * 192) : 0;
+            }
+        }
+
+        return typeof ImageData !== 'undefined' ? new ImageData(data, width, height) : { width, height, data };
     }
 
     /**
-     * Compute Average Hash (aHash) - good for exact duplicates
+     * Match keypoint descriptors: mutual nearest neighbours that pass Lowe's ratio test
+     * @param {KeypointSet} keypoints1
+     * @param {KeypointSet} keypoints2
+     * @returns {Array<{i: number, j: number, distance: number}>} Index pairs into both sets
      */
-    computeAverageHash(imageData) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = 8;
-        canvas.height = 8;
+    matchKeypoints(keypoints1, keypoints2) {
+        const { maxDescriptorDistance, ratio } = ImageMatcher.CROP_OPTIONS;
+        const best1 = new Int32Array(keypoints1.count).fill(-1);
+        const bestDistance1 = new Int32Array(keypoints1.count).fill(257);
+        const secondDistance1 = new Int32Array(keypoints1.count).fill(257);
+        const best2 = new Int32Array(keypoints2.count).fill(-1);
+        const bestDistance2 = new Int32Array(keypoints2.count).fill(257);
 
-        // Resize to 8x8 grayscale
-        ctx.drawImage(this.imageDataToCanvas(imageData), 0, 0, 8, 8);
-        const smallImageData = ctx.getImageData(0, 0, 8, 8);
+        for (let i = 0; i < keypoints1.count; i++) {
+            for (let j = 0; j < keypoints2.count; j++) {
+                const distance = keypoints1.distance(i, keypoints2, j);
+                if (distance < bestDistance1[i]) {
+                    secondDistance1[i] = bestDistance1[i];
+                    bestDistance1[i] = distance;
+                    best1[i] = j;
+                } else if (distance < secondDistance1[i]) {
+                    secondDistance1[i] = distance;
+                }
+                if (distance < bestDistance2[j]) {
+                    bestDistance2[j] = distance;
+                    best2[j] = i;
+                }
+            }
+        }
 
-        const grayPixels = [];
-        for (let i = 0; i < smallImageData.data.length; i += 4) {
-            const gray = (smallImageData.data[i] + smallImageData.data[i + 1] + smallImageData.data[i + 2]) / 3;
-            grayPixels.push(gray);
+        const matches = [];
+        for (let i = 0; i < keypoints1.count; i++) {
+            const j = best1[i];
+            if (j >= 0 && best2[j] === i && bestDistance1[i] <= maxDescriptorDistance &&
+                bestDistance1[i] < ratio * secondDistance1[i]) {
+                matches.push({ i, j, distance: bestDistance1[i] });
+            }
         }
+        return matches;
+    }
 
-        const average = grayPixels.reduce((a, b) => a + b) / grayPixels.length;
+    /**
+     * Fit image 2 -> image 1 as a uniform scale plus translation (x1 = scale * x2 + tx) with
+     * seeded RANSAC, then refine on the inliers by least squares. A match is an inlier when its
+     * reprojection error is within `tolerance` pixels of the pyramid level it was found on.
+     * @returns {{scale: number, tx: number, ty: number, inliers: Array<Object>}|null}
+     */
+    estimateCropTransform(keypoints1, keypoints2, matches) {
+        const { iterations, minInliers, tolerance } = ImageMatcher.CROP_OPTIONS;
+        if (matches.length < minInliers) return null;
 
-        let hash = '';
-        for (let i = 0; i < grayPixels.length; i++) {
-            hash += grayPixels[i] > average ? '1' : '0';
+        const random = createRandom(matches.length);
+        const fit = (sample) => {
+            let mx1 = 0, my1 = 0, mx2 = 0, my2 = 0;
+            for (const { i, j } of sample) {
+                mx1 += keypoints1.x[i]; my1 += keypoints1.y[i];
+                mx2 += keypoints2.x[j]; my2 += keypoints2.y[j];
+            }
+            mx1 /= sample.length; my1 /= sample.length;
+            mx2 /= sample.length; my2 /= sample.length;
+
+            let numerator = 0;
+            let denominator = 0;
+            for (const { i, j } of sample) {
+                const dx2 = keypoints2.x[j] - mx2;
+                const dy2 = keypoints2.y[j] - my2;
+                numerator += dx2 * (keypoints1.x[i] - mx1) + dy2 * (keypoints1.y[i] - my1);
+                denominator += dx2 * dx2 + dy2 * dy2;
+            }
+            if (denominator < 1 || numerator <= 0) return null;
+
+            const scale = numerator / denominator;
+            return { scale, tx: mx1 - scale * mx2, ty: my1 - scale * my2 };
+        };
+        const inliersOf = (model) => matches.filter(({ i, j }) =>
+            Math.hypot(model.scale * keypoints2.x[j] + model.tx - keypoints1.x[i],
+                model.scale * keypoints2.y[j] + model.ty - keypoints1.y[i]) <=
+            tolerance * Math.max(keypoints1.scale[i], model.scale * keypoints2.scale[j]));
+
+        let best = null;
+        for (let n = 0; n < iterations; n++) {
+            const a = matches[Math.floor(random() * matches.length)];
+            const b = matches[Math.floor(random() * matches.length)];
+            if (a === b) continue;
+
+            const model = fit([a, b]);
+            if (!model) continue;
+            const inliers = inliersOf(model);
+            if (!best || inliers.length > best.inliers.length) {
+                best = { ...model, inliers };
+            }
         }
+        if (!best || best.inliers.length < minInliers) return null;
 
-        return hash;
+        const refined = fit(best.inliers);
+        if (!refined) return best;
+        const inliers = inliersOf(refined);
+        return inliers.length >= best.inliers.length ? { ...refined, inliers } : best;
     }
 
     /**
-     * Compute Difference Hash (dHash) - good for crops and transformations
+     * Check whether one image is a crop (sub-region) of the other using their keypoints
+     * @param {Object} fingerprint1 - Normalized fingerprint with keypoints
+     * @param {Object} fingerprint2
+     * @returns {Object|null} { container: 1 or 2 (the image holding the other), box: { x, y,
+     *          width, height } of the crop in the container's pixels, coverage: share of the
+     *          container's area, scale: container pixels per crop pixel, matches, inliers,
+     *          similarity: 1 - mean descriptor distance of the inliers / 256 }, or null
      */
-    computeDifferenceHash(imageData) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = 9;
-        canvas.height = 8;
+    detectCrop(fingerprint1, fingerprint2) {
+        for (const fingerprint of [fingerprint1, fingerprint2]) {
+            if (fingerprint.keypoints === undefined) {
+                throw new Error(`Fingerprint "${fingerprint.id}" has no keypoints; process it with crops enabled`);
+            }
+        }
+
+        const { maxCoverage, minInlierRatio } = ImageMatcher.CROP_OPTIONS;
+        const matches = this.matchKeypoints(fingerprint1.keypoints, fingerprint2.keypoints);
+        const model = this.estimateCropTransform(fingerprint1.keypoints, fingerprint2.keypoints, matches);
+        if (!model || model.inliers.length < minInlierRatio * matches.length) return null;
 
-        ctx.drawImage(this.imageDataToCanvas(imageData), 0, 0, 9, 8);
-        const smallImageData = ctx.getImageData(0, 0, 9, 8);
+        // Where each image's frame lands in the other one
+        const placements = [
+            { container: 1, frame: fingerprint1, x: model.tx, y: model.ty, scale: model.scale, inner: fingerprint2 },
+            { container: 2, frame: fingerprint2, x: -model.tx / model.scale, y: -model.ty / model.scale, scale: 1 / model.scale, inner: fingerprint1 }
+        ];
 
-        const grayPixels = [];
-        for (let i = 0; i < smallImageData.data.length; i += 4) {
-            const gray = (smallImageData.data[i] + smallImageData.data[i + 1] + smallImageData.data[i + 2]) / 3;
-            grayPixels.push(gray);
+        for (const placement of placements) {
+            const { frame, inner, scale } = placement;
+            const width = inner.width * scale;
+            const height = inner.height * scale;
+            const left = Math.max(0, placement.x);
+            const top = Math.max(0, placement.y);
+            const right = Math.min(frame.width, placement.x + width);
+            const bottom = Math.min(frame.height, placement.y + height);
+            if (right <= left || bottom <= top) continue;
+
+            // The crop must lie (almost) inside the container and leave part of it out
+            const area = (right - left) * (bottom - top);
+            const coverage = area / (frame.width * frame.height);
+            if (area < 0.9 * width * height || coverage > maxCoverage) continue;
+
+            const meanDistance = model.inliers.reduce((sum, match) => sum + match.distance, 0) / model.inliers.length;
+            return {
+                container: placement.container,
+                box: { x: left, y: top, width: right - left, height: bottom - top },
+                coverage,
+                scale,
+                matches: matches.length,
+                inliers: model.inliers.length,
+                similarity: 1 - meanDistance / (KeypointSet.WORDS * 32)
+            };
         }
+        return null;
+    }
 
-        let hash = '';
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const left = grayPixels[row * 9 + col];
-                const right = grayPixels[row * 9 + col + 1];
-                hash += left > right ? '1' : '0';
+    /**
+     * Find similar images in a collection
+     * @param {Array<{id?: string, src: *, contentHash?: string}>} images - Any source processImage
+     *        accepts; images without an id get a generated one (see assignImageIds)
+     * @param {number} similarityThreshold
+     * @param {Function} progressCallback
+     * @param {Object} [options]
+     * @param {boolean|string} [options.index='auto'] - Use a pHash BK-tree to pick candidate
+     *        pairs instead of comparing all pairs. It searches the lossless radius, which gives
+     *        exactly the brute-force groups; 'auto' enables it when that radius is selective.
+     *        'fast' caps the radius at ImageMatcher.FAST_INDEX_RADIUS and adds dHash neighbours
+     *        within the cap, which is lossy: pairs farther apart on both hashes are never compared.
+     * @param {number} [options.indexRadius] - pHash Hamming radius for candidates, overriding
+     *        the above; smaller radii are faster on large libraries but may miss pairs. Runs
+     *        that keep edges always search the lossless radius.
+     * @param {AbortSignal} [options.signal] - Rejects with an AbortError once aborted. Fingerprints
+     *        finished before that stay cached, so a later run only processes the rest.
+     * @param {Function} [options.checkpoint] - Awaited between images and phases with
+     *        { phase, current, total }; SimilarityJob uses it to pause
+     * @param {string} [options.profile] - Scoring options for this run (profile, weights,
+     *        algorithms, minSimilarity), merged over the matcher's. A null threshold uses the
+     *        profile's threshold.
+     * @param {string} [options.clustering='greedy'] - How matching pairs become groups:
+     *        'greedy' - each image joins the first earlier seed it matches (depends on input order)
+     *        'connected' - connected components: chains of matches form one group
+     *        'complete' - complete linkage: every pair in a group matches
+     *        'representative' - the best-connected images become seeds and take their matches
+     * @param {number} [options.timeout] - Milliseconds per attempt at one image (default: none)
+     * @param {number} [options.retries=0] - Extra attempts after a load error or timeout
+     * @param {number} [options.retryDelay=250] - Milliseconds before the first retry, doubling after each
+     * @param {boolean} [options.keepEdges=false] - Group from the matching pairs (the same groups)
+     *        and return them, so a later run can add images with `previous`. Always on for
+     *        clustering other than 'greedy'.
+     * @param {number} [options.edgeThreshold] - Lowest score kept in the edges (default: the
+     *        threshold, or the previous run's edge threshold), so clusterEdges can regroup the
+     *        result at any threshold down to it without comparing again. Implies keepEdges.
+     * @param {Array<Object>} [options.previous] - A result of an earlier run with edges. `images`
+     *        are then only the images to add: they are compared with the earlier fingerprints and
+     *        each other, and the earlier pairs are reused. The thresholds may not be lower than
+     *        the earlier run's edge threshold, and scoring must be the same (checked against the
+     *        result's `scoringKey`).
+     * @returns {Promise<Array<Object>>} Groups of { images, count, averageSimilarity,
+     *          similarityMatrix } (plus `representative` in representative mode), largest first.
+     *          An image that fails to load or process is left out, and the array's `failures`
+     *          property lists them as { id, reason, phase, code, attempts, error }. With edges,
+     *          the array also has `fingerprints` (all images grouped), `edges` (see computeEdges),
+     *          `threshold`, `edgeThreshold` and `scoringKey`.
+     * @throws {Error} If `previous` has no edges, a higher edge threshold or other scoring, or
+     *         the edge threshold is above the threshold
+     */
+    async findSimilarImages(images, similarityThreshold = null, progressCallback = null, options = {}) {
+        const { signal } = options;
+        const checkpoint = options.checkpoint || null;
+        const clustering = options.clustering || 'greedy';
+        const scoring = this.getScoring(options);
+        if (similarityThreshold === null || similarityThreshold === undefined) {
+            similarityThreshold = scoring.threshold;
+        }
+        this.checkClustering(clustering);
+        const previous = options.previous || null;
+        if (previous && (!previous.edges || !previous.fingerprints)) {
+            throw new Error('options.previous must be a findSimilarImages result with edges (run it with keepEdges: true)');
+        }
+        // Pairs are kept down to the edge threshold; added images follow the earlier run's
+        const edgeThreshold = options.edgeThreshold !== undefined ? options.edgeThreshold :
+            previous ? previous.edgeThreshold : similarityThreshold;
+        const lowest = Math.min(similarityThreshold, edgeThreshold);
+        if (previous && lowest < previous.edgeThreshold) {
+            throw new Error(`The threshold (${lowest}) is below the previous run's edge threshold (${previous.edgeThreshold}), ` +
+                'whose pairs below it were not kept; run all images again');
+        }
+        if (edgeThreshold > similarityThreshold) {
+            throw new Error(`The edge threshold (${edgeThreshold}) must not be above the threshold (${similarityThreshold})`);
+        }
+        const scoringKey = this.scoringKey(scoring);
+        if (previous && previous.scoringKey !== scoringKey) {
+            throw new Error('The scoring (weights, algorithms, minimums, orientations, crops or histogram) differs from ' +
+                'the previous run\'s, whose pairs were scored with it; run all images again');
+        }
+
+        // Process all images (in parallel workers when available); failed images are reported, not fatal
+        const failures = [];
+        const fingerprints = await this.fingerprintImages(images, progressCallback, {
+            signal,
+            checkpoint,
+            scoring,
+            failures,
+            timeout: options.timeout,
+            retries: options.retries,
+            retryDelay: options.retryDelay
+        });
+
+        throwIfAborted(signal);
+        if (checkpoint) {
+            await checkpoint({ phase: 'comparing', current: 0, total: fingerprints.length });
+            throwIfAborted(signal);
+        }
+
+        if (clustering !== 'greedy' || options.keepEdges || options.edgeThreshold !== undefined || previous) {
+            // New images go after the earlier ones, so only pairs involving them are compared
+            let all = fingerprints;
+            if (previous) {
+                const known = new Set(previous.fingerprints.map(fingerprint => fingerprint.id));
+                all = previous.fingerprints.concat(fingerprints.filter(fingerprint => !known.has(fingerprint.id)));
+            }
+            const from = previous ? previous.fingerprints.length : 0;
+            // Edges are searched at the lossless radius, so regrouping them at any threshold
+            // gives the same groups as a fresh run; 'fast' and indexRadius do not apply here
+            const index = options.index === false ? false : 'auto';
+            const added = await this.computeEdges(all, edgeThreshold, progressCallback,
+                { ...options, scoring, from, index, indexRadius: undefined });
+            const edges = previous ? previous.edges.concat(added).sort(compareEdges) : added;
+
+            const clustered = this.clusterEdges(all, edges, similarityThreshold, { clustering, scoring });
+            clustered.failures = failures;
+            clustered.fingerprints = all;
+            clustered.edges = edges;
+            clustered.threshold = similarityThreshold;
+            clustered.edgeThreshold = edgeThreshold;
+            clustered.scoringKey = scoringKey;
+            return clustered;
+        }
+
+        const candidateFinder = this.createCandidateFinder(fingerprints, similarityThreshold, { ...options, scoring });
+
+        // Compare all pairs (or only index candidates)
+        const groups = [];
+        const processed = new Set();
+
+        for (let i = 0; i < fingerprints.length; i++) {
+            throwIfAborted(signal);
+            if (processed.has(fingerprints[i].id)) continue;
+
+            const group = [fingerprints[i]];
+            processed.add(fingerprints[i].id);
+
+            for (const j of candidateFinder(i)) {
+                if (processed.has(fingerprints[j].id)) continue;
+
+                // Skip if comparing the same image (safety check)
+                if (fingerprints[i].id === fingerprints[j].id) {
+                    console.warn(`⚠️ Skipping self-comparison for image: ${fingerprints[i].id}`);
+                    continue;
+                }
+
+                const similarity = this.compareImages(fingerprints[i], fingerprints[j], { scoring });
+
+                if (similarity.overall >= similarityThreshold && !similarity.rejectedBy) {
+                    group.push(fingerprints[j]);
+                    processed.add(fingerprints[j].id);
+                }
+            }
+
+            if (group.length > 1) {
+                groups.push(this.createGroup(group, scoring));
+            }
+
+            if (progressCallback) {
+                progressCallback({ phase: 'comparing', current: i + 1, total: fingerprints.length });
+            }
+            if (checkpoint) {
+                await checkpoint({ phase: 'comparing', current: i + 1, total: fingerprints.length });
             }
         }
 
-        return hash;
+        const sorted = groups.sort((a, b) => b.count - a.count);
+        sorted.failures = failures;
+        return sorted;
     }
 
     /**
-     * Compute Perceptual Hash (pHash) - best for similar images with modifications
+     * Helper: A string that is equal for two resolved scorings exactly when they score pairs alike
      */
-    computePerceptualHash(imageData) {
-        const size = 32;
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = size;
-        canvas.height = size;
+    scoringKey(scoring) {
+        const names = Object.keys(ImageMatcher.DEFAULT_WEIGHTS);
+        const { space, bins, metric } = scoring.histogram;
+        return JSON.stringify({
+            normalized: names.map(name => (scoring.normalized[name] !== undefined ? scoring.normalized[name] : null)),
+            minSimilarity: names.map(name => (scoring.minSimilarity[name] !== undefined ? scoring.minSimilarity[name] : null)),
+            orientations: scoring.orientations,
+            crops: scoring.crops,
+            histogram: { space, bins, metric }
+        });
+    }
+
+    /**
+     * Helper: Throw on an unknown clustering mode
+     */
+    checkClustering(clustering) {
+        if (!ImageMatcher.CLUSTERING_MODES.includes(clustering)) {
+            throw new Error(`Unknown clustering "${clustering}" (expected one of: ${ImageMatcher.CLUSTERING_MODES.join(', ')})`);
+        }
+    }
 
-        ctx.drawImage(this.imageDataToCanvas(imageData), 0, 0, size, size);
-        const smallImageData = ctx.getImageData(0, 0, size, size);
+    /**
+     * Compare fingerprint pairs and keep the ones that match
+     * @param {Array<Object>} fingerprints
+     * @param {number} minSimilarity - Lowest overall score kept
+     * @param {Function} [progressCallback] - Receives { phase: 'comparing', current, total }
+     * @param {Object} [options] - Scoring and index options, signal and checkpoint as in findSimilarImages
+     * @param {number} [options.from=0] - Only compare pairs with a fingerprint at or after this
+     *        index, when the earlier ones were compared with each other before
+     * @returns {Promise<Array<{i: number, j: number, similarity: number}>>} Edges between
+     *          fingerprint indices (i < j), highest similarity first
+     */
+    async computeEdges(fingerprints, minSimilarity, progressCallback = null, options = {}) {
+        const { signal } = options;
+        const checkpoint = options.checkpoint || null;
+        const scoring = this.getScoring(options);
+        const candidateFinder = this.createCandidateFinder(fingerprints, minSimilarity, { ...options, scoring });
+        const edges = [];
 
-        // Convert to grayscale
-        const grayPixels = [];
-        for (let i = 0; i < smallImageData.data.length; i += 4) {
-            const gray = (smallImageData.data[i] + smallImageData.data[i + 1] + smallImageData.data[i + 2]) / 3;
-            grayPixels.push(gray);
+        for (let i = 0; i < fingerprints.length; i++) {
+            throwIfAborted(signal);
+
+            for (const j of candidateFinder(i)) {
+                // Skip if comparing the same image (safety check)
+                if (fingerprints[i].id === fingerprints[j].id) {
+                    console.warn(`⚠️ Skipping self-comparison for image: ${fingerprints[i].id}`);
+                    continue;
+                }
+
+                const similarity = this.compareImages(fingerprints[i], fingerprints[j], { scoring });
+                if (similarity.overall >= minSimilarity && !similarity.rejectedBy) {
+                    edges.push({ i, j, similarity: similarity.overall });
+                }
+            }
+
+            if (progressCallback) {
+                progressCallback({ phase: 'comparing', current: i + 1, total: fingerprints.length });
+            }
+            if (checkpoint) {
+                await checkpoint({ phase: 'comparing', current: i + 1, total: fingerprints.length });
+            }
         }
 
-        // Apply 2D DCT (Discrete Cosine Transform)
-        const dctMatrix = this.computeDCT(grayPixels, size);
+        return edges.sort(compareEdges);
+    }
 
-        // Extract top-left 8x8 of DCT matrix (low frequencies)
-        const lowFreqs = [];
-        for (let i = 0; i < 8; i++) {
-            for (let j = 0; j < 8; j++) {
-                lowFreqs.push(dctMatrix[i * size + j]);
+    /**
+     * Group fingerprints from matching pairs (see computeEdges). Edges below the threshold
+     * are ignored, so edges computed once at a low threshold can be re-clustered at any higher one.
+     * Group matrices take their scores from the edges, so only pairs missing there are compared.
+     * @param {Array<Object>} fingerprints
+     * @param {Array<{i: number, j: number, similarity: number}>} edges
+     * @param {number} similarityThreshold
+     * @param {Object} [options]
+     * @param {string} [options.clustering='connected'] - See findSimilarImages
+     * @returns {Array<Object>} Groups, largest first
+     */
+    clusterEdges(fingerprints, edges, similarityThreshold, options = {}) {
+        const clustering = options.clustering || 'connected';
+        const scoring = this.getScoring(options);
+        this.checkClustering(clustering);
+
+        const n = fingerprints.length;
+        const matches = new Map();
+        const scores = new Map();
+        const neighbors = Array.from({ length: n }, () => []);
+        for (const edge of edges) {
+            scores.set(edge.i * n + edge.j, edge.similarity);
+            if (edge.similarity < similarityThreshold) continue;
+            matches.set(edge.i * n + edge.j, edge.similarity);
+            neighbors[edge.i].push(edge.j);
+            neighbors[edge.j].push(edge.i);
+        }
+        neighbors.forEach(list => list.sort((a, b) => a - b));
+
+        let clusters;
+        if (clustering === 'greedy') {
+            clusters = this.clusterGreedy(n, neighbors);
+        } else if (clustering === 'representative') {
+            clusters = this.clusterRepresentative(fingerprints, neighbors, matches);
+        } else {
+            clusters = this.clusterConnected(n, neighbors);
+            if (clustering === 'complete') {
+                clusters = [].concat(...clusters.map(component => this.clusterComplete(component, matches, n, similarityThreshold)));
             }
         }
 
-        // Compute median of low frequencies
-        const sortedFreqs = [...lowFreqs].sort((a, b) => a - b);
-        const median = sortedFreqs[Math.floor(sortedFreqs.length / 2)];
+        return clusters
+            .filter(members => members.length > 1)
+            .map((members) => {
+                // Pairs scored into edges are not compared again
+                const knownScore = (i, j) => scores.get(Math.min(members[i], members[j]) * n + Math.max(members[i], members[j]));
+                const group = this.createGroup(members.map(index => fingerprints[index]), scoring, knownScore);
+                if (clustering === 'representative') {
+                    group.representative = group.images[0];
+                }
+                return group;
+            })
+            .sort((a, b) => b.count - a.count);
+    }
 
-        // Generate hash based on median comparison
-        let hash = '';
-        for (let i = 0; i < lowFreqs.length; i++) {
-            hash += lowFreqs[i] > median ? '1' : '0';
+    /**
+     * Helper: Greedy grouping over an adjacency list, identical to findSimilarImages' default
+     */
+    clusterGreedy(n, neighbors) {
+        const assigned = new Array(n).fill(false);
+        const clusters = [];
+        for (let i = 0; i < n; i++) {
+            if (assigned[i]) continue;
+            assigned[i] = true;
+            const members = [i];
+            for (const j of neighbors[i]) {
+                if (j > i && !assigned[j]) {
+                    assigned[j] = true;
+                    members.push(j);
+                }
+            }
+            clusters.push(members);
         }
+        return clusters;
+    }
 
-        return hash;
+    /**
+     * Helper: Connected components with union-find, members in input order
+     */
+    clusterConnected(n, neighbors) {
+        const parent = Array.from({ length: n }, (_, i) => i);
+        const find = (i) => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+
+        for (let i = 0; i < n; i++) {
+            for (const j of neighbors[i]) {
+                const a = find(i);
+                const b = find(j);
+                // The lower index stays root, so components are listed by their first image
+                if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+            }
+        }
+
+        const components = new Map();
+        for (let i = 0; i < n; i++) {
+            const root = find(i);
+            if (!components.has(root)) components.set(root, []);
+            components.get(root).push(i);
+        }
+        return Array.from(components.values());
     }
 
     /**
-     * Compute simplified 2D DCT
+     * Helper: Complete-linkage agglomeration within one component. The linkage of two
+     * clusters is their least similar pair (0 when any pair does not match), and the
+     * closest clusters merge while their linkage reaches the threshold.
      */
-    computeDCT(pixels, size) {
-        const dct = new Array(size * size).fill(0);
+    clusterComplete(component, matches, n, similarityThreshold) {
+        const size = component.length;
+        if (size < 3) return [component];
 
-        for (let u = 0; u < size; u++) {
-            for (let v = 0; v < size; v++) {
-                let sum = 0;
-                for (let i = 0; i < size; i++) {
-                    for (let j = 0; j < size; j++) {
-                        sum += pixels[i * size + j] *
-                            Math.cos(((2 * i + 1) * u * Math.PI) / (2 * size)) *
-                            Math.cos(((2 * j + 1) * v * Math.PI) / (2 * size));
+        const linkage = component.map(a => component.map((b) => {
+            const key = a < b ? a * n + b : b * n + a;
+            return matches.has(key) ? matches.get(key) : 0;
+        }));
+        const clusters = component.map(index => [index]);
+        const active = new Array(size).fill(true);
+
+        for (;;) {
+            let best = -1;
+            let bestA = -1;
+            let bestB = -1;
+            for (let a = 0; a < size; a++) {
+                if (!active[a]) continue;
+                for (let b = a + 1; b < size; b++) {
+                    if (active[b] && linkage[a][b] > best) {
+                        best = linkage[a][b];
+                        bestA = a;
+                        bestB = b;
                     }
                 }
+            }
+            if (bestA < 0 || best < similarityThreshold) break;
 
-                const cu = u === 0 ? 1 / Math.sqrt(2) : 1;
-                const cv = v === 0 ? 1 / Math.sqrt(2) : 1;
-                dct[u * size + v] = (1 / 4) * cu * cv * sum;
+            clusters[bestA] = clusters[bestA].concat(clusters[bestB]).sort((x, y) => x - y);
+            active[bestB] = false;
+            for (let c = 0; c < size; c++) {
+                const merged = Math.min(linkage[bestA][c], linkage[bestB][c]);
+                linkage[bestA][c] = merged;
+                linkage[c][bestA] = merged;
             }
         }
 
-        return dct;
+        return clusters.filter((_, a) => active[a]);
+    }
+
+    /**
+     * Helper: Seed groups with the best-connected images (most matches, then highest total
+     * similarity, then id), each taking its not yet grouped matches. The seed comes first.
+     */
+    clusterRepresentative(fingerprints, neighbors, matches) {
+        const n = fingerprints.length;
+        const strength = neighbors.map((list, i) => list.reduce((sum, j) => {
+            return sum + matches.get(i < j ? i * n + j : j * n + i);
+        }, 0));
+        const order = fingerprints.map((_, i) => i).sort((a, b) =>
+            neighbors[b].length - neighbors[a].length ||
+            strength[b] - strength[a] ||
+            (fingerprints[a].id < fingerprints[b].id ? -1 : fingerprints[a].id > fingerprints[b].id ? 1 : a - b));
+
+        const assigned = new Array(n).fill(false);
+        const clusters = [];
+        for (const seed of order) {
+            if (assigned[seed]) continue;
+            assigned[seed] = true;
+            const members = neighbors[seed].filter(j => !assigned[j]);
+            members.forEach((j) => { assigned[j] = true; });
+            clusters.push([seed, ...members]);
+        }
+        return clusters;
+    }
+
+    /**
+     * Build a group with its pairwise similarity matrix.
+     * averageSimilarity is the mean of the matrix above the diagonal. With orientations
+     * enabled, `orientations[i]` is the transform that turns the first image into image i.
+     * With crops enabled, `crops[i]` is the detectCrop result of the first image and image i
+     * (container 1: image i is a crop of the first image, 2: the first is a crop of image i).
+     * Groups holding a video add `videos[i]`, the `video` of comparing the first image with image i.
+     * @param {Array<Object>} images
+     * @param {Object} [scoring]
+     * @param {Function} [knownScore] - (i, j) => the overall score of images i and j if already
+     *        known (e.g. from edges), or undefined to compare them
+     */
+    createGroup(images, scoring = this.scoring, knownScore = null) {
+        const similarityMatrix = images.map(() => new Array(images.length).fill(1));
+        const orientations = images.map(() => 'identity');
+        const crops = images.map(() => null);
+        const videos = images.map(() => null);
+        // The first row is compared anyway when it has to report orientations, crops or video matches
+        const needsDetails = scoring.orientations || scoring.crops || images.some(image => image.video);
+        let totalSimilarity = 0;
+        let comparisons = 0;
+
+        for (let i = 0; i < images.length; i++) {
+            for (let j = i + 1; j < images.length; j++) {
+                let overall = knownScore && !(i === 0 && needsDetails) ? knownScore(i, j) : undefined;
+                if (overall === undefined) {
+                    const result = this.compareImages(images[i], images[j], { scoring });
+                    overall = result.overall;
+                    if (i === 0) {
+                        orientations[j] = this.invertOrientation(result.orientation);
+                        crops[j] = result.crop;
+                        videos[j] = result.video;
+                    }
+                }
+                similarityMatrix[i][j] = overall;
+                similarityMatrix[j][i] = overall;
+                totalSimilarity += overall;
+                comparisons++;
+            }
+        }
+
+        const group = {
+            images,
+            count: images.length,
+            averageSimilarity: comparisons > 0 ? totalSimilarity / comparisons : 1,
+            similarityMatrix
+        };
+        if (scoring.orientations) {
+            group.orientations = orientations;
+        }
+        if (scoring.crops) {
+            group.crops = crops;
+        }
+        if (images.some(image => image.video)) {
+            group.videos = videos;
+        }
+        return group;
     }
 
     /**
-     * Compute color histogram
+     * Create a pausable, cancellable findSimilarImages run. Call job.start() to begin.
+     * @param {Array<Object>} images
+     * @param {number} [similarityThreshold] - Defaults to the profile's threshold
+     * @param {Object} [options] - findSimilarImages options plus progressCallback
+     * @returns {SimilarityJob}
      */
-    computeColorHistogram(imageData) {
-        const rHist = new Array(256).fill(0);
-        const gHist = new Array(256).fill(0);
-        const bHist = new Array(256).fill(0);
-
-        for (let i = 0; i < imageData.data.length; i += 4) {
-            rHist[imageData.data[i]]++;
-            gHist[imageData.data[i + 1]]++;
-            bHist[imageData.data[i + 2]]++;
-        }
-
-        // Normalize histograms
-        const totalPixels = imageData.data.length / 4;
-        return {
-            r: rHist.map(count => count / totalPixels),
-            g: gHist.map(count => count / totalPixels),
-            b: bHist.map(count => count / totalPixels)
-        };
+    createJob(images, similarityThreshold = null, options = {}) {
+        return new SimilarityJob(this, images, similarityThreshold, options);
     }
 
     /**
-     * Extract dominant colors using k-means clustering
+     * Fingerprint a batch of images, reporting each finished fingerprint through
+     * progressCallback({ phase: 'processing', current, total, fingerprint }), or each failed
+     * image as { phase: 'processing', current, total, failure }
+     * @param {Array<Object>} images - { id, src, contentHash, bytes, type, interval }; missing ids are generated
+     * @param {Function} [progressCallback]
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal]
+     * @param {Function} [options.checkpoint] - Awaited before each image is started
+     * @param {Object} [options.scoring] - Resolved scoring deciding which algorithms to compute
+     * @param {Array<Object>} [options.failures] - Collects images that fail (see recordFailure)
+     *        so the others carry on; without it the first failure rejects the run
+     * @param {number} [options.timeout] - Milliseconds per attempt at one image (default: none)
+     * @param {number} [options.retries=0] - Extra attempts after a load error or timeout
+     * @param {number} [options.retryDelay=250] - Milliseconds before the first retry, doubling after each
+     * @returns {Promise<Array<Object>>} Fingerprints of the images that succeeded, in input order
      */
-    extractDominantColors(imageData, k = 5) {
-        const pixels = [];
+    async fingerprintImages(images, progressCallback = null, options = {}) {
+        const { signal } = options;
+        const scoring = options.scoring || this.scoring;
+        const checkpoint = options.checkpoint || null;
+        const failures = options.failures || null;
+        const attempts = { signal, timeout: options.timeout, retries: options.retries, retryDelay: options.retryDelay };
+        images = await this.assignImageIds(images, signal);
+        let completed = 0;
+        const onFingerprint = (fingerprint) => {
+            completed++;
+            if (progressCallback) {
+                progressCallback({ phase: 'processing', current: completed, total: images.length, fingerprint });
+            }
+        };
+        // Aborts always end the run; other errors only without a failures list
+        const onFailure = (image, error) => {
+            if (!failures || (signal && signal.aborted) || error.name === 'AbortError') throw error;
+            const failure = this.recordFailure(failures, image.id, error);
+            completed++;
+            if (progressCallback) {
+                progressCallback({ phase: 'processing', current: completed, total: images.length, failure });
+            }
+        };
 
-        // Sample pixels (every 10th pixel for performance)
-        for (let i = 0; i < imageData.data.length; i += 40) {
-            pixels.push([
-                imageData.data[i],
-                imageData.data[i + 1],
-                imageData.data[i + 2]
-            ]);
+        // A second run while workers are busy falls back to the main thread
+        if (this.canUseWorkers() && !this.isProcessing) {
+            try {
+                this.startWorkers();
+            } catch (error) {
+                // e.g. SecurityError when the page is opened from file://
+                console.warn('⚠️ Image workers unavailable, processing on the main thread:', error.message);
+                this.terminateWorkers();
+                this.workersFailed = true;
+            }
         }
 
-        if (pixels.length === 0) return [];
-
-        // Simple k-means clustering
-        let centroids = [];
-        for (let i = 0; i < k; i++) {
-            const randomIndex = Math.floor(Math.random() * pixels.length);
-            centroids.push([...pixels[randomIndex]]);
+        if (this.canUseWorkers() && !this.isProcessing) {
+            return this.processWithWorkers(images, onFingerprint, { signal, checkpoint, scoring, onFailure, attempts });
         }
 
-        for (let iteration = 0; iteration < 10; iteration++) {
-            const clusters = new Array(k).fill(null).map(() => []);
-
-            // Assign pixels to nearest centroid
-            for (const pixel of pixels) {
-                let minDistance = Infinity;
-                let nearestCluster = 0;
-
-                for (let i = 0; i < centroids.length; i++) {
-                    const distance = this.colorDistance(pixel, centroids[i]);
-                    if (distance < minDistance) {
-                        minDistance = distance;
-                        nearestCluster = i;
-                    }
-                }
-
-                clusters[nearestCluster].push(pixel);
+        const fingerprints = [];
+        for (const image of images) {
+            if (checkpoint) {
+                await checkpoint({ phase: 'processing', current: completed, total: images.length });
             }
-
-            // Update centroids
-            for (let i = 0; i < centroids.length; i++) {
-                if (clusters[i].length > 0) {
-                    const avgR = clusters[i].reduce((sum, p) => sum + p[0], 0) / clusters[i].length;
-                    const avgG = clusters[i].reduce((sum, p) => sum + p[1], 0) / clusters[i].length;
-                    const avgB = clusters[i].reduce((sum, p) => sum + p[2], 0) / clusters[i].length;
-                    centroids[i] = [avgR, avgG, avgB];
-                }
+            throwIfAborted(signal);
+            let fingerprint;
+            try {
+                fingerprint = await this.attemptImage(image.id, (attemptSignal) => (image.type === 'video' ?
+                    this.processVideo(image.src, image.id, { interval: image.interval, signal: attemptSignal, scoring }) :
+                    this.processImage(image.src, image.id, { contentHash: image.contentHash, bytes: image.bytes, signal: attemptSignal, scoring })
+                ), attempts);
+            } catch (error) {
+                onFailure(image, error);
+                continue;
             }
+            fingerprints.push(fingerprint);
+            onFingerprint(fingerprint);
         }
-
-        return centroids.map(color => ({
-            r: Math.round(color[0]),
-            g: Math.round(color[1]),
-            b: Math.round(color[2])
-        }));
+        return fingerprints;
     }
 
     /**
-     * Compute edge hash for structural comparison
+     * Helper: Run one image's fingerprinting with a timeout per attempt, retrying load errors
+     * and timeouts
+     * @param {string} imageId
+     * @param {Function} attempt - (signal, timeoutSignal) => Promise; `signal` aborts on the run's
+     *        abort or the timeout, `timeoutSignal` on the timeout only
+     * @param {Object} options - { signal, timeout, retries, retryDelay }
+     * @throws {ImageLoadError} The last attempt's error, with `attempts` set; or the abort reason
      */
-    computeEdgeHash(imageData) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = 8;
-        canvas.height = 8;
-
-        ctx.drawImage(this.imageDataToCanvas(imageData), 0, 0, 8, 8);
-        const smallImageData = ctx.getImageData(0, 0, 8, 8);
-
-        // Convert to grayscale
-        const gray = [];
-        for (let i = 0; i < smallImageData.data.length; i += 4) {
-            gray.push((smallImageData.data[i] + smallImageData.data[i + 1] + smallImageData.data[i + 2]) / 3);
-        }
+    async attemptImage(imageId, attempt, options = {}) {
+        const { signal } = options;
+        const timeout = options.timeout || 0;
+        const retries = options.retries || 0;
+        const retryDelay = options.retryDelay !== undefined ? options.retryDelay : ImageMatcher.RETRY_OPTIONS.retryDelay;
 
-        // Apply simple edge detection (gradient)
-        let hash = '';
-        for (let y = 0; y < 7; y++) {
-            for (let x = 0; x < 7; x++) {
-                const current = gray[y * 8 + x];
-                const right = gray[y * 8 + x + 1];
-                const down = gray[(y + 1) * 8 + x];
+        for (let attempts = 1; ; attempts++) {
+            throwIfAborted(signal);
+            const controller = new AbortController();
+            const timeoutController = new AbortController();
+            const onAbort = () => controller.abort(signal.reason);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            let timer = null;
 
-                const gradientX = Math.abs(current - right);
-                const gradientY = Math.abs(current - down);
-                const gradient = Math.sqrt(gradientX * gradientX + gradientY * gradientY);
+            try {
+                const task = attempt(controller.signal, timeoutController.signal);
+                if (!(timeout > 0)) return await task;
 
-                hash += gradient > 30 ? '1' : '0';
+                // Not every step can be interrupted, so the timer does not wait for the task
+                return await new Promise((resolve, reject) => {
+                    timer = setTimeout(() => {
+                        const error = this.toLoadError(new ImageLoadError(`Timed out after ${timeout} ms`, { code: 'timeout' }), imageId);
+                        timeoutController.abort(error);
+                        controller.abort(error);
+                        reject(error);
+                    }, timeout);
+                    task.then(resolve, reject);
+                });
+            } catch (error) {
+                if (signal && signal.aborted) throw signal.reason !== undefined ? signal.reason : error;
+                const failure = this.toLoadError(error, imageId);
+                if (attempts > retries || !ImageMatcher.RETRY_OPTIONS.codes.includes(failure.code)) {
+                    failure.attempts = attempts;
+                    throw failure;
+                }
+                await sleep(retryDelay * Math.pow(2, attempts - 1), signal);
+            } finally {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
             }
         }
-
-        return hash;
     }
 
     /**
-     * Helper: Convert ImageData to Canvas
+     * Helper: Add a failed image to a run's failures list
+     * @returns {Object} { id, reason, phase, code, attempts, error }, where `phase` is
+     *          'loading' (load, CORS and timeout errors), 'decoding' (unreadable or unsupported
+     *          data) or 'processing' (anything else)
      */
-    imageDataToCanvas(imageData) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = imageData.width;
-        canvas.height = imageData.height;
-        ctx.putImageData(imageData, 0, 0);
-        return canvas;
+    recordFailure(failures, imageId, error) {
+        const code = error instanceof ImageLoadError ? error.code : null;
+        const phase = ['load', 'cors', 'timeout'].includes(code) ? 'loading' :
+            ['decode', 'unsupported'].includes(code) ? 'decoding' : 'processing';
+        const failure = {
+            id: imageId,
+            reason: error && error.message ? error.message : String(error),
+            phase,
+            code,
+            attempts: error && error.attempts ? error.attempts : 1,
+            error
+        };
+        failures.push(failure);
+        return failure;
     }
 
     /**
-     * Helper: Calculate color distance
+     * Check whether images can be fingerprinted in Web Workers
      */
-    colorDistance(color1, color2) {
-        const dr = color1[0] - color2[0];
-        const dg = color1[1] - color2[1];
-        const db = color1[2] - color2[2];
-        return Math.sqrt(dr * dr + dg * dg + db * db);
+    canUseWorkers() {
+        return this.useWorkers &&
+            !this.workersFailed &&
+            Boolean(this.workerUrl) &&
+            typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
     }
 
     /**
-     * Calculate Hamming distance between two binary strings
+     * Fingerprint images with the worker pool. Each worker pulls the next image from
+     * processingQueue, so at most `concurrency` decoded bitmaps are in flight.
+     * On abort or a fatal error, lanes stop taking new images and in-flight images finish
+     * (and are cached) before the run rejects, so no worker is left busy. A worker that
+     * times out is replaced.
+     * @returns {Promise<Array<Object>>} Fingerprints of the images that succeeded, in input order
      */
-    hammingDistance(hash1, hash2) {
-        if (hash1.length !== hash2.length) return Infinity;
+    async processWithWorkers(images, onFingerprint, options = {}) {
+        const { signal, checkpoint, scoring, onFailure, attempts } = options;
+        this.processingQueue = images.map((image, index) => ({ image, index }));
+        this.isProcessing = true;
 
-        let distance = 0;
-        for (let i = 0; i < hash1.length; i++) {
-            if (hash1[i] !== hash2[i]) {
-                distance++;
-            }
+        const fingerprints = new Array(images.length);
+        let failure = null;
+        try {
+            await Promise.all(this.workers.map(async (slot) => {
+                while (this.processingQueue.length > 0 && !failure) {
+                    try {
+                        if (checkpoint) {
+                            await checkpoint({ phase: 'processing', current: images.length - this.processingQueue.length, total: images.length });
+                        }
+                        throwIfAborted(signal);
+                        if (this.processingQueue.length === 0 || failure) break;
+
+                        const { image, index } = this.processingQueue.shift();
+                        try {
+                            fingerprints[index] = await this.attemptImage(image.id, (attemptSignal, timeoutSignal) =>
+                                this.processImageInWorker(slot, image, { signal: attemptSignal, timeoutSignal, scoring }), attempts || { signal });
+                        } catch (error) {
+                            if (!onFailure) throw error;
+                            onFailure(image, error);
+                            continue;
+                        }
+                        onFingerprint(fingerprints[index]);
+                    } catch (error) {
+                        failure = failure || error;
+                    }
+                }
+            }));
+        } finally {
+            this.processingQueue = [];
+            this.isProcessing = false;
         }
-        return distance;
+
+        if (failure) throw failure;
+        return fingerprints.filter(Boolean);
     }
 
     /**
-     * Compare color histograms using correlation coefficient
+     * Fingerprint one image on a worker: decode to an ImageBitmap here, transfer it,
+     * and let the worker read the pixels through OffscreenCanvas and hash them.
+     * `options.timeoutSignal` replaces the worker if it is still busy when the signal aborts.
      */
-    compareHistograms(hist1, hist2) {
-        const channels = ['r', 'g', 'b'];
-        let totalCorrelation = 0;
-
-        for (const channel of channels) {
-            const h1 = hist1[channel];
-            const h2 = hist2[channel];
+    async processImageInWorker(slot, image, options = {}) {
+        const { signal } = options;
+        const scoring = options.scoring || this.scoring;
+        const cached = this.cache.get(image.id);
+        if (cached && this.hasFeatures(cached, scoring)) {
+            return cached;
+        }
+        // Seeking a <video> needs the DOM, so clips are sampled here
+        if (image.type === 'video') {
+            return this.processVideo(image.src, image.id, { interval: image.interval, signal, scoring });
+        }
+        if (image.contentHash) {
+            const stored = await this.getStoredFingerprint(image.id, image.contentHash, scoring);
+            if (stored) return stored;
+        }
 
-            // Calculate means
-            const mean1 = h1.reduce((a, b) => a + b) / h1.length;
-            const mean2 = h2.reduce((a, b) => a + b) / h2.length;
+        // Once workers have failed (e.g. blocked on file://), finish on the main thread
+        if (this.workersFailed) {
+            return this.processImage(image.src, image.id, { contentHash: image.contentHash, bytes: image.bytes, signal, scoring });
+        }
 
-            // Calculate correlation coefficient
-            let numerator = 0;
-            let denominator1 = 0;
-            let denominator2 = 0;
+        let result;
+        let bytes = null;
+        let metadata = null;
+        try {
+            const message = {
+                imageId: image.id,
+                features: { enabled: scoring.enabled, orientations: scoring.orientations, crops: scoring.crops, histogram: scoring.histogram },
+                needsContentHash: Boolean(this.store && !image.contentHash)
+            };
+            const transfer = [];
 
-            for (let i = 0; i < h1.length; i++) {
-                const diff1 = h1[i] - mean1;
-                const diff2 = h2[i] - mean2;
-                numerator += diff1 * diff2;
-                denominator1 += diff1 * diff1;
-                denominator2 += diff2 * diff2;
+            const input = await this.readImageInput(image.src, image.bytes, signal);
+            bytes = input.bytes;
+            metadata = bytes ? MetadataReader.read(bytes) : null;
+            if (input.kind === 'pixels') {
+                message.pixels = this.toPixelBuffer(image.src);
+                message.orientation = metadata ? ImageMatcher.EXIF_ORIENTATIONS[metadata.orientation] : 'identity';
+            } else {
+                message.bitmap = await createImageBitmap(
+                    input.kind === 'url' ? await this.loadDrawable(input.source, signal, bytes) :
+                        input.kind === 'encoded' ? new Blob([bytes]) : input.source
+                );
+                transfer.push(message.bitmap);
             }
 
-            const correlation = numerator / Math.sqrt(denominator1 * denominator2);
-            totalCorrelation += isNaN(correlation) ? 0 : correlation;
+            result = await this.postToWorker(slot, message, transfer, options.timeoutSignal || null);
+        } catch (error) {
+            if (!error.workerFailure) throw this.toLoadError(error, image.id);
+            console.warn('⚠️ Image worker failed, continuing on the main thread:', error.message);
+            this.workersFailed = true;
+            return this.processImage(image.src, image.id, { contentHash: image.contentHash, bytes: bytes || image.bytes, signal, scoring });
+        }
+
+        const fingerprint = this.normalizeFingerprint(result.fingerprint);
+        fingerprint.fileSize = metadata ? metadata.byteSize : 0;
+        fingerprint.metadata = metadata;
+        const contentHash = image.contentHash || result.contentHash;
+        if (contentHash) {
+            fingerprint.contentHash = contentHash;
         }
 
-        return totalCorrelation / channels.length;
+        this.cache.set(image.id, fingerprint);
+        await this.storeFingerprint(fingerprint);
+        return fingerprint;
     }
 
     /**
-     * Compare two images and return similarity score (0-1)
+     * Create the worker pool if it does not exist yet
      */
-    compareImages(fingerprint1, fingerprint2) {
-        // Hash-based similarities (lower Hamming distance = higher similarity)
-        const maxHashLength = Math.max(fingerprint1.aHash.length, fingerprint1.dHash.length, fingerprint1.pHash.length);
-
-        const aHashSimilarity = 1 - (this.hammingDistance(fingerprint1.aHash, fingerprint2.aHash) / maxHashLength);
-        const dHashSimilarity = 1 - (this.hammingDistance(fingerprint1.dHash, fingerprint2.dHash) / maxHashLength);
-        const pHashSimilarity = 1 - (this.hammingDistance(fingerprint1.pHash, fingerprint2.pHash) / maxHashLength);
-        const edgeHashSimilarity = 1 - (this.hammingDistance(fingerprint1.edgeHash, fingerprint2.edgeHash) / fingerprint1.edgeHash.length);
+    startWorkers() {
+        while (this.workers.length < this.concurrency) {
+            const slot = { worker: null, pending: null };
+            this.spawnWorker(slot);
+            this.workers.push(slot);
+        }
+    }
 
-        // Color-based similarity
-        const histogramSimilarity = this.compareHistograms(fingerprint1.colorHistogram, fingerprint2.colorHistogram);
+    /**
+     * Helper: Start a worker for a pool slot, replacing any previous one
+     */
+    spawnWorker(slot) {
+        if (slot.worker) slot.worker.terminate();
+        const worker = new Worker(this.workerUrl.split('#')[0] + WORKER_MARKER);
+        slot.worker = worker;
+        slot.pending = null;
 
-        // Structural similarity (aspect ratio, dimensions)
-        const aspectRatioSimilarity = 1 - Math.abs(fingerprint1.aspectRatio - fingerprint2.aspectRatio) / Math.max(fingerprint1.aspectRatio, fingerprint2.aspectRatio);
+        worker.onmessage = (event) => {
+            const pending = slot.pending;
+            slot.pending = null;
+            if (!pending) return;
 
-        // Weighted combination of all similarities
-        const weights = {
-            aHash: 0.2,
-            dHash: 0.2,
-            pHash: 0.3,
-            edgeHash: 0.1,
-            histogram: 0.15,
-            aspectRatio: 0.05
+            if (event.data.error) {
+                pending.reject(new Error(event.data.error));
+            } else {
+                pending.resolve(event.data);
+            }
         };
 
-        const totalSimilarity =
-            aHashSimilarity * weights.aHash +
-            dHashSimilarity * weights.dHash +
-            pHashSimilarity * weights.pHash +
-            edgeHashSimilarity * weights.edgeHash +
-            histogramSimilarity * weights.histogram +
-            aspectRatioSimilarity * weights.aspectRatio;
-
-        return {
-            overall: Math.max(0, Math.min(1, totalSimilarity)),
-            details: {
-                aHash: aHashSimilarity,
-                dHash: dHashSimilarity,
-                pHash: pHashSimilarity,
-                edgeHash: edgeHashSimilarity,
-                histogram: histogramSimilarity,
-                aspectRatio: aspectRatioSimilarity
+        // Script load failures and uncaught errors break the worker itself
+        worker.onerror = (event) => {
+            event.preventDefault();
+            const pending = slot.pending;
+            slot.pending = null;
+            if (pending) {
+                const error = new Error(event.message || 'Image worker failed to start');
+                error.workerFailure = true;
+                pending.reject(error);
             }
         };
     }
 
     /**
-     * Find similar images in a collection
+     * Helper: Send one task to a worker slot and wait for its reply.
+     * A worker cannot be interrupted, so when `signal` aborts first it is replaced.
      */
-    async findSimilarImages(images, similarityThreshold = 0.8, progressCallback = null) {
-        const fingerprints = [];
-
-        // Process all images
-        for (let i = 0; i < images.length; i++) {
-            if (progressCallback) {
-                progressCallback({ phase: 'processing', current: i + 1, total: images.length });
-            }
+    postToWorker(slot, message, transfer, signal = null) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                slot.pending = null;
+                this.spawnWorker(slot);
+                try {
+                    throwIfAborted(signal);
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            const settle = (callback) => (value) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+            slot.pending = { resolve: settle(resolve), reject: settle(reject) };
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            slot.worker.postMessage(message, transfer);
+        });
+    }
 
-            const fingerprint = await this.processImage(images[i].src, images[i].id);
-            fingerprints.push(fingerprint);
+    /**
+     * Stop all workers (they are started again on demand)
+     */
+    terminateWorkers() {
+        for (const slot of this.workers) {
+            slot.worker.terminate();
         }
+        this.workers = [];
+    }
 
-        // Compare all pairs
-        const groups = [];
-        const processed = new Set();
+    /**
+     * Default worker count: leave one core for the page
+     */
+    static defaultConcurrency() {
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ?
+            navigator.hardwareConcurrency : 2;
+        return Math.max(1, Math.min(4, cores - 1));
+    }
 
-        for (let i = 0; i < fingerprints.length; i++) {
-            if (processed.has(fingerprints[i].id)) continue;
+    /**
+     * Largest pHash distance at which a pair can still reach the threshold.
+     * Every other term scores at most 1, so overall <= 1 - weight * distance / bits;
+     * a pHash minimum bounds the distance too.
+     * @returns {number} The radius, or -1 when pHash is disabled or crops are enabled (a crop's
+     *          pHash is unrelated to the full image's) and it cannot pick candidates
+     */
+    computeIndexRadius(similarityThreshold, scoring = this.scoring) {
+        if (!scoring.enabled.includes('pHash') || scoring.crops) return -1;
 
-            const group = [fingerprints[i]];
-            processed.add(fingerprints[i].id);
+        const bits = ImageMatcher.HASH_BITS.pHash;
+        const weight = scoring.normalized.pHash;
+        let radius = weight > 0 ? Math.floor(bits * (1 - similarityThreshold) / weight + 1e-9) : bits;
+        if (scoring.minSimilarity.pHash !== undefined) {
+            radius = Math.min(radius, Math.floor(bits * (1 - scoring.minSimilarity.pHash) + 1e-9));
+        }
+        return Math.max(0, radius);
+    }
 
-            for (let j = i + 1; j < fingerprints.length; j++) {
-                if (processed.has(fingerprints[j].id)) continue;
+    /**
+     * Build a function returning, for fingerprint i, the ascending indices j > i (and j >= options.from)
+     * to compare with
+     */
+    createCandidateFinder(fingerprints, similarityThreshold, options = {}) {
+        const scoring = this.getScoring(options);
+        const from = options.from || 0;
+        const losslessRadius = this.computeIndexRadius(similarityThreshold, scoring);
+        const auto = options.index === 'auto' || options.index === undefined;
+        const cap = ImageMatcher.FAST_INDEX_RADIUS;
+        // At usual thresholds the lossless radius covers most of the hash space, so 'fast' caps
+        // it and also takes dHash neighbours, catching near-duplicates whose pHash drifted
+        const radii = { pHash: losslessRadius };
+        if (options.indexRadius !== undefined) {
+            radii.pHash = options.indexRadius;
+        } else if (options.index === 'fast' && losslessRadius > cap) {
+            radii.pHash = cap;
+            if (scoring.enabled.includes('dHash')) radii.dHash = cap;
+        }
+        // A video matches through any of its keyframes, not just its indexed one
+        const useIndex = losslessRadius >= 0 && !fingerprints.some(fingerprint => fingerprint.video) &&
+            (auto ? radii.pHash <= ImageMatcher.HASH_BITS.pHash / 4 : Boolean(options.index));
 
-                // Skip if comparing the same image (safety check)
-                if (fingerprints[i].id === fingerprints[j].id) {
-                    console.warn(`⚠️ Skipping self-comparison for image: ${fingerprints[i].id}`);
-                    continue;
-                }
+        if (!useIndex) {
+            return (i) => {
+                const rest = [];
+                for (let j = Math.max(i + 1, from); j < fingerprints.length; j++) rest.push(j);
+                return rest;
+            };
+        }
 
-                const similarity = this.compareImages(fingerprints[i], fingerprints[j]);
+        // With orientations, every rotated hash is indexed (id = i * 8 + orientation),
+        // since compareImages(i, j) matches i against the rotations of j
+        const normalized = fingerprints.map(fingerprint => this.normalizeFingerprint(fingerprint));
+        const variants = scoring.orientations ? ImageMatcher.ORIENTATIONS.length : 1;
+        const indexes = Object.keys(radii).map((name) => {
+            const index = new HashIndex();
+            normalized.forEach((fingerprint, i) => {
+                if (variants === 1) {
+                    index.add(i, fingerprint[name]);
+                } else {
+                    this.getOrientedViews(fingerprint).forEach((view, k) => index.add(i * variants + k, view[name]));
+                }
+            });
+            return { name, index, radius: radii[name] };
+        });
 
-                if (similarity.overall >= similarityThreshold) {
-                    group.push(fingerprints[j]);
-                    processed.add(fingerprints[j].id);
+        return (i) => {
+            const candidates = new Set();
+            for (const { name, index, radius } of indexes) {
+                for (const result of index.search(normalized[i][name], radius)) {
+                    candidates.add(Math.floor(result.id / variants));
                 }
             }
+            return Array.from(candidates)
+                .filter(j => j > i && j >= from)
+                .sort((a, b) => a - b);
+        };
+    }
 
-            if (group.length > 1) {
-                groups.push({
-                    images: group,
-                    count: group.length,
-                    averageSimilarity: this.calculateGroupSimilarity(group)
-                });
+    /**
+     * Suggest which image of a group of duplicates to keep
+     * @param {Object|Array<Object>} group - A findSimilarImages group, or its fingerprints
+     * @param {string} [by='resolution'] - 'resolution' (most pixels), 'size' (largest file) or
+     *        'capture' (earliest EXIF/XMP capture time). Ties and unknown values fall back to the
+     *        other strategies in ImageMatcher.KEEPER_STRATEGIES order, then to input order.
+     * @returns {{index: number, id: string, reason: string}}
+     * @throws {Error} On an unknown strategy or an empty group
+     */
+    suggestKeeper(group, by = 'resolution') {
+        const images = Array.isArray(group) ? group : group.images;
+        if (!ImageMatcher.KEEPER_STRATEGIES.includes(by)) {
+            throw new Error(`Unknown keeper strategy "${by}" (expected one of: ${ImageMatcher.KEEPER_STRATEGIES.join(', ')})`);
+        }
+        if (!images || images.length === 0) {
+            throw new Error('Cannot suggest a keeper for an empty group');
+        }
+
+        // Higher is better; unknown values rank last
+        const scores = {
+            resolution: image => (image.width > 0 && image.height > 0 ? image.width * image.height : -Infinity),
+            size: image => (image.fileSize > 0 ? image.fileSize : -Infinity),
+            capture: (image) => {
+                const time = image.metadata && image.metadata.capturedAt ? Date.parse(image.metadata.capturedAt.slice(0, 19) + 'Z') : NaN;
+                return isFinite(time) ? -time : -Infinity;
             }
+        };
+        const order = [by, ...ImageMatcher.KEEPER_STRATEGIES.filter(name => name !== by)];
 
-            if (progressCallback) {
-                progressCallback({ phase: 'comparing', current: i + 1, total: fingerprints.length });
+        let best = 0;
+        for (let i = 1; i < images.length; i++) {
+            for (const name of order) {
+                const score = scores[name](images[i]);
+                const bestScore = scores[name](images[best]);
+                if (score === bestScore) continue;
+                if (score > bestScore) best = i;
+                break;
             }
         }
 
-        return groups.sort((a, b) => b.count - a.count);
+        const keeper = images[best];
+        const reasons = {
+            resolution: () => `largest resolution (${keeper.width}×${keeper.height})`,
+            size: () => `largest file (${Math.round(keeper.fileSize / 1024)} KB)`,
+            capture: () => `earliest capture (${keeper.metadata.capturedAt})`
+        };
+        const known = order.find(name => scores[name](keeper) > -Infinity);
+        const reason = known ? reasons[known]() : 'first image';
+        return { index: best, id: keeper.id, reason };
     }
 
     /**
      * Calculate average similarity within a group
      */
-    calculateGroupSimilarity(group) {
+    calculateGroupSimilarity(group, scoring = this.scoring) {
         if (group.length < 2) return 1;
 
         let totalSimilarity = 0;
@@ -512,7 +5073,7 @@ class ImageMatcher {
 
         for (let i = 0; i < group.length; i++) {
             for (let j = i + 1; j < group.length; j++) {
-                const similarity = this.compareImages(group[i], group[j]);
+                const similarity = this.compareImages(group[i], group[j], { scoring });
                 totalSimilarity += similarity.overall;
                 comparisons++;
             }
@@ -521,6 +5082,93 @@ class ImageMatcher {
         return comparisons > 0 ? totalSimilarity / comparisons : 1;
     }
 
+    /**
+     * Fingerprint images and add them to the searchable collection. Ids already in the
+     * collection are replaced, so the collection can grow or be refreshed incrementally.
+     * @param {Array<{id: string, src: *, contentHash?: string}>} images
+     * @param {Function} [progressCallback] - As in findSimilarImages
+     * @param {Object} [options] - signal, checkpoint, timeout, retries and retryDelay as in findSimilarImages
+     * @returns {Promise<Array<Object>>} The added fingerprints, with a `failures` property
+     *          listing the images that could not be added (see findSimilarImages)
+     */
+    async addToIndex(images, progressCallback = null, options = {}) {
+        const failures = [];
+        const fingerprints = await this.fingerprintImages(images, progressCallback, { ...options, failures });
+
+        for (const fingerprint of fingerprints) {
+            const normalized = this.normalizeFingerprint(fingerprint);
+            this.collection.set(normalized.id, normalized);
+            if (normalized.pHash && !normalized.video) {
+                this.searchIndex.add(normalized.id, normalized.pHash);
+            } else {
+                this.searchIndex.remove(normalized.id);
+            }
+        }
+
+        fingerprints.failures = failures;
+        return fingerprints;
+    }
+
+    /**
+     * Remove an image from the searchable collection
+     * @returns {boolean} Whether the id was in the collection
+     */
+    remove(id) {
+        this.searchIndex.remove(id);
+        return this.collection.delete(id);
+    }
+
+    /**
+     * Find the images in the collection (see addToIndex) that look like a query image
+     * @param {*} imageSource - Any source processImage accepts
+     * @param {Object} [options]
+     * @param {number} [options.topK=10] - Maximum number of results
+     * @param {number} [options.minSimilarity=0] - Lowest overall similarity returned
+     * @param {string} [options.id] - Id for the query; with one, its fingerprint is cached and
+     *        stored like any processed image, without one it is computed and discarded
+     * @param {AbortSignal} [options.signal]
+     * @param {string} [options.profile] - profile, weights and algorithms as in findSimilarImages
+     * @returns {Promise<Array<{id: string, similarity: number, details: Object, fingerprint: Object}>>}
+     *          Hits ranked by similarity, highest first
+     */
+    async search(imageSource, options = {}) {
+        const { topK = 10, minSimilarity = 0, id = null, signal, ...scoringOptions } = options;
+        const scoring = this.getScoring(scoringOptions);
+
+        let query;
+        if (id !== null) {
+            query = await this.processImage(imageSource, id, { signal, scoring });
+        } else {
+            const { imageData, metadata } = await this.decodeImage(imageSource, null, signal);
+            throwIfAborted(signal);
+            query = this.computeFingerprint(imageData, 'query', scoring);
+            query.fileSize = metadata ? metadata.byteSize : 0;
+            query.metadata = metadata;
+        }
+        query = this.normalizeFingerprint(query);
+
+        // Only images within the lossless pHash radius can reach minSimilarity
+        const radius = minSimilarity > 0 ? this.computeIndexRadius(minSimilarity, scoring) : -1;
+        // (the index holds upright pHashes only, so rotated matches need a full scan)
+        const candidates = radius >= 0 && radius <= ImageMatcher.HASH_BITS.pHash / 4 &&
+            !scoring.orientations && this.searchIndex.size === this.collection.size ?
+            this.searchIndex.search(query.pHash, radius).map(result => result.id) :
+            Array.from(this.collection.keys());
+
+        const hits = [];
+        for (const candidateId of candidates) {
+            const fingerprint = this.collection.get(candidateId);
+            const similarity = this.compareImages(query, fingerprint, { scoring });
+            if (similarity.overall >= minSimilarity && !similarity.rejectedBy) {
+                hits.push({ id: candidateId, similarity: similarity.overall, details: similarity.details, fingerprint });
+            }
+        }
+
+        return hits
+            .sort((a, b) => b.similarity - a.similarity || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+            .slice(0, topK);
+    }
+
     /**
      * Clear cache to free memory
      */
@@ -534,6 +5182,7 @@ class ImageMatcher {
     getStats() {
         return {
             cachedImages: this.cache.size,
+            indexedImages: this.collection.size,
             memoryUsage: this.estimateMemoryUsage()
         };
     }
@@ -543,16 +5192,304 @@ class ImageMatcher {
      */
     estimateMemoryUsage() {
         let totalSize = 0;
-        for (const [key, value] of this.cache) {
-            totalSize += JSON.stringify(value).length;
+        for (const value of this.cache.values()) {
+            totalSize += this.estimateSize(value);
         }
         return totalSize;
     }
+
+    /**
+     * Helper: Approximate size in bytes of a fingerprint value, without serializing it
+     */
+    estimateSize(value) {
+        if (value instanceof PackedHash) {
+            return value.words.byteLength + 8;
+        }
+        if (ArrayBuffer.isView(value)) {
+            return value.byteLength;
+        }
+        if (Array.isArray(value)) {
+            return value.reduce((sum, item) => sum + this.estimateSize(item), 0);
+        }
+        if (value !== null && typeof value === 'object') {
+            return Object.keys(value).reduce((sum, key) => sum + key.length * 2 + this.estimateSize(value[key]), 0);
+        }
+        if (typeof value === 'string') {
+            return value.length * 2;
+        }
+        return 8;
+    }
 }
 
+/**
+ * Bit length of each hash algorithm
+ */
+ImageMatcher.HASH_BITS = {
+    aHash: 64,
+    dHash: 64,
+    pHash: 64,
+    edgeHash: 49
+};
+
+/**
+ * Largest pHash and dHash radius that index: 'fast' searches (a quarter of the bits).
+ * Near-duplicates sit well inside it on at least one of them; pairs beyond it on both are
+ * skipped even if the other hashes would lift them over the threshold.
+ */
+ImageMatcher.FAST_INDEX_RADIUS = 16;
+
+/**
+ * Row-major cell layout of each hash's bits, used by explain(). pHash bits are DCT
+ * coefficients, so its cells are frequencies rather than image regions.
+ */
+ImageMatcher.HASH_GRIDS = {
+    aHash: { width: 8, height: 8, spatial: true },
+    dHash: { width: 8, height: 8, spatial: true },
+    pHash: { width: 8, height: 8, spatial: false },
+    edgeHash: { width: 7, height: 7, spatial: true }
+};
+
+/**
+ * Version of the fingerprint layout and algorithms. Bump it whenever a change
+ * alters computed features, so persisted fingerprints are recomputed.
+ */
+ImageMatcher.FINGERPRINT_VERSION = 3;
+
+/**
+ * `format` tag of exportFingerprints output
+ */
+ImageMatcher.EXPORT_FORMAT = 'image-matcher-fingerprints';
+
+/**
+ * Weight of each similarity in the overall score
+ */
+ImageMatcher.DEFAULT_WEIGHTS = {
+    aHash: 0.2,
+    dHash: 0.2,
+    pHash: 0.3,
+    edgeHash: 0.1,
+    histogram: 0.15,
+    aspectRatio: 0.05,
+    metadata: 0,
+    palette: 0
+};
+
+/**
+ * Fingerprint field holding each algorithm's feature
+ */
+ImageMatcher.ALGORITHM_FIELDS = {
+    aHash: 'aHash',
+    dHash: 'dHash',
+    pHash: 'pHash',
+    edgeHash: 'edgeHash',
+    histogram: 'colorHistogram',
+    aspectRatio: 'aspectRatio',
+    metadata: 'metadata',
+    palette: 'dominantColors'
+};
+
+/**
+ * Grouping strategies for findSimilarImages and clusterEdges
+ */
+ImageMatcher.CLUSTERING_MODES = ['greedy', 'connected', 'complete', 'representative'];
+
+/**
+ * Ways suggestKeeper picks the image to keep, in fallback order
+ */
+ImageMatcher.KEEPER_STRATEGIES = ['resolution', 'size', 'capture'];
+
+/**
+ * Options that change scoring (see the ImageMatcher constructor)
+ */
+ImageMatcher.SCORING_OPTIONS = ['profile', 'threshold', 'weights', 'algorithms', 'minSimilarity', 'orientations', 'crops', 'histogram'];
+
+/**
+ * Color histogram spaces, metrics and the default configuration (the 256-bin RGB channel
+ * histograms compared by correlation)
+ */
+ImageMatcher.HISTOGRAM_SPACES = ['rgb', 'hsv', 'lab'];
+ImageMatcher.HISTOGRAM_METRICS = ['correlation', 'intersection', 'bhattacharyya', 'chiSquare'];
+ImageMatcher.DEFAULT_HISTOGRAM = { space: 'rgb', bins: null, metric: 'correlation' };
+
+/**
+ * Rotations (clockwise) and mirror images tried when orientations are enabled.
+ * 'transpose' mirrors across the main diagonal, 'transverse' across the other one.
+ */
+ImageMatcher.ORIENTATIONS = [
+    'identity',
+    'rotate90',
+    'rotate180',
+    'rotate270',
+    'flipHorizontal',
+    'flipVertical',
+    'transpose',
+    'transverse'
+];
+
+/**
+ * Algorithms whose similarity does not depend on orientation (scored once per pair)
+ */
+ImageMatcher.ORIENTATION_INVARIANT = ['histogram', 'metadata', 'palette'];
+
+/**
+ * Transform that turns pixels stored with each EXIF orientation value (1-8) upright
+ */
+ImageMatcher.EXIF_ORIENTATIONS = [
+    null,
+    'identity',
+    'flipHorizontal',
+    'rotate180',
+    'flipVertical',
+    'transpose',
+    'rotate90',
+    'transverse',
+    'rotate270'
+];
+
+/**
+ * Dominant color extraction and palette comparison: `colors` per palette, at most `samples`
+ * pixels clustered for `iterations` rounds; palette similarity is exp(-EMD / distanceScale)
+ */
+ImageMatcher.PALETTE_OPTIONS = {
+    colors: 5,
+    samples: 10000,
+    iterations: 10,
+    distanceScale: 20
+};
+
+/**
+ * Distances at which the metadata similarity terms drop to 1/e
+ */
+ImageMatcher.METADATA_SCALES = {
+    captureSeconds: 600,
+    gpsMeters: 200
+};
+
+/**
+ * Keypoint detection for crop matching: the pyramid starts at `workSize` pixels on the long
+ * side and shrinks by `scaleFactor` per level; the `maxKeypoints` strongest FAST corners are kept
+ */
+ImageMatcher.KEYPOINT_OPTIONS = {
+    workSize: 256,
+    levels: 6,
+    scaleFactor: 1.25,
+    fastThreshold: 15,
+    maxKeypoints: 400
+};
+
+/**
+ * Pixels left free at each pyramid level's edges, so BRIEF patches stay inside the image
+ */
+ImageMatcher.KEYPOINT_BORDER = 16;
+
+/**
+ * Crop detection: descriptor matching, RANSAC and acceptance limits (see detectCrop)
+ */
+ImageMatcher.CROP_OPTIONS = {
+    maxDescriptorDistance: 64,
+    ratio: 0.8,
+    iterations: 200,
+    tolerance: 3,
+    minInliers: 12,
+    minInlierRatio: 0.3,
+    maxCoverage: 0.9
+};
+
+/**
+ * Video sampling and alignment: keyframes every `interval` seconds, at most `maxFrames`;
+ * keyframes at least `frameThreshold` similar match, and a shared segment needs
+ * `minSegmentFrames` of them (see compareVideos)
+ */
+ImageMatcher.VIDEO_OPTIONS = {
+    interval: 1,
+    maxFrames: 300,
+    frameThreshold: 0.85,
+    minSegmentFrames: 2
+};
+
+/**
+ * Per-image retries in findSimilarImages: ImageLoadError codes worth another attempt, and the
+ * default wait before the first retry (doubled for each further one)
+ */
+ImageMatcher.RETRY_OPTIONS = {
+    codes: ['load', 'timeout'],
+    retryDelay: 250
+};
+
+/**
+ * Scoring presets. Weights are merged over DEFAULT_WEIGHTS; `threshold` is the
+ * findSimilarImages default for the profile.
+ */
+ImageMatcher.PROFILES = {
+    // The original behaviour
+    default: {
+        threshold: 0.8,
+        weights: {},
+        algorithms: {},
+        minSimilarity: {}
+    },
+    // Exact and near-exact copies (re-encodes, resizes): structure only, strict minimums
+    exact: {
+        threshold: 0.95,
+        weights: { aHash: 0.2, dHash: 0.3, pHash: 0.4, aspectRatio: 0.1 },
+        algorithms: { edgeHash: false, histogram: false },
+        minSimilarity: { pHash: 0.9, aspectRatio: 0.98 }
+    },
+    // Visually similar images (edits, recolors, different shots of a scene)
+    similar: {
+        threshold: 0.7,
+        weights: { aHash: 0.15, dHash: 0.15, pHash: 0.25, edgeHash: 0.15, histogram: 0.25, aspectRatio: 0.05 },
+        algorithms: {},
+        minSimilarity: {}
+    }
+};
+
+ImageMatcher.PackedHash = PackedHash;
+ImageMatcher.KeypointSet = KeypointSet;
+ImageMatcher.MetadataReader = MetadataReader;
+ImageMatcher.FingerprintCodec = FingerprintCodec;
+ImageMatcher.HashIndex = HashIndex;
+ImageMatcher.MemoryFingerprintStore = MemoryFingerprintStore;
+ImageMatcher.IndexedDBFingerprintStore = IndexedDBFingerprintStore;
+ImageMatcher.SimilarityJob = SimilarityJob;
+ImageMatcher.ImageLoadError = ImageLoadError;
+ImageMatcher.CrossOriginError = CrossOriginError;
+
 // Export for use in different environments
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ImageMatcher;
 } else if (typeof window !== 'undefined') {
     window.ImageMatcher = ImageMatcher;
+} else if (typeof self !== 'undefined') {
+    self.ImageMatcher = ImageMatcher;
+}
+
+// Worker pool entry point: this same file runs as the fingerprinting worker.
+// Only workers started by the pool carry the marker, so importScripts() users are unaffected.
+if (typeof self !== 'undefined' &&
+    typeof window === 'undefined' &&
+    typeof self.postMessage === 'function' &&
+    self.location && self.location.hash === WORKER_MARKER) {
+    const workerMatcher = new ImageMatcher({ useWorkers: false });
+
+    self.onmessage = (event) => {
+        const { imageId, bitmap, pixels, orientation, features, needsContentHash } = event.data;
+        try {
+            let imageData;
+            if (bitmap) {
+                imageData = workerMatcher.drawToImageData(bitmap);
+                bitmap.close();
+            } else {
+                imageData = workerMatcher.orientImageData(workerMatcher.toPixelBuffer(pixels), orientation || 'identity');
+            }
+
+            self.postMessage({
+                fingerprint: workerMatcher.serializeFingerprint(workerMatcher.computeFingerprint(imageData, imageId, features)),
+                contentHash: needsContentHash ?
+                    workerMatcher.computeContentHash(imageData.data, imageData.width, imageData.height) : null
+            });
+        } catch (error) {
+            self.postMessage({ error: error.message });
+        }
+    };
 }
\ No newline at end of file
@@ -3,51 +3,11 @@
  * Tests core functionality without browser dependencies
  */
 
-// Simulate browser environment
-global.document = {
-    createElement: (tag) => {
-        if (tag === 'canvas') {
-            return {
-                width: 0,
-                height: 0,
-                getContext: () => ({
-                    drawImage: () => {},
-                    getImageData: () => ({
-                        width: 8,
-                        height: 8,
-                        data: new Array(256).fill(0).map(() => Math.floor(Math.random() * 256))
-                    }),
-                    putImageData: () => {}
-                })
-            };
-        }
-        return {};
-    }
-};
-
-global.Image = function() {
-    return {
-        crossOrigin: '',
-        onload: null,
-        onerror: null,
-        src: '',
-        width: 100,
-        height: 100
-    };
-};
-
-// Load the ImageMatcher library
 const fs = require('fs');
 const path = require('path');
 
-// Set up module.exports for the library
-global.module = { exports: {} };
-
-const imageMatcherCode = fs.readFileSync(path.join(__dirname, 'image-matcher.js'), 'utf8');
-eval(imageMatcherCode);
-
-// Get the ImageMatcher class
-const ImageMatcher = global.module.exports;
+// The pixel pipeline is canvas-free, so the library loads directly in Node
+const ImageMatcher = require('./image-matcher.js');
 
 console.log('🧪 Running ImageMatcher Tests...\n');
 
@@ -75,10 +35,10 @@ async function testBasicFunctionality() {
     const pHash = matcher.computePerceptualHash(mockImageData);
     const edgeHash = matcher.computeEdgeHash(mockImageData);
     
-    console.log(`   ✅ aHash: ${aHash.substring(0, 16)}... (${aHash.length} bits)`);
-    console.log(`   ✅ dHash: ${dHash.substring(0, 16)}... (${dHash.length} bits)`);
-    console.log(`   ✅ pHash: ${pHash.substring(0, 16)}... (${pHash.length} bits)`);
-    console.log(`   ✅ edgeHash: ${edgeHash.substring(0, 16)}... (${edgeHash.length} bits)`);
+    console.log(`   ✅ aHash: ${aHash.toHex()}... (${aHash.length} bits)`);
+    console.log(`   ✅ dHash: ${dHash.toHex()}... (${dHash.length} bits)`);
+    console.log(`   ✅ pHash: ${pHash.toHex()}... (${pHash.length} bits)`);
+    console.log(`   ✅ edgeHash: ${edgeHash.toHex()}... (${edgeHash.length} bits)`);
     
     console.log('\n3. Testing color histogram...');
     const histogram = matcher.computeColorHistogram(mockImageData);
@@ -207,6 +167,1663 @@ async function testExtensionCompatibility() {
     }
 }
 
+async function testPixelBuffers() {
+    console.log('\n11. Testing raw pixel buffers (no DOM)...');
+
+    const matcher = new ImageMatcher();
+    const width = 40;
+    const height = 30;
+    const rgbData = new Uint8Array(width * height * 3);
+    const rgbaData = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const value = Math.floor((i % width) * 255 / width);
+        rgbData[i * 3] = rgbData[i * 3 + 1] = rgbData[i * 3 + 2] = value;
+        rgbaData[i * 4] = rgbaData[i * 4 + 1] = rgbaData[i * 4 + 2] = value;
+        rgbaData[i * 4 + 3] = 255;
+    }
+
+    const fromRgb = await matcher.processImage({ width, height, data: rgbData }, 'rgb-buffer');
+    const fromRgba = await matcher.processImage({ width, height, data: rgbaData }, 'rgba-buffer');
+    const identical = fromRgb.aHash.equals(fromRgba.aHash) &&
+        fromRgb.dHash.equals(fromRgba.dHash) &&
+        fromRgb.pHash.equals(fromRgba.pHash) &&
+        fromRgb.edgeHash.equals(fromRgba.edgeHash);
+
+    const checks = [];
+    checks.push([`RGB and RGBA buffers hash identically (${fromRgb.width}x${fromRgb.height})`, identical]);
+
+    // imageDataToCanvas still works for earlier callers where there is a canvas
+    let unsupported = false;
+    try {
+        matcher.imageDataToCanvas({ width, height, data: rgbData });
+    } catch (error) {
+        unsupported = error instanceof ImageMatcher.ImageLoadError && error.code === 'unsupported';
+    }
+    let drawn = null;
+    global.document = {
+        createElement: () => ({
+            getContext: () => ({
+                createImageData: (w, h) => ({ width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+                putImageData: (pixels) => { drawn = pixels; }
+            })
+        })
+    };
+    try {
+        const canvas = matcher.imageDataToCanvas({ width, height, data: rgbData });
+        checks.push(['imageDataToCanvas draws RGBA pixels and needs a canvas', unsupported &&
+            canvas.width === width && canvas.height === height && drawn !== null &&
+            drawn.data.every((value, i) => value === rgbaData[i])]);
+    } finally {
+        delete global.document;
+    }
+
+    // The separable DCT gives the hashes of the original direct DCT, flat and gradient images included
+    const { legacyComputeDCT } = require('./benchmark.js');
+    const referenceHash = (image) => {
+        const dct = legacyComputeDCT(matcher.resizeGrayscale(matcher.toPixelBuffer(image), 32, 32), 32);
+        const lowFreqs = [];
+        for (let i = 0; i < 8; i++) {
+            for (let j = 0; j < 8; j++) lowFreqs.push(dct[i * 32 + j]);
+        }
+        const median = [...lowFreqs].sort((a, b) => a - b)[32];
+        return lowFreqs.map(value => (value > median ? '1' : '0')).join('');
+    };
+    const dctImages = createFixtureImages(20).map(image => image.src).concat([
+        { width, height, data: rgbData },
+        { width: 32, height: 32, data: new Uint8Array(32 * 32).fill(77) },
+        { width: 32, height: 32, data: Uint8Array.from({ length: 32 * 32 }, (_, i) => (i % 32 + (i >> 5)) * 4) },
+        createSceneImage(96, 72, 5)
+    ]);
+    const mismatches = dctImages.filter(image => matcher.computePerceptualHash(matcher.toPixelBuffer(image)).toBitString() !== referenceHash(image)).length;
+    checks.push([`Separable DCT hashes match the direct DCT (${dctImages.length - mismatches}/${dctImages.length})`, mismatches === 0]);
+
+    // Downscaling reads gray straight from RGBA: each 6x6 block averages to its cell
+    const blocks = matcher.toPixelBuffer(createSceneImage(48, 48, 9));
+    const grid = matcher.resizeGrayscale(blocks, 8, 8);
+    let gridError = 0;
+    for (let cell = 0; cell < 64; cell++) {
+        let sum = 0;
+        for (let k = 0; k < 36; k++) {
+            const offset = (((cell >> 3) * 6 + Math.floor(k / 6)) * 48 + (cell & 7) * 6 + k % 6) * 4;
+            sum += (blocks.data[offset] + blocks.data[offset + 1] + blocks.data[offset + 2]) / 3;
+        }
+        gridError = Math.max(gridError, Math.abs(grid[cell] - sum / 36));
+    }
+    checks.push(['Area-averaged gray grid matches block means', gridError < 1e-9]);
+
+    runChecks('Pixel buffer', checks);
+}
+
+async function testPackedHashes() {
+    console.log('\n12. Testing packed hashes...');
+
+    const matcher = new ImageMatcher();
+    const { PackedHash } = ImageMatcher;
+    const bits1 = '1011001110001111000011111000001111110000001111111000000011111111';
+    const bits2 = '1011001110001111000011111000001111110000001111111000000011111110';
+    const packed1 = PackedHash.fromBitString(bits1);
+    const packed2 = PackedHash.fromBitString(bits2);
+
+    const checks = [
+        ['Bit string round trip', packed1.toBitString() === bits1],
+        ['Hex round trip', PackedHash.fromHex(packed1.toHex(), 64).equals(packed1)],
+        ['BigInt round trip', PackedHash.fromBigInt(packed1.toBigInt(), 64).equals(packed1)],
+        ['49-bit hex round trip', PackedHash.fromHex(PackedHash.fromBitString(bits1.slice(0, 49)).toHex(), 49).toBitString() === bits1.slice(0, 49)],
+        ['Popcount distance', matcher.hammingDistance(packed1, packed2) === 1],
+        ['Legacy bit strings', matcher.hammingDistance(bits1, bits2) === 1],
+        ['Mixed packed and hex', matcher.hammingDistance(packed1, packed2.toHex()) === 1]
+    ];
+
+    // Persisted fingerprints (hex via JSON, or legacy bit strings) compare like live ones
+    const fingerprint = await matcher.processImage({
+        width: 16,
+        height: 16,
+        data: new Uint8Array(256).map((_, i) => (i * 37) % 256)
+    }, 'packed');
+    const fromJson = JSON.parse(JSON.stringify(fingerprint));
+    const legacy = { ...fromJson, aHash: fingerprint.aHash.toBitString(), dHash: fingerprint.dHash.toBitString(), pHash: fingerprint.pHash.toBitString(), edgeHash: fingerprint.edgeHash.toBitString() };
+    checks.push(['JSON fingerprints use hex', fromJson.pHash === fingerprint.pHash.toHex()]);
+    checks.push(['JSON fingerprint compares as identical', matcher.compareImages(fingerprint, fromJson).details.pHash === 1]);
+    checks.push(['Legacy fingerprint compares as identical', matcher.compareImages(legacy, fingerprint).details.edgeHash === 1]);
+
+    runChecks('Packed hash', checks);
+}
+
+/**
+ * Helper: Print each named check and fail the run on the first one that did not pass
+ * @param {string} title - Names the section in the error, e.g. 'Clustering'
+ * @param {Array<[string, boolean]>} checks
+ */
+function runChecks(title, checks) {
+    for (const [name, passed] of checks) {
+        console.log(`   ${passed ? '✅' : '❌'} ${name}`);
+        if (!passed) {
+            throw new Error(`${title} check failed: ${name}`);
+        }
+    }
+}
+
+let fixtureImages = [];
+let fixturePatterns = 0;
+
+/**
+ * Deterministic synthetic images: textured patterns plus brightened / noisy variants.
+ * The generator is prefix-stable, so the largest set is built once and sliced per count.
+ */
+function createFixtureImages(count) {
+    if (count > fixturePatterns) {
+        fixtureImages = buildFixtureImages(count);
+        fixturePatterns = count;
+    }
+    return fixtureImages.filter(image => Number(image.id.split('-')[1]) < count);
+}
+
+function buildFixtureImages(count) {
+    let seed = 7;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return seed / 0x7fffffff;
+    };
+
+    const images = [];
+    for (let n = 0; n < count; n++) {
+        const width = 48;
+        const height = 36;
+        const fx = 0.1 + random() * 0.5;
+        const fy = 0.1 + random() * 0.5;
+        const phase = random() * 6;
+        const base = new Float64Array(width * height * 3);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 3;
+                base[i] = 128 + 120 * Math.sin(x * fx + phase);
+                base[i + 1] = 128 + 120 * Math.cos(y * fy + phase);
+                base[i + 2] = 128 + 120 * Math.sin((x + y) * fx * fy);
+            }
+        }
+
+        // Every third pattern gets two near-duplicates
+        const variants = n % 3 === 0 ? [0, 2, -1] : [0];
+        variants.forEach((shift, v) => {
+            const data = new Uint8ClampedArray(base.length);
+            for (let i = 0; i < base.length; i++) {
+                data[i] = base[i] + (shift >= 0 ? shift : (random() - 0.5) * 4);
+            }
+            images.push({ id: `fixture-${n}-${v}`, src: { width, height, data } });
+        });
+    }
+
+    return images;
+}
+
+async function testHashIndex() {
+    console.log('\n13. Testing hash index...');
+
+    const { HashIndex, PackedHash } = ImageMatcher;
+
+    // BK-tree results must equal a linear scan
+    const hashes = [];
+    const index = new HashIndex();
+    for (let i = 0; i < 300; i++) {
+        const hash = new PackedHash(64);
+        for (let bit = 0; bit < 64; bit++) {
+            if (((i * 2654435761 + bit * 40503) >>> 7) % 3 === 0) hash.setBit(bit);
+        }
+        hashes.push(hash);
+        index.add(i, hash);
+    }
+    index.remove(5);
+
+    let matchesScan = true;
+    for (const radius of [0, 4, 12, 30]) {
+        const found = index.search(hashes[10], radius).map(result => result.id).sort((a, b) => a - b);
+        const expected = hashes.map((hash, i) => i)
+            .filter(i => i !== 5 && hashes[i].distance(hashes[10]) <= radius);
+        matchesScan = matchesScan && found.join() === expected.join();
+    }
+    const checks = [['BK-tree search matches linear scan', matchesScan]];
+
+    // Grouping through the index must match the brute-force path
+    const images = createFixtureImages(30);
+    const describe = groups => groups.map(group => group.images.map(image => image.id).join('+')).join(' | ');
+    for (const threshold of [0.8, 0.9, 0.95]) {
+        const bruteForce = await new ImageMatcher().findSimilarImages(images, threshold, null, { index: false });
+        const indexed = await new ImageMatcher().findSimilarImages(images, threshold, null, { index: true });
+        checks.push([`${threshold * 100}% threshold: ${indexed.length} groups, index matches brute force`,
+            describe(bruteForce) === describe(indexed)]);
+    }
+
+    // The default index is lossless: the same groups as comparing all pairs, at every threshold
+    let defaultMatches = true;
+    for (const threshold of [0.5, 0.8, 0.95]) {
+        const bruteForce = await new ImageMatcher().findSimilarImages(images, threshold, null, { index: false });
+        const byDefault = await new ImageMatcher().findSimilarImages(images, threshold);
+        defaultMatches = defaultMatches && describe(byDefault) === describe(bruteForce);
+    }
+    checks.push(['Default index matches brute force', defaultMatches]);
+
+    // 'fast' caps the radius, so it still prunes pairs at 0.8
+    class CountingMatcher extends ImageMatcher {
+        compareImages(a, b, options) {
+            this.compared = (this.compared || 0) + 1;
+            return super.compareImages(a, b, options);
+        }
+    }
+    const allPairs = new CountingMatcher();
+    const bruteForce = await allPairs.findSimilarImages(images, 0.8, null, { index: false });
+    const fast = new CountingMatcher();
+    let usedIndex = false;
+    fast.createCandidateFinder = function (fingerprints, threshold, options) {
+        const findCandidates = ImageMatcher.prototype.createCandidateFinder.call(this, fingerprints, threshold, options);
+        usedIndex = findCandidates(0).length < fingerprints.length - 1;
+        return findCandidates;
+    };
+    const fastGroups = await fast.findSimilarImages(images, 0.8, null, { index: 'fast' });
+    checks.push([`'fast' index at 80%: ${fast.compared} of ${allPairs.compared} comparisons, same groups as brute force`,
+        usedIndex && fast.compared < allPairs.compared && describe(fastGroups) === describe(bruteForce)]);
+
+    runChecks('Hash index', checks);
+}
+
+async function testFingerprintStores() {
+    console.log('\n14. Testing fingerprint stores...');
+
+    const os = require('os');
+    const { FileFingerprintStore } = require('./file-store');
+    const { MemoryFingerprintStore } = ImageMatcher;
+    const [image] = createFixtureImages(1);
+
+    // Counts how often features are actually computed
+    class CountingMatcher extends ImageMatcher {
+        computeFingerprint(imageData, imageId) {
+            this.computed = (this.computed || 0) + 1;
+            return super.computeFingerprint(imageData, imageId);
+        }
+    }
+
+    const checks = [];
+    const memoryStore = new MemoryFingerprintStore();
+    const first = new CountingMatcher({ store: memoryStore });
+    const original = await first.processImage(image.src, image.id);
+
+    const second = new CountingMatcher({ store: memoryStore });
+    const restored = await second.processImage(image.src, image.id);
+    checks.push(['Unchanged image is not reprocessed', !second.computed && restored.pHash.equals(original.pHash)]);
+
+    const changed = { ...image.src, data: image.src.data.map(value => 255 - value) };
+    const third = new CountingMatcher({ store: memoryStore });
+    await third.processImage(changed, image.id);
+    checks.push(['Changed content is reprocessed', third.computed === 1]);
+
+    const record = await memoryStore.get(image.id);
+    await memoryStore.set(image.id, { ...record, version: ImageMatcher.FINGERPRINT_VERSION - 1 });
+    const fourth = new CountingMatcher({ store: memoryStore });
+    await fourth.processImage(changed, image.id);
+    checks.push(['Stale fingerprint version is reprocessed', fourth.computed === 1]);
+
+    // File stores survive a "restart" (a fresh store instance reading the same file)
+    for (const extension of ['json', 'ndjson']) {
+        const filePath = path.join(os.tmpdir(), `image-matcher-test-${process.pid}.${extension}`);
+        const fileStore = new FileFingerprintStore(filePath);
+        await new CountingMatcher({ store: fileStore }).processImage(image.src, image.id, { contentHash: 'abc' });
+        await fileStore.flush();
+
+        const reloaded = new CountingMatcher({ store: new FileFingerprintStore(filePath) });
+        const fromFile = await reloaded.processImage(null, image.id, { contentHash: 'abc' });
+        checks.push([`${extension.toUpperCase()} file store round trip`, !reloaded.computed && fromFile.pHash.equals(original.pHash)]);
+        fs.unlinkSync(filePath);
+    }
+
+    runChecks('Fingerprint store', checks);
+}
+
+async function testCancellation() {
+    console.log('\n15. Testing cancellation and pause/resume...');
+
+    const images = createFixtureImages(12);
+    const checks = [];
+    const describe = groups => groups.map(group => group.images.map(image => image.id).join('+')).join(' | ');
+    const expected = describe(await new ImageMatcher().findSimilarImages(images, 0.9));
+
+    // Abort after a few images: the run rejects but keeps what it already fingerprinted
+    const matcher = new ImageMatcher();
+    const controller = new AbortController();
+    let abortError = null;
+    try {
+        await matcher.findSimilarImages(images, 0.9, (progress) => {
+            if (progress.phase === 'processing' && progress.current === 4) controller.abort();
+        }, { signal: controller.signal });
+    } catch (error) {
+        abortError = error;
+    }
+    checks.push(['Aborted run rejects with AbortError', abortError && abortError.name === 'AbortError']);
+    checks.push(['Finished fingerprints stay cached', matcher.cache.size === 4]);
+
+    // Pause between phases, then resume to the same result
+    const job = matcher.createJob(images, 0.9, {
+        progressCallback: (progress) => {
+            if (progress.phase === 'processing' && progress.current === images.length) job.pause();
+        }
+    });
+    const running = job.start();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    checks.push(['Job pauses before comparing', job.state === 'paused' && job.phase === 'comparing']);
+    job.resume();
+    const groups = await running;
+    checks.push(['Resumed job matches an uninterrupted run', job.state === 'done' && describe(groups) === expected]);
+
+    // Cancelling a paused job rejects instead of hanging
+    const paused = new ImageMatcher().createJob(images, 0.9);
+    paused.pause();
+    const pausedRun = paused.start();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    paused.cancel();
+    const cancelled = await pausedRun.then(() => null, error => error);
+    checks.push(['Cancelling a paused job rejects', cancelled && cancelled.name === 'AbortError' && paused.state === 'cancelled']);
+
+    runChecks('Cancellation', checks);
+}
+
+async function testScoringOptions() {
+    console.log('\n16. Testing scoring options and profiles...');
+
+    const images = createFixtureImages(12);
+    const checks = [];
+    const throwsWith = (options, text) => {
+        try {
+            new ImageMatcher(options);
+            return false;
+        } catch (error) {
+            return error.message.includes(text);
+        }
+    };
+
+    // Disabled algorithms are neither computed nor scored
+    const lean = new ImageMatcher({ algorithms: { edgeHash: false, histogram: false } });
+    const leanA = await lean.processImage(images[0].src, images[0].id);
+    const leanB = await lean.processImage(images[3].src, images[3].id);
+    const leanResult = lean.compareImages(leanA, leanB);
+    checks.push(['Disabled algorithms are not computed', leanA.edgeHash === undefined && leanA.colorHistogram === undefined]);
+    checks.push(['Disabled algorithms are not scored', !('edgeHash' in leanResult.details) && !('histogram' in leanResult.details)]);
+
+    // Weights are rescaled over enabled algorithms
+    const pHashOnly = new ImageMatcher({ weights: { aHash: 0, dHash: 0, pHash: 2, edgeHash: 0, histogram: 0, aspectRatio: 0 } });
+    const onlyResult = pHashOnly.compareImages(leanA, leanB);
+    checks.push(['Weights are normalized', Math.abs(onlyResult.overall - onlyResult.details.pHash) < 1e-12]);
+
+    // Per-algorithm minimums veto a pair whatever its overall score
+    const strict = lean.compareImages(leanA, leanB, { minSimilarity: { pHash: 1 } });
+    checks.push(['minSimilarity rejects pairs', strict.rejectedBy === 'pHash' && strict.overall === leanResult.overall]);
+
+    // Run options override the matcher's, and the index stays lossless
+    const describe = groups => groups.map(group => group.images.map(image => image.id).join('+')).join(' | ');
+    const matcher = new ImageMatcher();
+    for (const profile of ['exact', 'similar']) {
+        const bruteForce = await matcher.findSimilarImages(images, null, null, { profile, index: false });
+        const indexed = await matcher.findSimilarImages(images, null, null, { profile, index: true });
+        checks.push([`"${profile}" profile: ${indexed.length} groups, index matches brute force`, describe(bruteForce) === describe(indexed)]);
+    }
+
+    // A run resolves its scoring options once, not once per compared pair
+    let resolved = 0;
+    const resolveScoring = matcher.resolveScoring.bind(matcher);
+    matcher.resolveScoring = (options, base) => {
+        resolved++;
+        return resolveScoring(options, base);
+    };
+    await matcher.findSimilarImages(images, null, null, { profile: 'similar', index: false, clustering: 'connected' });
+    matcher.resolveScoring = resolveScoring;
+    checks.push([`Run options are resolved once per run (${resolved} times)`, resolved === 1]);
+
+    const noPHash = await new ImageMatcher({ algorithms: { pHash: false } }).findSimilarImages(images, 0.9, null, { index: true });
+    checks.push(['Grouping works without pHash', Array.isArray(noPHash)]);
+
+    checks.push(['Unknown algorithm is rejected', throwsWith({ weights: { blur: 1 } }, 'Unknown algorithm "blur"')]);
+    checks.push(['Negative weight is rejected', throwsWith({ weights: { pHash: -1 } }, 'non-negative')]);
+    checks.push(['All-zero weights are rejected', throwsWith({ algorithms: { aHash: false, dHash: false, pHash: false, edgeHash: false, histogram: false, aspectRatio: false } }, 'positive weight')]);
+    checks.push(['Out-of-range minimum is rejected', throwsWith({ minSimilarity: { pHash: 1.5 } }, 'between 0 and 1')]);
+    checks.push(['Unknown profile is rejected', throwsWith({ profile: 'fuzzy' }, 'Unknown profile "fuzzy"')]);
+
+    runChecks('Scoring', checks);
+}
+
+/**
+ * A chain of images morphing from one pattern to another: neighbours match, the ends do not
+ */
+function createChainImages(steps) {
+    const width = 48;
+    const height = 36;
+    const images = [];
+    for (let k = 0; k < steps; k++) {
+        const t = k / (steps - 1);
+        const data = new Uint8ClampedArray(width * height * 3);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 3;
+                const value = (128 + 120 * Math.sin(x * 0.3)) * (1 - t) + (128 + 120 * Math.cos(y * 0.45 + 1)) * t;
+                data[i] = value;
+                data[i + 1] = 255 - value;
+                data[i + 2] = (value + x * 3) % 256;
+            }
+        }
+        images.push({ id: `chain-${k}`, src: { width, height, data } });
+    }
+    return images;
+}
+
+async function testClustering() {
+    console.log('\n17. Testing clustering modes...');
+
+    const images = createChainImages(7);
+    const matcher = new ImageMatcher();
+    const threshold = 0.7;
+    const checks = [];
+    const ids = groups => groups.map(group => group.images.map(image => image.id).sort().join('+')).sort().join(' | ');
+    const run = (clustering, input = images) => matcher.findSimilarImages(input, threshold, null, { clustering });
+
+    const greedy = await run('greedy');
+    const connected = await run('connected');
+    const complete = await run('complete');
+    const representative = await run('representative');
+
+    checks.push(['Greedy splits the chain', greedy.length > 1]);
+    checks.push(['Connected keeps the chain together', connected.length === 1 && connected[0].count === 5]);
+    checks.push(['Connected is independent of input order', ids(connected) === ids(await run('connected', images.slice().reverse()))]);
+    checks.push(['Complete linkage groups only all-matching images', complete.length > 0 && complete.every(group =>
+        group.similarityMatrix.every(row => row.every(similarity => similarity >= threshold)))]);
+    checks.push(['Representative groups start with their seed', representative.length > 0 &&
+        representative.every(group => group.representative === group.images[0])]);
+
+    // Groups carry a symmetric matrix whose mean matches calculateGroupSimilarity
+    const group = connected[0];
+    const symmetric = group.similarityMatrix.every((row, i) => row.every((value, j) => value === group.similarityMatrix[j][i]));
+    checks.push(['Similarity matrix is symmetric', symmetric && group.similarityMatrix[0][0] === 1]);
+    checks.push(['Average matches the matrix', Math.abs(group.averageSimilarity - matcher.calculateGroupSimilarity(group.images)) < 1e-12]);
+
+    // Edges computed once can be re-clustered at any higher threshold
+    const fingerprints = await matcher.fingerprintImages(images);
+    const edges = await matcher.computeEdges(fingerprints, 0.5);
+    checks.push(['Re-clustered edges match a fresh greedy run', ids(matcher.clusterEdges(fingerprints, edges, threshold, { clustering: 'greedy' })) === ids(greedy)]);
+
+    let unknownRejected = false;
+    try {
+        await run('single');
+    } catch (error) {
+        unknownRejected = error.message.includes('Unknown clustering');
+    }
+    checks.push(['Unknown clustering mode is rejected', unknownRejected]);
+
+    runChecks('Clustering', checks);
+}
+
+async function testSearch() {
+    console.log('\n18. Testing query-by-example search...');
+
+    const images = createFixtureImages(30);
+    const collection = images.filter(image => !image.id.endsWith('-2'));
+    const queries = images.filter(image => image.id.endsWith('-2'));
+    const matcher = new ImageMatcher();
+    const checks = [];
+
+    await matcher.addToIndex(collection);
+    checks.push(['Collection is indexed', matcher.getStats().indexedImages === collection.length]);
+
+    // A near-duplicate finds its originals first, ranked with details
+    const query = queries[0];
+    const pattern = query.id.replace(/-2$/, '');
+    const hits = await matcher.search(query.src, { topK: 5 });
+    checks.push(['Top hits are the near-duplicates', hits.slice(0, 2).every(hit => hit.id.startsWith(pattern + '-'))]);
+    checks.push(['Hits are ranked', hits.length === 5 && hits.every((hit, i) => i === 0 || hits[i - 1].similarity >= hit.similarity)]);
+    checks.push(['Hits carry details', typeof hits[0].details.pHash === 'number']);
+
+    // The index shortcut (used for selective minimums) returns exactly what a full scan does
+    let indexedHits = 0;
+    let sameAsScan = true;
+    for (const { src } of collection.slice(0, 8)) {
+        const strict = await matcher.search(src, { minSimilarity: 0.93, topK: 100 });
+        const scanned = (await matcher.search(src, { topK: 100 })).filter(hit => hit.similarity >= 0.93);
+        indexedHits += strict.length;
+        sameAsScan = sameAsScan && strict.map(hit => hit.id).join() === scanned.map(hit => hit.id).join();
+    }
+    checks.push([`minSimilarity 0.93: ${indexedHits} hits, same as a full scan`, indexedHits > 0 && sameAsScan]);
+
+    // The collection grows and shrinks without re-running anything
+    await matcher.addToIndex([query]);
+    const withQuery = await matcher.search(query.src, { topK: 1 });
+    checks.push(['Added image is found', withQuery[0].id === query.id && withQuery[0].similarity === 1]);
+    checks.push(['Removed image is gone', matcher.remove(query.id) &&
+        !(await matcher.search(query.src, { topK: 100 })).some(hit => hit.id === query.id)]);
+
+    runChecks('Search', checks);
+}
+
+async function testOrientations() {
+    console.log('\n19. Testing rotation and mirror matching...');
+
+    const matcher = new ImageMatcher({ orientations: true });
+    const [base] = createFixtureImages(1);
+    const { width, height, data } = base.src;
+    const checks = [];
+
+    // Rotate or mirror an RGB fixture with the same grid transform the hashes use
+    const orient = (orientation) => {
+        const channels = [0, 1, 2].map((c) => {
+            const plane = new Float64Array(width * height);
+            for (let i = 0; i < plane.length; i++) plane[i] = data[i * 3 + c];
+            return matcher.transformGrid(plane, width, height, orientation);
+        });
+        const out = new Uint8ClampedArray(data.length);
+        for (let i = 0; i < width * height; i++) {
+            for (let c = 0; c < 3; c++) out[i * 3 + c] = channels[c][i];
+        }
+        const swap = matcher.swapsAxes(orientation);
+        return { width: swap ? height : width, height: swap ? width : height, data: out };
+    };
+
+    const images = ImageMatcher.ORIENTATIONS.map(orientation => ({ id: `turned-${orientation}`, src: orient(orientation) }));
+    const original = await matcher.processImage(base.src, base.id);
+    let allFound = true;
+    let plainMisses = 0;
+    for (const image of images) {
+        const turned = await matcher.processImage(image.src, image.id);
+        const result = matcher.compareImages(turned, original);
+        allFound = allFound && result.overall > 0.99 && `turned-${result.orientation}` === image.id;
+        if (new ImageMatcher().compareImages(turned, original).overall < 0.8) plainMisses++;
+    }
+    checks.push(['Every rotation and mirror image matches with its orientation', allFound]);
+    checks.push([`Without orientations ${plainMisses}/7 of them fall below 80%`, plainMisses > 0]);
+
+    // Grouping reports orientations, and the index stays lossless
+    const describe = groups => groups.map(group => group.images.map(image => image.id).join('+')).join(' | ');
+    const indexed = await matcher.findSimilarImages(images, 0.95, null, { index: true });
+    const bruteForce = await matcher.findSimilarImages(images, 0.95, null, { index: false });
+    checks.push(['All orientations form one group', indexed.length === 1 && indexed[0].count === 8]);
+    checks.push(['Group lists each image\'s orientation', indexed[0].orientations.join() === ImageMatcher.ORIENTATIONS.join()]);
+    checks.push(['Index matches brute force', describe(indexed) === describe(bruteForce)]);
+
+    // Stored (JSON) fingerprints keep their orientation hashes
+    const restored = JSON.parse(JSON.stringify(matcher.serializeFingerprint(original)));
+    checks.push(['Serialized orientations compare', matcher.compareImages(original, restored).overall === 1]);
+    checks.push(['Off by default', new ImageMatcher().compareImages(original, original).orientation === 'identity' &&
+        (await new ImageMatcher().processImage(base.src, base.id)).orientations === undefined]);
+
+    runChecks('Orientation', checks);
+}
+
+/**
+ * Helper: RGB scene of random filled rectangles (plenty of corners for keypoints)
+ */
+function createSceneImage(width, height, seed) {
+    let state = seed;
+    const random = () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+    const data = new Uint8ClampedArray(width * height * 3).fill(90);
+    for (let n = 0; n < 80; n++) {
+        const x0 = Math.floor(random() * width);
+        const y0 = Math.floor(random() * height);
+        const x1 = Math.min(width, x0 + 10 + Math.floor(random() * 60));
+        const y1 = Math.min(height, y0 + 10 + Math.floor(random() * 60));
+        const color = [random() * 255, random() * 255, random() * 255];
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                data.set(color, (y * width + x) * 3);
+            }
+        }
+    }
+    return { width, height, data };
+}
+
+async function testCropDetection() {
+    console.log('\n20. Testing crop detection...');
+
+    const matcher = new ImageMatcher({ crops: true });
+    const scene = createSceneImage(640, 480, 1);
+    const checks = [];
+
+    // The middle half of the scene, at its native resolution
+    const box = { x: 160, y: 120, width: 320, height: 240 };
+    const cropData = new Uint8ClampedArray(box.width * box.height * 3);
+    for (let y = 0; y < box.height; y++) {
+        const start = ((box.y + y) * scene.width + box.x) * 3;
+        cropData.set(scene.data.subarray(start, start + box.width * 3), y * box.width * 3);
+    }
+    const images = [
+        { id: 'scene', src: scene },
+        { id: 'scene-crop', src: { width: box.width, height: box.height, data: cropData } },
+        { id: 'other-scene', src: createSceneImage(640, 480, 2) }
+    ];
+
+    const [original, crop, other] = await Promise.all(images.map(image => matcher.processImage(image.src, image.id)));
+    const result = matcher.compareImages(original, crop);
+    const found = result.crop;
+    const offBy = found ? Math.max(...['x', 'y', 'width', 'height'].map(key => Math.abs(found.box[key] - box[key]))) : Infinity;
+    checks.push([`Crop found in the original (box off by ${offBy.toFixed(1)}px)`, found !== null && found.container === 1 && offBy < 8]);
+    checks.push(['Reversed pair reports the second image as container', (matcher.compareImages(crop, original).crop || {}).container === 2]);
+    checks.push([`Crop scores ${result.overall.toFixed(3)}, whole-frame hashes alone ${new ImageMatcher().compareImages(original, crop).overall.toFixed(3)}`,
+        result.overall >= 0.8 && new ImageMatcher().compareImages(original, crop).overall < 0.8]);
+    checks.push(['Unrelated scene is no crop', matcher.compareImages(original, other).crop === null]);
+    checks.push(['Identical images are no crop', matcher.compareImages(original, original).crop === null]);
+
+    // Grouping and stored (JSON) fingerprints
+    const groups = await matcher.findSimilarImages(images, 0.8);
+    checks.push(['Crop groups with its original only', groups.length === 1 &&
+        groups[0].images.map(image => image.id).join() === 'scene,scene-crop' && groups[0].crops[1].container === 1]);
+    const restored = JSON.parse(JSON.stringify(matcher.serializeFingerprint(crop)));
+    checks.push(['Serialized keypoints still find the crop', matcher.compareImages(original, restored).crop !== null]);
+    checks.push(['Off by default', (await new ImageMatcher().processImage(scene, 'scene')).keypoints === undefined]);
+
+    runChecks('Crop detection', checks);
+}
+
+/**
+ * Helper: Little-endian TIFF block with the given IFD0, EXIF and GPS entries ([tag, type, values])
+ */
+function createTiff({ ifd0 = [], exif = [], gps = [] }) {
+    const view = new DataView(new ArrayBuffer(2048));
+    let end = 8;
+    const writeIfd = (entries) => {
+        const start = end;
+        view.setUint16(start, entries.length, true);
+        end = start + 2 + entries.length * 12 + 4;
+        entries.forEach(([tag, type, values], n) => {
+            const entry = start + 2 + n * 12;
+            const words = type === 2 ? Array.from(values + '\0', c => c.charCodeAt(0)) : values;
+            const size = { 2: 1, 3: 2, 4: 4, 5: 4 }[type];
+            view.setUint16(entry, tag, true);
+            view.setUint16(entry + 2, type, true);
+            view.setUint32(entry + 4, type === 5 ? words.length / 2 : words.length, true);
+            let at = entry + 8;
+            if (words.length * size > 4) {
+                view.setUint32(entry + 8, end, true);
+                at = end;
+                end += words.length * size;
+            }
+            words.forEach((word, i) => {
+                if (size === 1) view.setUint8(at + i, word);
+                else if (size === 2) view.setUint16(at + i * 2, word, true);
+                else view.setUint32(at + i * 4, word, true);
+            });
+        });
+        return start;
+    };
+
+    // Sub-IFDs first, so IFD0 can point at them
+    const pointers = [];
+    if (exif.length > 0) pointers.push([0x8769, 4, [writeIfd(exif)]]);
+    if (gps.length > 0) pointers.push([0x8825, 4, [writeIfd(gps)]]);
+    view.setUint16(0, 0x4949);
+    view.setUint16(2, 42, true);
+    view.setUint32(4, writeIfd([...ifd0, ...pointers]), true);
+    return new Uint8Array(view.buffer, 0, end);
+}
+
+async function testMetadata() {
+    console.log('\n21. Testing EXIF orientation and metadata...');
+
+    const jpeg = require('jpeg-js');
+    const matcher = new ImageMatcher({ useWorkers: false });
+    const { MetadataReader } = ImageMatcher;
+    const checks = [];
+
+    // A phone photo: pixels stored sideways, EXIF orientation 6 says "rotate 90° clockwise"
+    const upright = matcher.toPixelBuffer(createSceneImage(96, 64, 7));
+    const stored = matcher.orientImageData(upright, 'rotate270');
+    const tiff = createTiff({
+        ifd0: [[0x010F, 2, 'Acme'], [0x0110, 2, 'Phone 5'], [0x0112, 3, [6]]],
+        exif: [[0x9003, 2, '2024:05:01 12:34:56'], [0x9011, 2, '+02:00']],
+        gps: [[1, 2, 'N'], [2, 5, [51, 1, 30, 1, 0, 1]], [3, 2, 'W'], [4, 5, [7, 1, 30, 1, 0, 1]], [6, 5, [125, 10]]]
+    });
+    const encoded = jpeg.encode({ width: stored.width, height: stored.height, data: Buffer.from(stored.data) }, 95).data;
+    const app1 = Buffer.concat([Buffer.from([0xFF, 0xE1, (tiff.length + 8) >> 8, (tiff.length + 8) & 255]), Buffer.from('Exif\0\0', 'latin1'), tiff]);
+    const bytes = Buffer.concat([encoded.subarray(0, 2), app1, encoded.subarray(2)]);
+
+    const metadata = MetadataReader.read(bytes);
+    checks.push(['JPEG EXIF fields are read', metadata.format === 'jpeg' && metadata.orientation === 6 &&
+        metadata.cameraMake === 'Acme' && metadata.cameraModel === 'Phone 5' &&
+        metadata.capturedAt === '2024-05-01T12:34:56+02:00' && metadata.byteSize === bytes.length]);
+    checks.push(['GPS becomes signed degrees', Math.abs(metadata.gps.latitude - 51.5) < 1e-9 &&
+        Math.abs(metadata.gps.longitude + 7.5) < 1e-9 && metadata.gps.altitude === 12.5]);
+
+    const pixels = jpeg.decode(bytes, { useTArray: true });
+    const uprightFingerprint = await matcher.processImage(upright, 'upright');
+    const rotated = await matcher.processImage(pixels, 'exif-rotated', { bytes });
+    const ignored = await new ImageMatcher({ useWorkers: false }).processImage(pixels, 'exif-ignored');
+    checks.push([`Orientation applied before hashing (${matcher.compareImages(uprightFingerprint, rotated).overall.toFixed(3)} vs ` +
+        `${matcher.compareImages(uprightFingerprint, ignored).overall.toFixed(3)} without)`,
+        rotated.width === 96 && rotated.height === 64 && matcher.compareImages(uprightFingerprint, rotated).overall > 0.9 &&
+        matcher.compareImages(uprightFingerprint, ignored).overall < 0.8]);
+    checks.push(['Fingerprint has the real byte size and metadata', rotated.fileSize === bytes.length &&
+        rotated.metadata.cameraModel === 'Phone 5' && ignored.fileSize === 0 && ignored.metadata === null]);
+
+    // PNG eXIf chunk and WebP XMP (XMP only fills what EXIF lacks)
+    const chunk = (type, data) => {
+        const header = Buffer.alloc(8);
+        header.writeUInt32BE(data.length, 0);
+        header.write(type, 4, 'latin1');
+        return Buffer.concat([header, data, Buffer.alloc(4)]);
+    };
+    const png = Buffer.concat([Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'),
+        chunk('eXIf', Buffer.from(createTiff({ ifd0: [[0x0112, 3, [3]]] }))), chunk('IEND', Buffer.alloc(0))]);
+    const xmp = Buffer.from('<x:xmpmeta><rdf:Description tiff:Orientation="8" tiff:Model="Cam" ' +
+        'exif:GPSLatitude="51,30.6N" exif:GPSLongitude="0,7.5W"><exif:DateTimeOriginal>2024-05-01T12:35:30</exif:DateTimeOriginal>' +
+        '</rdf:Description></x:xmpmeta>');
+    const webpChunk = Buffer.alloc(8);
+    webpChunk.write('XMP ', 0, 'latin1');
+    webpChunk.writeUInt32LE(xmp.length, 4);
+    const webp = Buffer.concat([Buffer.from('RIFF\0\0\0\0WEBP', 'latin1'), webpChunk, xmp]);
+    const fromPng = MetadataReader.read(png);
+    const fromWebp = MetadataReader.read(webp);
+    checks.push(['PNG eXIf orientation is read', fromPng.format === 'png' && fromPng.orientation === 3]);
+    checks.push(['WebP XMP fields are read', fromWebp.format === 'webp' && fromWebp.orientation === 8 &&
+        fromWebp.cameraModel === 'Cam' && fromWebp.capturedAt === '2024-05-01T12:35:30' &&
+        Math.abs(fromWebp.gps.latitude - 51.51) < 1e-9 && Math.abs(fromWebp.gps.longitude + 0.125) < 1e-9]);
+    checks.push(['Truncated and unknown files do not throw', MetadataReader.read(bytes.subarray(0, 40)).orientation === 1 &&
+        MetadataReader.read(new Uint8Array(4)).format === null]);
+
+    // Optional metadata term: off by default, close in time and place when enabled
+    const near = { capturedAt: '2024-05-01T12:35:30', cameraMake: 'Acme', cameraModel: 'Phone 5', gps: { latitude: 51.5, longitude: -7.5005 } };
+    const metadataScore = matcher.compareMetadata(metadata, near);
+    const withMetadata = matcher.compareImages(rotated, rotated, { weights: { metadata: 0.2 } });
+    checks.push([`Nearby shot from the same camera scores ${metadataScore.toFixed(3)}`, metadataScore > 0.8 &&
+        matcher.compareMetadata(metadata, { ...near, capturedAt: '2024-05-02T12:35:30' }) < metadataScore &&
+        matcher.compareMetadata(null, metadata) === 0.5]);
+    checks.push(['Metadata term is opt-in', matcher.compareImages(rotated, rotated).details.metadata === undefined &&
+        withMetadata.details.metadata === 1]);
+
+    runChecks('Metadata', checks);
+}
+
+async function testDominantColors() {
+    console.log('\n22. Testing deterministic dominant colors and palette distance...');
+
+    const matcher = new ImageMatcher({ useWorkers: false });
+    const checks = [];
+    const fill = (width, height, colorAt) => {
+        const data = new Uint8ClampedArray(width * height * 3);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) data.set(colorAt(x, y), (y * width + x) * 3);
+        }
+        return matcher.toPixelBuffer({ width, height, data });
+    };
+
+    const scene = matcher.toPixelBuffer(createSceneImage(200, 150, 3));
+    const palette = matcher.extractDominantColors(scene);
+    checks.push(['Same image, same palette (new matcher)', JSON.stringify(palette) === JSON.stringify(new ImageMatcher().extractDominantColors(scene))]);
+    checks.push(['No Math.random left in the library', !fs.readFileSync(path.join(__dirname, 'image-matcher.js'), 'utf8').includes('Math.random')]);
+    checks.push(['Colors carry Lab values and shares, largest first', palette.length === 5 &&
+        palette.every((color, i) => color.lab.length === 3 && (i === 0 || color.share <= palette[i - 1].share)) &&
+        Math.abs(palette.reduce((sum, color) => sum + color.share, 0) - 1) < 1e-9]);
+
+    // Two flat colors: exactly two entries with their pixel shares
+    const redBlue = fill(200, 100, x => (x < 150 ? [200, 30, 30] : [20, 40, 220]));
+    const twoColors = matcher.extractDominantColors(redBlue);
+    checks.push(['Flat two-color image gives two colors with 75/25 shares', twoColors.length === 2 &&
+        twoColors[0].r === 200 && twoColors[0].g === 30 && Math.abs(twoColors[0].share - 0.75) < 0.01]);
+
+    // EMD: moving half of a palette from red to blue costs half the red-blue delta E
+    const red = { r: 255, g: 0, b: 0 };
+    const blue = { r: 0, g: 0, b: 255 };
+    const halfway = matcher.colorDistance(matcher.rgbToLab(255, 0, 0), matcher.rgbToLab(0, 0, 255)) / 2;
+    checks.push(['EMD of a half-moved palette', Math.abs(matcher.paletteDistance([red], [{ ...red, share: 0.5 }, { ...blue, share: 0.5 }]) - halfway) < 1e-9]);
+
+    // Palette term: opt-in weight, low for recolored copies
+    const redGreen = fill(200, 100, x => (x < 150 ? [200, 30, 30] : [30, 200, 30]));
+    const [blueFingerprint, greenFingerprint] = await Promise.all([
+        matcher.processImage(redBlue, 'red-blue'),
+        matcher.processImage(redGreen, 'red-green')
+    ]);
+    const weighted = matcher.compareImages(blueFingerprint, greenFingerprint, { weights: { palette: 0.2 } });
+    checks.push([`Recolored copy scores palette ${weighted.details.palette.toFixed(3)}`, weighted.details.palette < 0.5 &&
+        matcher.compareImages(blueFingerprint, blueFingerprint, { weights: { palette: 0.2 } }).details.palette === 1 &&
+        matcher.compareImages(blueFingerprint, greenFingerprint).details.palette === undefined]);
+
+    runChecks('Dominant color', checks);
+}
+
+async function testHistogramOptions() {
+    console.log('\n23. Testing binned histograms and histogram metrics...');
+
+    const matcher = new ImageMatcher({ useWorkers: false });
+    const checks = [];
+    const fill = (width, height, colorAt) => {
+        const data = new Uint8ClampedArray(width * height * 3);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) data.set(colorAt(x, y), (y * width + x) * 3);
+        }
+        return matcher.toPixelBuffer({ width, height, data });
+    };
+
+    // Binned layouts are small and sum to 1
+    const scene = matcher.toPixelBuffer(createSceneImage(120, 90, 5));
+    const hsv = matcher.computeColorHistogram(scene, { space: 'hsv', bins: [8, 8, 8] });
+    const lab = matcher.computeColorHistogram(scene, { space: 'lab', bins: [8, 8, 8] });
+    const sum = values => values.reduce((a, b) => a + b, 0);
+    checks.push(['HSV and LAB histograms have 512 bins summing to 1', hsv.values.length === 512 && lab.values.length === 512 &&
+        Math.abs(sum(hsv.values) - 1) < 1e-4 && Math.abs(sum(lab.values) - 1) < 1e-4]);
+    const gradient = fill(256, 64, (x, y) => [x, (x + y * 3) % 256, 255 - x]);
+    const binnedSize = JSON.stringify(matcher.computeColorHistogram(gradient, { space: 'hsv', bins: [8, 8, 8] })).length;
+    const channelSize = JSON.stringify(matcher.computeColorHistogram(gradient)).length;
+    checks.push([`Binned histogram JSON is smaller (${binnedSize} vs ${channelSize} bytes)`, binnedSize * 3 < channelSize]);
+
+    // Every metric is 1 for identical and within 0-1 for disjoint colors
+    const red = fill(40, 40, () => [220, 20, 20]);
+    const blue = fill(40, 40, () => [20, 20, 220]);
+    for (const metric of ImageMatcher.HISTOGRAM_METRICS) {
+        const scores = [{ space: 'rgb', bins: null }, { space: 'hsv', bins: [8, 8, 8] }].map(config => {
+            const h1 = matcher.computeColorHistogram(red, config);
+            const h2 = matcher.computeColorHistogram(blue, config);
+            return [matcher.compareHistograms(h1, h1, metric), matcher.compareHistograms(h1, h2, metric)];
+        });
+        checks.push([`${metric}: identical ${scores.map(s => s[0].toFixed(2)).join('/')}, disjoint ${scores.map(s => s[1].toFixed(2)).join('/')}`,
+            scores.every(([same, different]) => Math.abs(same - 1) < 1e-9 && different >= 0 && different < 0.5)]);
+    }
+
+    // Anti-correlated histograms no longer go negative
+    const dark = fill(40, 40, x => (x < 20 ? [10, 10, 10] : [30, 30, 30]));
+    const light = fill(40, 40, x => (x < 20 ? [200, 200, 200] : [240, 240, 240]));
+    checks.push(['Correlation is clamped to 0', matcher.compareHistograms(matcher.computeColorHistogram(dark), matcher.computeColorHistogram(light)) >= 0]);
+    // ...and an anti-correlated channel scores 0 rather than cancelling a matching one
+    const channels = matcher.computeColorHistogram(scene);
+    const inverted = { ...channels, r: channels.r.map(value => 1 - value) };
+    const perChannel = matcher.compareHistograms(channels, inverted);
+    checks.push([`Correlation is clamped per channel (${perChannel.toFixed(3)})`, Math.abs(perChannel - 2 / 3) < 1e-9]);
+
+    // Matcher option: stored fingerprints use the configured layout and metric
+    const hsvMatcher = new ImageMatcher({ useWorkers: false, histogram: { space: 'hsv', metric: 'intersection' } });
+    const [fp1, fp2] = await Promise.all([hsvMatcher.processImage(red, 'red'), hsvMatcher.processImage(scene, 'scene')]);
+    const result = hsvMatcher.compareImages(fp1, fp2);
+    checks.push(['Matcher stores HSV 8x8x8 histograms and scores them', fp1.colorHistogram.space === 'hsv' &&
+        fp1.colorHistogram.bins.join() === '8,8,8' && result.details.histogram >= 0 && result.details.histogram <= 1 &&
+        !matcher.hasFeatures(fp1)]);
+
+    let threw = 0;
+    for (const histogram of [{ space: 'xyz' }, { metric: 'euclidean' }, { space: 'lab', bins: [8, 0, 8] }, { space: 'hsv', bins: null }]) {
+        try {
+            new ImageMatcher({ histogram });
+        } catch (error) {
+            threw++;
+        }
+    }
+    try {
+        matcher.compareHistograms(hsv, matcher.computeColorHistogram(scene));
+    } catch (error) {
+        threw++;
+    }
+    checks.push(['Invalid options and mismatched layouts throw', threw === 5]);
+
+    runChecks('Histogram', checks);
+}
+
+async function testExplain() {
+    console.log('\n24. Testing explainable comparison reports...');
+
+    const matcher = new ImageMatcher({ useWorkers: false, orientations: true, weights: { palette: 0.1 } });
+    const checks = [];
+    const scene = matcher.toPixelBuffer(createSceneImage(160, 120, 11));
+
+    // Paint the top-right quarter white
+    const edited = { width: 160, height: 120, data: Uint8ClampedArray.from(scene.data) };
+    for (let y = 0; y < 60; y++) {
+        edited.data.fill(255, (y * 160 + 80) * 4, (y * 160 + 160) * 4);
+    }
+
+    const [original, changed, rotated] = await Promise.all([
+        matcher.processImage(scene, 'scene'),
+        matcher.processImage(edited, 'edited'),
+        matcher.processImage(matcher.orientImageData(scene, 'rotate90'), 'rotated')
+    ]);
+    const report = matcher.explain(original, changed, { heatmap: { width: 80, height: 60 } });
+
+    checks.push(['Report includes the compareImages result', report.overall === matcher.compareImages(original, changed).overall]);
+    checks.push(['Mask bits agree with the Hamming distances', ['aHash', 'dHash', 'pHash', 'edgeHash'].every(name => {
+        const entry = report.algorithms[name];
+        return entry.mask.length === entry.bits && entry.distance === matcher.hammingDistance(original[name], changed[name]) &&
+            entry.grid.width * entry.grid.height === entry.bits;
+    })]);
+    const contributions = Object.values(report.algorithms).reduce((sum, entry) => sum + entry.contribution, 0);
+    checks.push(['Weighted contributions add up to the overall score', Math.abs(contributions - report.overall) < 1e-9]);
+
+    // dHash compares neighbouring cells, so its changes stay in the edited quarter
+    const dHash = report.algorithms.dHash;
+    const outside = Array.from(dHash.mask).filter((bit, i) => bit && !(i % 8 >= 3 && i < 32)).length;
+    checks.push([`dHash differences are in the edited region (${dHash.distance} cells, ${outside} outside)`, dHash.distance > 0 && outside === 0]);
+
+    const heatmap = report.heatmap;
+    const alphaAt = (x, y) => heatmap.data[(y * heatmap.width + x) * 4 + 3];
+    checks.push(['Heatmap is hot in the edited region only', heatmap.width === 80 && heatmap.height === 60 &&
+        alphaAt(60, 10) > alphaAt(10, 50)]);
+
+    const palette = report.palette;
+    const moved = palette.flows.reduce((sum, flow) => sum + flow.share, 0);
+    const cost = palette.flows.reduce((sum, flow) => sum + flow.share * flow.deltaE, 0);
+    checks.push(['Palette flows move all share and cost the EMD', Math.abs(moved - 1) < 1e-6 && Math.abs(cost - palette.distance) < 1e-6 &&
+        Math.abs(palette.similarity - report.details.palette) < 1e-12]);
+
+    // Masks are taken after the best orientation is applied
+    const turned = matcher.explain(original, rotated);
+    checks.push(['Rotated copy explains with its orientation applied', turned.orientation === 'rotate270' &&
+        turned.algorithms.aHash.distance <= 2 && turned.heatmap === null]);
+
+    runChecks('Explain', checks);
+}
+
+async function testCalibration() {
+    console.log('\n25. Testing threshold and weight calibration...');
+
+    const { calibrate, evaluateScores, fitLogistic, solveLinear } = require('./calibrate');
+    const matcher = new ImageMatcher({ useWorkers: false });
+    const checks = [];
+
+    // ROC of a perfectly separating score, and of a useless one
+    const labels = [true, true, false, false];
+    const perfect = evaluateScores([0.9, 0.8, 0.4, 0.3], labels);
+    checks.push(['Separating score: AUC 1 and a threshold between the classes', perfect.auc === 1 &&
+        Math.abs(perfect.threshold - 0.6) < 1e-12 && perfect.precision === 1 && perfect.recall === 1]);
+    checks.push(['Constant score: AUC 0.5', evaluateScores([0.5, 0.5, 0.5, 0.5], labels).auc === 0.5]);
+    const ranked = evaluateScores([0.9, 0.6, 0.7, 0.3], labels);
+    checks.push(['One swapped pair: AUC 0.75', ranked.auc === 0.75 && ranked.roc.length === 4]);
+
+    // A rejected pair (-Infinity) is never accepted, whatever the threshold
+    const rejected = evaluateScores([0.9, -Infinity, 0.7, 0.3], labels);
+    checks.push(['Rejected pairs stay below every threshold', Math.abs(rejected.threshold - 0.8) < 1e-12 &&
+        rejected.recall === 0.5 && rejected.roc.every(point => isFinite(point.threshold))]);
+
+    // Linear solves, including the singular systems duplicate features produce
+    const x = solveLinear([[2, 1], [1, 3]], [3, 5]);
+    const singular = solveLinear([[1, 1], [1, 1]], [2, 2]);
+    checks.push(['solveLinear solves regular and singular systems', Math.abs(x[0] - 0.8) < 1e-12 &&
+        Math.abs(x[1] - 1.4) < 1e-12 && singular.every(isFinite) && Math.abs(singular[0] + singular[1] - 2) < 1e-12]);
+
+    // Logistic regression ranks by the informative feature and survives a singular Hessian
+    const model = fitLogistic([[0.1], [0.3], [0.4], [0.6], [0.7], [0.9]], [false, false, true, false, true, true]);
+    const twins = fitLogistic([[0.1, 0.1], [0.3, 0.3], [0.4, 0.4], [0.6, 0.6], [0.7, 0.7], [0.9, 0.9]],
+        [false, false, true, false, true, true], { regularization: 0 });
+    checks.push([`fitLogistic: coefficient ${model.coefficients[0].toFixed(2)}, duplicate features ${twins.coefficients.map(c => c.toFixed(2)).join('/')}`,
+        model.coefficients[0] > 0 && twins.coefficients.every(isFinite) && twins.coefficients[0] + twins.coefficients[1] > 0]);
+
+    // Same: brightened copies. Different: other scenes.
+    const pairs = [];
+    for (let k = 0; k < 6; k++) {
+        const scene = createSceneImage(96, 72, k + 1);
+        const brighter = { ...scene, data: scene.data.map(value => Math.min(255, value + 30)) };
+        await matcher.processImage(scene, `scene-${k}`);
+        await matcher.processImage(brighter, `bright-${k}`);
+        pairs.push({ a: `scene-${k}`, b: `bright-${k}`, same: true });
+        if (k > 0) pairs.push({ a: `scene-${k}`, b: `bright-${k - 1}`, same: false });
+    }
+    pairs.push({ a: 'scene-0', b: 'bright-5', same: false });
+
+    const result = calibrate(matcher, pairs);
+    const weights = Object.values(result.config.weights);
+    checks.push([`Per-algorithm ROC (pHash AUC ${result.algorithms.pHash.auc.toFixed(2)})`,
+        result.positives === 6 && result.negatives === 6 && result.algorithms.pHash.roc.length > 0 &&
+        result.algorithms.aspectRatio.auc === 0.5]);
+    checks.push(['Fitted weights are non-negative and sum to 1', weights.every(weight => weight >= 0) &&
+        Math.abs(weights.reduce((sum, weight) => sum + weight, 0) - 1) < 1e-3 && result.config.weights.aspectRatio < 0.05]);
+
+    // The exported config loads into ImageMatcher and reproduces the fitted separation
+    const calibrated = new ImageMatcher({ useWorkers: false, ...JSON.parse(JSON.stringify(result.config)) });
+    const correct = pairs.filter(pair => {
+        const score = calibrated.compareImages(matcher.cache.get(pair.a), matcher.cache.get(pair.b)).overall;
+        return (score >= calibrated.scoring.threshold) === pair.same;
+    }).length;
+    checks.push([`Loaded config classifies ${correct}/${pairs.length} pairs (fitted F1 ${result.fitted.f1.toFixed(2)})`,
+        calibrated.scoring.threshold === result.config.threshold && correct >= pairs.length - 1]);
+
+    let threw = 0;
+    for (const bad of [[{ a: 'scene-0', b: 'bright-0', same: true }], [{ a: 'scene-0', b: 'missing', same: false }], [{ a: 'scene-0', b: 'bright-0' }]]) {
+        try {
+            calibrate(matcher, bad);
+        } catch (error) {
+            threw++;
+        }
+    }
+    checks.push(['One-class, unknown and unlabeled pairs throw', threw === 3]);
+
+    // Disabled algorithms are left out rather than scored as NaN
+    const fingerprintPairs = pairs.map(pair => ({ ...pair, a: matcher.cache.get(pair.a), b: matcher.cache.get(pair.b) }));
+    const noHistogram = calibrate(new ImageMatcher({ useWorkers: false, algorithms: { histogram: false } }), fingerprintPairs);
+    checks.push(['Disabled algorithms are not calibrated', !('histogram' in noHistogram.algorithms) &&
+        noHistogram.model.coefficients.every(isFinite) && noHistogram.config.weights.histogram === 0]);
+
+    // Minimums carry over into the config, and the threshold is chosen with their rejections
+    const strict = new ImageMatcher({ useWorkers: false, profile: 'similar', minSimilarity: { pHash: 0.98 } });
+    const strictResult = calibrate(strict, fingerprintPairs);
+    const passing = fingerprintPairs.filter(pair => pair.same && !strict.compareImages(pair.a, pair.b).rejectedBy).length;
+    checks.push([`Config keeps profile and minSimilarity (${passing}/6 same pairs pass the minimum)`,
+        strictResult.config.profile === 'similar' && strictResult.config.minSimilarity.pHash === 0.98 &&
+        strictResult.fitted.recall <= passing / 6 && strictResult.combined.recall <= passing / 6 &&
+        new ImageMatcher(strictResult.config).scoring.minSimilarity.pHash === 0.98]);
+
+    runChecks('Calibration', checks);
+}
+
+async function testFingerprintExport() {
+    console.log('\n26. Testing fingerprint export and import...');
+
+    const options = { useWorkers: false, orientations: true, crops: true };
+    const crawler = new ImageMatcher(options);
+    const checks = [];
+    const scene = createSceneImage(160, 120, 21);
+    const copy = { ...scene, data: scene.data.map(value => Math.max(0, value - 20)) };
+    await crawler.processImage(scene, 'scene');
+    await crawler.processImage(copy, 'copy');
+    await crawler.processImage(createSceneImage(160, 120, 22), 'other');
+
+    const json = crawler.exportFingerprints();
+    const binary = crawler.exportFingerprints(null, { format: 'binary' });
+    checks.push(['JSON export carries format, version and parameters', json.format === ImageMatcher.EXPORT_FORMAT &&
+        json.version === ImageMatcher.FINGERPRINT_VERSION && json.parameters.hashBits.edgeHash === 49 && json.count === 3]);
+    checks.push([`Binary export is compact (${binary.length} vs ${JSON.stringify(json).length} bytes)`,
+        binary instanceof Uint8Array && binary.length * 2 < JSON.stringify(json).length]);
+
+    // Another matcher compares imported fingerprints exactly like the original
+    const expected = crawler.compareImages(crawler.cache.get('scene'), crawler.cache.get('copy'));
+    for (const [label, data] of [['JSON text', JSON.stringify(json)], ['binary', binary.buffer]]) {
+        const extension = new ImageMatcher(options);
+        const [a, b] = extension.importFingerprints(data);
+        const result = extension.compareImages(a, b);
+        const groups = await extension.findSimilarImages([{ id: 'scene' }, { id: 'copy' }, { id: 'other' }], 0.8);
+        checks.push([`Imported ${label} compares the same (${result.overall.toFixed(4)})`,
+            Math.abs(result.overall - expected.overall) < 1e-6 && result.orientation === expected.orientation &&
+            groups.length === 1 && groups[0].count === 2]);
+    }
+
+    const rejects = (label, action, pattern) => {
+        try {
+            action();
+            checks.push([`${label} is rejected`, false]);
+        } catch (error) {
+            checks.push([`${label} is rejected: ${error.message.slice(0, 70)}...`, pattern.test(error.message)]);
+        }
+    };
+    const importer = new ImageMatcher(options);
+    rejects('Other fingerprint version', () => importer.importFingerprints({ ...json, version: 2 }), /version 2/);
+    rejects('Other hash size', () => importer.importFingerprints({ ...json, parameters: { ...json.parameters, hashBits: { ...json.parameters.hashBits, pHash: 256 } } }), /pHash bits/);
+    rejects('Other histogram layout', () => new ImageMatcher({ histogram: { space: 'lab' } }).importFingerprints(json), /histogram layout/);
+    rejects('Malformed hash', () => importer.importFingerprints({ ...json, count: 1, fingerprints: [{ ...json.fingerprints[0], aHash: 'xyz' }] }), /"scene": aHash/);
+    rejects('Truncated binary', () => importer.importFingerprints(binary.slice(0, binary.length - 10)), /truncated/);
+    checks.push(['Nothing is imported after an error', importer.cache.size === 0]);
+
+    // Hashes of different sizes never compare silently
+    const legacy = { ...json.fingerprints[0], id: 'legacy', pHash: new ImageMatcher.PackedHash(32) };
+    rejects('Comparing mismatched hash sizes', () => crawler.compareImages(crawler.cache.get('scene'), legacy, { orientations: false, crops: false }), /incompatible/);
+
+    runChecks('Export', checks);
+}
+
+async function testVideo() {
+    console.log('\n27. Testing video fingerprints...');
+
+    const matcher = new ImageMatcher({ useWorkers: false });
+    const checks = [];
+
+    // A 12 s "movie" of six 2 s shots; the second second of each shot drifts slightly
+    const shot = (seed, t) => {
+        const frame = createSceneImage(96, 72, seed);
+        return { ...frame, data: frame.data.map(value => Math.min(255, value + t * 6)) };
+    };
+    const movie = [];
+    for (let n = 0; n < 12; n++) movie.push(shot(100 + Math.floor(n / 2), n % 2));
+    const movieFingerprint = await matcher.processVideo(movie, 'movie', { interval: 1 });
+
+    // A clip trimmed from 4 s to 10 s, extracted at 2 frames per second
+    const clipFrames = [];
+    for (let n = 8; n < 20; n++) {
+        clipFrames.push({ time: (n - 8) / 2, image: shot(100 + Math.floor(n / 4), Math.floor(n / 2) % 2) });
+    }
+    const clip = await matcher.processVideo({ frames: clipFrames, duration: 6 }, 'clip', { interval: 1 });
+    checks.push(['Pre-extracted frames are thinned to the interval',
+        clip.video.frames.length === 6 && clip.video.frames.map(frame => frame.time).join() === '0,1,2,3,4,5' &&
+        clip.video.duration === 6 && movieFingerprint.video.frames.length === 12]);
+
+    const aligned = matcher.compareImages(movieFingerprint, clip);
+    const segment = aligned.video.segments[0];
+    checks.push([`Trimmed clip is found at its offset (${aligned.overall.toFixed(3)}, offset ${aligned.video.offset} s, ` +
+        `${segment.start1}-${segment.end1} s)`, aligned.overall > 0.85 && aligned.video.offset === -4 &&
+        segment.start1 === 4 && segment.end1 === 10 && segment.start2 === 0 && segment.frames === 6 && aligned.video.coverage === 1]);
+
+    const unrelatedFrames = [201, 202, 203, 204, 205, 206].map(seed => shot(seed, 0));
+    const unrelated = await matcher.processVideo(unrelatedFrames, 'unrelated');
+    const apart = matcher.compareImages(movieFingerprint, unrelated);
+    checks.push([`Unrelated videos share no segment (${apart.overall.toFixed(3)})`, apart.video.segments.length === 0 && apart.overall === 0]);
+
+    // A still taken from the movie matches the keyframe it came from, in either order
+    const still = await matcher.processImage(shot(103, 0), 'still');
+    const frameMatch = matcher.compareImages(still, movieFingerprint);
+    const swapped = matcher.compareImages(movieFingerprint, still);
+    checks.push([`A still matches its keyframe (${frameMatch.overall.toFixed(3)} at ${frameMatch.video.time} s)`,
+        frameMatch.video.time === 6 && frameMatch.details.dHash === 1 && swapped.overall === frameMatch.overall]);
+    checks.push(['Two images have no video result', matcher.compareImages(still, still).video === null]);
+
+    // Clips are grouped together with images
+    const groups = await matcher.findSimilarImages([
+        { id: 'movie', type: 'video', src: movie },
+        { id: 'still', src: shot(103, 0) },
+        { id: 'unrelated', type: 'video', src: unrelatedFrames },
+        { id: 'clip', type: 'video', src: { frames: clipFrames, duration: 6 }, interval: 1 },
+        { id: 'other', src: createSceneImage(96, 72, 300) }
+    ], 0.7);
+    const grouped = groups.length === 1 ? groups[0].images.map(image => image.id).sort().join() : '';
+    checks.push([`Videos and images share groups (${grouped})`, grouped === 'clip,movie,still']);
+
+    // Video fingerprints survive export and import
+    const importer = new ImageMatcher({ useWorkers: false });
+    for (const format of ['json', 'binary']) {
+        const [movieCopy, clipCopy] = importer.importFingerprints(matcher.exportFingerprints(['movie', 'clip'], { format }));
+        const result = importer.compareImages(movieCopy, clipCopy);
+        checks.push([`Video fingerprints round-trip as ${format}`,
+            Math.abs(result.overall - aligned.overall) < 1e-6 && result.video.offset === -4 && clipCopy.video.frames.length === 6]);
+    }
+
+    try {
+        await matcher.processVideo('clip.mp4', 'file');
+        checks.push(['Video files without a browser are rejected', false]);
+    } catch (error) {
+        checks.push(['Video files without a browser are rejected', /pre-extracted frames/.test(error.message)]);
+    }
+
+    runChecks('Video', checks);
+}
+
+async function testImageInputs() {
+    console.log('\n28. Testing image input adapters...');
+
+    // File is global from Node 20
+    if (typeof File === 'undefined') {
+        console.log(`   ⏭️  Skipped: Node ${process.versions.node} has no global File`);
+        return;
+    }
+
+    const jpeg = require('jpeg-js');
+    const { decodeImageBuffer } = require('./decode-image');
+    const matcher = new ImageMatcher({ useWorkers: false, decoder: decodeImageBuffer });
+    const checks = [];
+
+    const scene = createSceneImage(120, 90, 31);
+    const rgba = new Uint8Array(120 * 90 * 4);
+    for (let i = 0; i < 120 * 90; i++) {
+        rgba.set(scene.data.subarray(i * 3, i * 3 + 3), i * 4);
+        rgba[i * 4 + 3] = 255;
+    }
+    const encoded = new Uint8Array(jpeg.encode({ width: 120, height: 90, data: Buffer.from(rgba) }, 90).data);
+    const reference = await matcher.processImage(encoded, 'reference');
+
+    // Every encoded form decodes to the same fingerprint and metadata
+    const inputs = [
+        ['ArrayBuffer', encoded.slice().buffer],
+        ['Blob', new Blob([encoded], { type: 'image/jpeg' })],
+        ['File', new File([encoded], 'holiday.jpg', { type: 'image/jpeg', lastModified: 1700000000000 })],
+        ['data URL', `data:image/jpeg;base64,${Buffer.from(encoded).toString('base64')}`]
+    ];
+    for (const [label, input] of inputs) {
+        const fingerprint = await matcher.processImage(input, `input-${label}`);
+        checks.push([`${label} input matches the bytes`, fingerprint.pHash.equals(reference.pHash) &&
+            fingerprint.width === 120 && fingerprint.metadata.format === 'jpeg' && fingerprint.fileSize === encoded.length]);
+    }
+
+    // Generated ids are stable across matchers and name Files by path, size and date
+    const other = new ImageMatcher({ useWorkers: false, decoder: decodeImageBuffer });
+    const blobId = (await matcher.identifyImage(new Blob([encoded]))).id;
+    const dataId = (await other.identifyImage(inputs[3][1])).id;
+    const fileId = (await matcher.identifyImage(inputs[2][1])).id;
+    checks.push([`Encoded inputs get a content id (${blobId})`, /^bytes:/.test(blobId) && blobId === dataId]);
+    checks.push([`Files are named by path, size and date (${fileId})`, fileId === `file:holiday.jpg:${encoded.length}:1700000000000`]);
+    const pixelsId = (await matcher.identifyImage(scene)).id;
+    checks.push(['Pixel buffers get a pixel hash id', /^pixels:/.test(pixelsId) && pixelsId === (await other.identifyImage({ ...scene })).id]);
+
+    const anonymous = await matcher.processImage(new Blob([encoded]));
+    checks.push(['processImage without an id caches under the generated id', anonymous.id === blobId && matcher.cache.get(blobId) === anonymous]);
+
+    const groups = await other.findSimilarImages([
+        { src: new Blob([encoded]) },
+        { src: encoded.slice().buffer },
+        { src: createSceneImage(120, 90, 32) }
+    ], 0.9);
+    const ids = groups.length === 1 ? groups[0].images.map(image => image.id) : [];
+    checks.push([`Identical inputs without ids are numbered (${ids.join(', ')})`, ids.length === 2 && ids[1] === `${ids[0]}#2`]);
+
+    // Failures are typed and carry the image id
+    const failure = async (label, action, check) => {
+        try {
+            await action();
+            checks.push([`${label} fails`, false]);
+        } catch (error) {
+            checks.push([`${label}: ${error.name} (${error.code}) ${error.message.slice(0, 60)}...`, error instanceof ImageMatcher.ImageLoadError && check(error)]);
+        }
+    };
+    await failure('Corrupt bytes', () => matcher.processImage(new Uint8Array([1, 2, 3, 4]), 'corrupt'),
+        error => error.code === 'decode' && error.imageId === 'corrupt' && /"corrupt"/.test(error.message));
+    await failure('Unsupported input', () => matcher.processImage(42, 'number'),
+        error => error.code === 'unsupported' && error.imageId === 'number');
+    await failure('Encoded bytes without a decoder', () => new ImageMatcher({ useWorkers: false }).processImage(encoded, 'no-decoder'),
+        error => error.code === 'unsupported' && /decoder/.test(error.message));
+    await failure('Malformed data URL', () => matcher.processImage('data:image/png;base64', 'bad-url'),
+        error => error.code === 'decode' && error.imageId === 'bad-url');
+    const cors = new ImageMatcher.CrossOriginError('blocked', { imageId: 'remote' });
+    checks.push(['CrossOriginError is an ImageLoadError with code cors', cors instanceof ImageMatcher.ImageLoadError && cors.code === 'cors' && cors.imageId === 'remote']);
+
+    runChecks('Input', checks);
+}
+
+async function testFailureIsolation() {
+    console.log('\n29. Testing per-image failure isolation...');
+
+    const http = require('http');
+    const jpeg = require('jpeg-js');
+    const { decodeImageBuffer } = require('./decode-image');
+    const checks = [];
+
+    const encode = (seed) => {
+        const scene = createSceneImage(96, 72, seed);
+        const rgba = Buffer.alloc(96 * 72 * 4, 255);
+        for (let i = 0; i < 96 * 72; i++) scene.data.subarray(i * 3, i * 3 + 3).forEach((value, c) => { rgba[i * 4 + c] = value; });
+        return new Uint8Array(jpeg.encode({ width: 96, height: 72, data: rgba }, 90).data);
+    };
+    const photo = encode(41);
+
+    // /flaky.jpg fails once before it is served; /missing.jpg never is
+    const requests = {};
+    const server = http.createServer((req, res) => {
+        requests[req.url] = (requests[req.url] || 0) + 1;
+        if (req.url === '/photo.jpg' || (req.url === '/flaky.jpg' && requests[req.url] > 1)) {
+            res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+            res.end(Buffer.from(photo));
+        } else {
+            res.writeHead(req.url === '/flaky.jpg' ? 503 : 404);
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        const slow = encode(42);
+        const decoder = async (bytes) => {
+            if (bytes === slow) await new Promise(resolve => setTimeout(resolve, 300));
+            return decodeImageBuffer(bytes);
+        };
+        const matcher = new ImageMatcher({ useWorkers: false, decoder });
+        const images = [
+            { id: 'photo', src: `${base}/photo.jpg` },
+            { id: 'missing', src: `${base}/missing.jpg` },
+            { id: 'flaky', src: `${base}/flaky.jpg` },
+            { id: 'corrupt', src: new Uint8Array([0xff, 0xd8, 1, 2, 3]) },
+            { id: 'slow', src: slow },
+            { id: 'other', src: encode(43) }
+        ];
+
+        const progressFailures = [];
+        const job = matcher.createJob(images, 0.9, {
+            timeout: 150,
+            retries: 1,
+            retryDelay: 10,
+            progressCallback: (progress) => {
+                if (progress.failure) progressFailures.push(progress.failure.id);
+            }
+        });
+        const groups = await job.start();
+        const failures = {};
+        for (const failure of groups.failures) failures[failure.id] = failure;
+
+        checks.push([`The run finishes with the images that loaded (${groups.map(group => group.images.map(image => image.id).join('+')).join(', ')})`,
+            groups.length === 1 && groups[0].images.map(image => image.id).join() === 'photo,flaky']);
+        checks.push([`Failed images are reported (${Object.keys(failures).join(', ')})`,
+            Object.keys(failures).sort().join() === 'corrupt,missing,slow' && progressFailures.length === 3 && job.failures.length === 3]);
+        checks.push([`Load errors are retried (missing: ${failures.missing.phase}, ${failures.missing.attempts} attempts)`,
+            failures.missing.phase === 'loading' && failures.missing.code === 'load' && failures.missing.attempts === 2 &&
+            requests['/missing.jpg'] === 2 && requests['/flaky.jpg'] === 2]);
+        checks.push([`Undecodable images are not retried (corrupt: ${failures.corrupt.phase})`,
+            failures.corrupt.phase === 'decoding' && failures.corrupt.attempts === 1 &&
+            failures.corrupt.error instanceof ImageMatcher.ImageLoadError && failures.corrupt.error.imageId === 'corrupt']);
+        checks.push([`Slow images time out (slow: ${failures.slow.reason})`,
+            failures.slow.code === 'timeout' && failures.slow.attempts === 2 && /Timed out after 150 ms/.test(failures.slow.reason)]);
+        checks.push(['Failed images are not cached', !matcher.cache.has('missing') && !matcher.cache.has('slow') && matcher.cache.has('flaky')]);
+
+        // Without a failures list, fingerprintImages still rejects on the first failure
+        try {
+            await new ImageMatcher({ useWorkers: false, decoder }).fingerprintImages([images[3]]);
+            checks.push(['fingerprintImages without a failures list rejects', false]);
+        } catch (error) {
+            checks.push(['fingerprintImages without a failures list rejects', error.imageId === 'corrupt']);
+        }
+
+        // Aborting still ends the whole run
+        const controller = new AbortController();
+        const aborted = new ImageMatcher({ useWorkers: false, decoder }).findSimilarImages(images, 0.9, (progress) => {
+            if (progress.current === 2) controller.abort();
+        }, { signal: controller.signal, timeout: 150 });
+        try {
+            await aborted;
+            checks.push(['Aborting a run with failures still rejects', false]);
+        } catch (error) {
+            checks.push(['Aborting a run with failures still rejects', error.name === 'AbortError']);
+        }
+    } finally {
+        server.close();
+    }
+
+    runChecks('Failure isolation', checks);
+}
+
+async function testSuggestKeeper() {
+    console.log('\n30. Testing keeper suggestions...');
+
+    const matcher = new ImageMatcher({ useWorkers: false });
+    const checks = [];
+
+    const image = (id, width, height, fileSize, capturedAt = null) =>
+        ({ id, width, height, fileSize, metadata: capturedAt ? { capturedAt } : null });
+    const group = [
+        image('small', 640, 480, 300000, '2024-05-01T10:00:00'),
+        image('large', 1920, 1080, 200000, '2024-05-01T12:00:00'),
+        image('heavy', 800, 600, 900000, '2023-12-24T18:30:00')
+    ];
+
+    const byResolution = matcher.suggestKeeper({ images: group });
+    checks.push([`Resolution keeps the most pixels (${byResolution.reason})`,
+        byResolution.index === 1 && byResolution.id === 'large' && byResolution.reason === 'largest resolution (1920×1080)']);
+    const bySize = matcher.suggestKeeper(group, 'size');
+    checks.push([`Size keeps the largest file (${bySize.reason})`, bySize.id === 'heavy' && bySize.reason === 'largest file (879 KB)']);
+    const byCapture = matcher.suggestKeeper(group, 'capture');
+    checks.push([`Capture keeps the earliest photo (${byCapture.reason})`, byCapture.id === 'heavy' && /^earliest capture/.test(byCapture.reason)]);
+
+    // Ties and unknown values fall back to the next strategy, then to input order
+    const tied = [image('a', 100, 100, 1000), image('b', 100, 100, 5000), image('c', 50, 100, 9000)];
+    checks.push(['Resolution ties fall back to file size', matcher.suggestKeeper(tied).id === 'b']);
+    const undated = [image('a', 100, 100, 1000), image('b', 200, 200, 1000, '2020-01-01T00:00:00')];
+    checks.push(['Images without a capture time rank last', matcher.suggestKeeper(undated, 'capture').id === 'b']);
+    const unknown = [image('a', 0, 0, 0), image('b', 0, 0, 0)];
+    const first = matcher.suggestKeeper(unknown, 'size');
+    checks.push([`Nothing known keeps the first image (${first.reason})`, first.index === 0 && first.reason === 'first image']);
+
+    let unknownStrategy = false;
+    try {
+        matcher.suggestKeeper(group, 'newest');
+    } catch (error) {
+        unknownStrategy = /Unknown keeper strategy/.test(error.message);
+    }
+    let emptyGroup = false;
+    try {
+        matcher.suggestKeeper([]);
+    } catch (error) {
+        emptyGroup = /empty group/.test(error.message);
+    }
+    checks.push(['Unknown strategies and empty groups throw', unknownStrategy && emptyGroup]);
+
+    // Groups from findSimilarImages work as they are
+    const scene = createSceneImage(192, 144, 7);
+    const half = { width: 96, height: 72, data: new Uint8ClampedArray(96 * 72 * 3) };
+    for (let y = 0; y < 72; y++) {
+        for (let x = 0; x < 96; x++) {
+            half.data.set(scene.data.subarray((y * 2 * 192 + x * 2) * 3, (y * 2 * 192 + x * 2) * 3 + 3), (y * 96 + x) * 3);
+        }
+    }
+    const groups = await matcher.findSimilarImages([
+        { id: 'scene-small', src: half },
+        { id: 'scene-full', src: scene }
+    ], 0.8);
+    checks.push(['A findSimilarImages group keeps its full-size copy',
+        groups.length === 1 && matcher.suggestKeeper(groups[0]).id === 'scene-full']);
+
+    runChecks('Keeper', checks);
+}
+
+async function testAddingImages() {
+    console.log('\n31. Testing adding images to an earlier run...');
+
+    const matcher = new ImageMatcher({ useWorkers: false });
+    const threshold = 0.7;
+    const checks = [];
+    const ids = groups => groups.map(group => group.images.map(image => image.id).sort().join('+')).sort().join(' | ');
+    const images = createChainImages(7).concat([3, 4, 3].map((seed, k) => ({ id: `scene-${k}`, src: createSceneImage(96, 72, seed) })));
+    const first = images.slice(0, 6);
+    const later = images.slice(6);
+
+    const greedy = await matcher.findSimilarImages(images, threshold);
+    const kept = await matcher.findSimilarImages(images, threshold, null, { keepEdges: true });
+    checks.push(['keepEdges gives the greedy groups', ids(kept) === ids(greedy) && !greedy.edges]);
+    checks.push(['Results with edges carry fingerprints, edges and threshold', kept.fingerprints.length === 10 &&
+        kept.edges.length > 0 && kept.threshold === threshold]);
+
+    // Count the comparisons made while pairs are scored (groups compare their members afterwards)
+    let comparing = false;
+    let compared = 0;
+    const compareImages = matcher.compareImages.bind(matcher);
+    matcher.compareImages = (a, b, scoring) => {
+        if (comparing) compared++;
+        return compareImages(a, b, scoring);
+    };
+    const computeEdges = matcher.computeEdges.bind(matcher);
+    matcher.computeEdges = async (...args) => {
+        comparing = true;
+        try {
+            return await computeEdges(...args);
+        } finally {
+            comparing = false;
+        }
+    };
+
+    for (const clustering of ['greedy', 'connected']) {
+        const before = await matcher.findSimilarImages(first, threshold, null, { clustering, keepEdges: true });
+        compared = 0;
+        const after = await matcher.findSimilarImages(later, threshold, null, { clustering, previous: before });
+        const addedPairs = compared;
+        const full = await matcher.findSimilarImages(images, threshold, null, { clustering });
+        checks.push([`${clustering}: adding images gives the full run's groups`, ids(after) === ids(full) &&
+            after.fingerprints.length === 10 && after.edges.length === kept.edges.length]);
+        checks.push([`${clustering}: only pairs with a new image are compared (${addedPairs} of 45)`, addedPairs === 6 * 4 + 4 * 3 / 2]);
+    }
+    matcher.compareImages = compareImages;
+    matcher.computeEdges = computeEdges;
+
+    const before = await matcher.findSimilarImages(first, threshold, null, { keepEdges: true });
+    const again = await matcher.findSimilarImages([first[0], ...later], threshold, null, { previous: before });
+    checks.push(['Images already compared are not added twice', again.fingerprints.length === 10]);
+    const higher = await matcher.findSimilarImages(later, 0.9, null, { previous: before });
+    checks.push(['A higher threshold reuses the earlier pairs', ids(higher) === ids(await matcher.findSimilarImages(images, 0.9))]);
+
+    let lowerRejected = false;
+    try {
+        await matcher.findSimilarImages(later, 0.5, null, { previous: before });
+    } catch (error) {
+        lowerRejected = /below the previous run/.test(error.message);
+    }
+    let edgelessRejected = false;
+    try {
+        await matcher.findSimilarImages(later, threshold, null, { previous: greedy });
+    } catch (error) {
+        edgelessRejected = /keepEdges/.test(error.message);
+    }
+    checks.push(['A lower threshold or a result without edges is rejected', lowerRejected && edgelessRejected]);
+
+    // Pairs scored under other settings cannot be merged
+    const rejectsScoring = async (options) => {
+        try {
+            await matcher.findSimilarImages(later, threshold, null, { ...options, previous: before });
+            return false;
+        } catch (error) {
+            return /scoring .* differs from the previous run/.test(error.message);
+        }
+    };
+    const otherScoring = [{ weights: { pHash: 0.6 } }, { profile: 'similar' }, { orientations: true },
+        { minSimilarity: { dHash: 0.5 } }, { histogram: { metric: 'intersection' } }];
+    let scoringRejected = 0;
+    for (const options of otherScoring) {
+        if (await rejectsScoring(options)) scoringRejected++;
+    }
+    const sameScoring = await matcher.findSimilarImages(later, threshold, null, { previous: before, profile: 'default' });
+    checks.push([`Other scoring is rejected (${scoringRejected}/${otherScoring.length}), equal scoring is not`,
+        scoringRejected === otherScoring.length && typeof before.scoringKey === 'string' && sameScoring.scoringKey === before.scoringKey]);
+
+    runChecks('Adding images', checks);
+}
+
+async function testRegrouping() {
+    console.log('\n32. Testing regrouping from kept edges...');
+
+    const matcher = new ImageMatcher({ useWorkers: false });
+    const checks = [];
+    const ids = groups => groups.map(group => group.images.map(image => image.id).sort().join('+')).sort().join(' | ');
+    const images = createChainImages(7).concat([3, 4, 3].map((seed, k) => ({ id: `scene-${k}`, src: createSceneImage(96, 72, seed) })));
+
+    const result = await matcher.findSimilarImages(images, 0.7, null, { clustering: 'connected', edgeThreshold: 0.3 });
+    checks.push(['An edge threshold keeps lower pairs without changing the groups',
+        ids(result) === ids(await matcher.findSimilarImages(images, 0.7, null, { clustering: 'connected' })) &&
+        result.edgeThreshold === 0.3 && result.edges.some(edge => edge.similarity < 0.7) &&
+        result.edges.every(edge => edge.similarity >= 0.3)]);
+
+    // Regrouping at another threshold compares nothing when scoring needs no per-pair details
+    let compared = 0;
+    const compareImages = matcher.compareImages.bind(matcher);
+    matcher.compareImages = (a, b, scoring) => {
+        compared++;
+        return compareImages(a, b, scoring);
+    };
+    const regrouped = {};
+    for (const threshold of [0.4, 0.6, 0.8, 0.9]) {
+        regrouped[threshold] = matcher.clusterEdges(result.fingerprints, result.edges, threshold, { clustering: 'connected' });
+    }
+    const regroupComparisons = compared;
+    matcher.compareImages = compareImages;
+
+    let same = true;
+    for (const threshold of [0.4, 0.6, 0.8, 0.9]) {
+        const fresh = await matcher.findSimilarImages(images, threshold, null, { clustering: 'connected' });
+        same = same && ids(regrouped[threshold]) === ids(fresh) && regrouped[threshold].every((group, k) =>
+            Math.abs(group.averageSimilarity - fresh[k].averageSimilarity) < 1e-12);
+    }
+    checks.push([`Regrouped thresholds match fresh runs (${regroupComparisons} comparisons)`, same && regroupComparisons === 0]);
+
+    // Edges ignore the lossy 'fast' index, so they stay the same pairs a fresh run would score
+    const fastEdges = await matcher.findSimilarImages(images, 0.7, null, { clustering: 'connected', edgeThreshold: 0.3, index: 'fast' });
+    const edgeKey = edges => edges.map(edge => `${edge.i}-${edge.j}:${edge.similarity}`).join();
+    checks.push(['Edges are searched at the lossless radius', edgeKey(fastEdges.edges) === edgeKey(result.edges)]);
+
+    // Added images keep pairs down to the earlier run's edge threshold
+    const before = await matcher.findSimilarImages(images.slice(0, 6), 0.7, null, { edgeThreshold: 0.3 });
+    const after = await matcher.findSimilarImages(images.slice(6), 0.8, null, { previous: before });
+    checks.push(['Added images inherit the edge threshold', after.edgeThreshold === 0.3 &&
+        ids(matcher.clusterEdges(after.fingerprints, after.edges, 0.5, { clustering: 'greedy' })) ===
+        ids(await matcher.findSimilarImages(images, 0.5))]);
+
+    let aboveRejected = false;
+    try {
+        await matcher.findSimilarImages(images, 0.7, null, { edgeThreshold: 0.8 });
+    } catch (error) {
+        aboveRejected = /must not be above the threshold/.test(error.message);
+    }
+    checks.push(['An edge threshold above the threshold is rejected', aboveRejected]);
+
+    runChecks('Regrouping', checks);
+}
+
+async function testCli() {
+    console.log('\n33. Testing the command line interface...');
+
+    const os = require('os');
+    const { spawnSync } = require('child_process');
+    const { PNG } = require('pngjs');
+    const { parseArgs } = require('./cli');
+    const { decodeImageBuffer } = require('./decode-image');
+    const checks = [];
+
+    // PNG fixtures: two scenes, each with a brightened copy, and a truncated file
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-matcher-cli-'));
+    const writePng = (name, scene, offset) => {
+        const png = new PNG({ width: scene.width, height: scene.height });
+        for (let i = 0; i < scene.width * scene.height; i++) {
+            for (let c = 0; c < 3; c++) png.data[i * 4 + c] = Math.min(255, scene.data[i * 3 + c] + offset);
+            png.data[i * 4 + 3] = 255;
+        }
+        fs.writeFileSync(path.join(dir, name), PNG.sync.write(png));
+    };
+    fs.mkdirSync(path.join(dir, 'unique'));
+    writePng('a.png', createSceneImage(96, 72, 1), 0);
+    writePng('a-bright.png', createSceneImage(96, 72, 1), 20);
+    writePng('b.png', createSceneImage(96, 72, 2), 0);
+    writePng('b-bright.png', createSceneImage(96, 72, 2), 20);
+    writePng(path.join('unique', 'c.png'), createSceneImage(96, 72, 3), 0);
+    fs.writeFileSync(path.join(dir, 'broken.png'), fs.readFileSync(path.join(dir, 'a.png')).subarray(0, 120));
+
+    const run = (...args) => {
+        const result = spawnSync(process.execPath, [path.join(__dirname, 'cli.js'), ...args], { encoding: 'utf8', timeout: 60000 });
+        return { code: result.status, stdout: result.stdout, stderr: result.stderr };
+    };
+
+    try {
+        const parsed = parseArgs(['scan', dir, '-t', '0.9', '-r', '--format=CSV', '--clustering', 'connected']);
+        let badValues = 0;
+        for (const argv of [['scan', dir, '-t', '2'], ['scan', dir, '--format', 'xml'], ['scan', dir, '--bogus'], ['scan', '-t']]) {
+            try {
+                parseArgs(argv);
+            } catch (error) {
+                badValues++;
+            }
+        }
+        checks.push(['Arguments parse, and invalid ones throw', parsed.command === 'scan' && parsed.dir === dir &&
+            parsed.threshold === 0.9 && parsed.recursive && parsed.format === 'csv' && parsed.clustering === 'connected' &&
+            badValues === 4]);
+
+        let decodeError = null;
+        try {
+            decodeImageBuffer(fs.readFileSync(path.join(dir, 'broken.png')), 'broken.png');
+        } catch (error) {
+            decodeError = error;
+        }
+        checks.push(['A corrupt PNG throws a decode ImageLoadError naming the file', decodeError instanceof ImageMatcher.ImageLoadError &&
+            decodeError.code === 'decode' && decodeError.imageId === 'broken.png' && /^broken\.png /.test(decodeError.message) &&
+            decodeError.cause instanceof Error]);
+
+        // Exit code 1 with groups, in every format
+        const table = run('scan', dir);
+        checks.push(['scan: duplicates exit 1 and print a table', table.code === 1 &&
+            /^Group\s+Similarity\s+Size\s+File/.test(table.stdout) && /a-bright\.png/.test(table.stdout) &&
+            /b-bright\.png/.test(table.stdout) && !/c\.png/.test(table.stdout)]);
+        checks.push(['scan: the corrupt file is skipped with a readable reason',
+            /Skipping broken\.png: broken\.png is not a valid PNG image/.test(table.stderr)]);
+
+        const json = run('scan', dir, '-r', '--format', 'json', '-q');
+        const groups = JSON.parse(json.stdout);
+        checks.push([`scan --format json: ${groups.length} groups`, json.code === 1 && json.stderr === '' &&
+            groups.length === 2 && groups.every(group => group.count === 2 && group.images.every(image => image.width === 96))]);
+
+        const csv = run('scan', dir, '-f', 'csv', '-q').stdout.trim().split('\n');
+        checks.push(['scan --format csv: a header and one row per image', csv[0] === 'group,similarity,file,width,height' &&
+            csv.length === 5 && csv.slice(1).every(line => /^[12],0\.\d{4},[ab](-bright)?\.png,96,72$/.test(line))]);
+
+        // Exit code 0 without groups, 2 on bad input
+        const unique = run('scan', path.join(dir, 'unique'), '-q');
+        checks.push(['scan: no duplicates exits 0', unique.code === 0 && unique.stdout.trim() === 'No similar images found.']);
+        const failures = [run('scan', dir, '-t', '1.5'), run('scan'), run('scan', path.join(dir, 'missing')), run('compare', dir)];
+        checks.push([`Invalid arguments exit 2 (${failures.map(failure => failure.code).join('/')})`,
+            failures.every(failure => failure.code === 2 && failure.stderr.includes('❌'))]);
+
+        // calibrate writes a config that scan accepts
+        const pairsFile = path.join(dir, 'pairs.json');
+        const configFile = path.join(dir, 'matcher.json');
+        fs.writeFileSync(pairsFile, JSON.stringify([
+            { a: 'a.png', b: 'a-bright.png', same: true },
+            { a: 'b.png', b: 'b-bright.png', same: true },
+            { a: 'a.png', b: 'b.png', same: false },
+            { a: 'a-bright.png', b: 'b-bright.png', same: false },
+            { a: 'a.png', b: path.join('unique', 'c.png'), same: false }
+        ]));
+        const calibration = run('calibrate', dir, '--pairs', pairsFile, '-o', configFile, '-q');
+        const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+        checks.push([`calibrate: exits 0 and writes a config (threshold ${config.threshold.toFixed(3)})`, calibration.code === 0 &&
+            /Suggested threshold/.test(calibration.stdout) && config.threshold > 0 && config.threshold <= 1 &&
+            run('scan', dir, '--config', configFile, '-q').code === 1]);
+        checks.push(['calibrate: missing pairs exit 2', run('calibrate', dir, '-q').code === 2]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    runChecks('CLI', checks);
+}
+
 // Run all tests
 async function runAllTests() {
     try {
@@ -214,6 +1831,29 @@ async function runAllTests() {
         await testSimilarityComparison();
         await testPerformance();
         await testExtensionCompatibility();
+        await testPixelBuffers();
+        await testPackedHashes();
+        await testHashIndex();
+        await testFingerprintStores();
+        await testCancellation();
+        await testScoringOptions();
+        await testClustering();
+        await testSearch();
+        await testOrientations();
+        await testCropDetection();
+        await testMetadata();
+        await testDominantColors();
+        await testHistogramOptions();
+        await testExplain();
+        await testCalibration();
+        await testFingerprintExport();
+        await testVideo();
+        await testImageInputs();
+        await testFailureIsolation();
+        await testSuggestKeeper();
+        await testAddingImages();
+        await testRegrouping();
+        await testCli();
         
         console.log('\n🎉 All tests completed successfully!');
         console.log('\n📋 Summary:');